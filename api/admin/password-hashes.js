@@ -0,0 +1,49 @@
+// Password hash migration report (operators only)
+// Path: /api/admin/password-hashes
+// GET [?limit=50] with X-Admin-Secret: <ADMIN_SECRET>
+//   - { report: { params, total, current, outdatedScrypt, legacy, unrecognized,
+//                 legacyPercent, legacyAccounts: [{ id, email, createdAt }] } }
+// Legacy (PBKDF2) hashes are upgraded when their owner next signs in, so `legacy` only
+// shrinks as people come back; accounts that never do need a password reset instead.
+
+import { requireAdmin, sendAuthError } from '../middleware/auth.js';
+import { getPasswordHashReport } from '../../lib/auth.js';
+
+const MAX_LIMIT = 500;
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Admin-Secret');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    requireAdmin(req);
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+
+  const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 0 || limit > MAX_LIMIT) {
+    return res.status(400).json({ error: `limit must be between 0 and ${MAX_LIMIT}` });
+  }
+
+  try {
+    const report = await getPasswordHashReport({ limit });
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({ report });
+  } catch (error) {
+    console.error('Password hash report error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
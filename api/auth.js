@@ -1,62 +1,103 @@
+// Email/password accounts and sessions
+// Path: /api/auth.js
+// POST ?action=signup | signin  - create the account / check the password, then start a session
+//                                 (sign-in is rate limited per account and per IP, see lib/login-throttle.js)
+// POST ?action=refresh          - swap the refresh token for a new access + refresh token pair
+// POST ?action=signout          - revoke this session
+// POST ?action=signout-all      - revoke every session of the signed-in user
+// GET  ?action=me               - the signed-in user
+// POST ?action=resend-verification - email a new verification link to the signed-in user
+//                                 (this and request-reset are rate limited, see lib/mail-throttle.js)
+// GET  ?action=verify&token=...  - confirm an email address (the emailed link; redirects to sign-in)
+// POST ?action=verify { token }  - the same, answering JSON
+// POST ?action=request-reset { email }       - email a password reset link
+// POST ?action=reset { token, password }     - set a new password and sign out everywhere
+// Tokens are set as cookies and also returned in the body for non-browser clients.
+
 import { sql } from '@vercel/postgres';
 import crypto from 'crypto';
+import {
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  upgradePasswordHash,
+  parseCookies,
+  createSession,
+  getSession,
+  refreshSession,
+  getSessionIdForRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  sessionCookies,
+  clearSessionCookies,
+  normalizeEmail,
+  ACCESS_TOKEN_TTL_SECONDS
+} from '../lib/auth.js';
+import {
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+} from '../lib/account-tokens.js';
+import { authenticate, sendAuthError } from './middleware/auth.js';
+import { beginLoginAttempt, finishLoginAttempt, recordLoginSuccess } from '../lib/login-throttle.js';
+import { claimMailRequest } from '../lib/mail-throttle.js';
 
-// Simple cookie parser
-function parseCookies(cookieHeader) {
-  const cookies = {};
-  if (!cookieHeader) return cookies;
-  
-  cookieHeader.split(';').forEach(cookie => {
-    const [name, ...rest] = cookie.split('=');
-    cookies[name.trim()] = rest.join('=').trim();
-  });
-  return cookies;
-}
+const MIN_PASSWORD_LENGTH = 8;
 
-// Hash password
-function hashPassword(password) {
-  const salt = crypto.randomBytes(16).toString('hex');
-  const hash = crypto.pbkdf2Sync(password, salt, 10000, 64, 'sha512').toString('hex');
-  return `${salt}:${hash}`;
+// Account emails must not fail the request that triggered them; the user can ask again
+// 429 for an account email asked for too often
+function mailThrottled(res, throttle) {
+  res.setHeader('Retry-After', String(throttle.retryAfter));
+  return res.status(429).json({
+    error: 'Too many emails requested. Try again later.',
+    retryAfter: throttle.retryAfter
+  });
 }
 
-// Verify password
-function verifyPassword(password, storedHash) {
+async function sendAccountEmail(send, user) {
   try {
-    const [salt, hash] = storedHash.split(':');
-    const testHash = crypto.pbkdf2Sync(password, salt, 10000, 64, 'sha512').toString('hex');
-    return hash === testHash;
-  } catch {
-    return false;
+    await send(user);
+  } catch (error) {
+    console.error(`Failed to send account email to user ${user.id}:`, error);
   }
 }
 
-// Create simple token (just base64 encoded JSON - good enough for now)
-function createToken(userId, email) {
-  const payload = {
-    userId,
-    email,
-    exp: Date.now() + (7 * 24 * 60 * 60 * 1000) // 7 days
+// Access token from the auth_token cookie, or an Authorization: Bearer header
+function getAccessToken(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) return authHeader.substring(7);
+  return parseCookies(req.headers.cookie).auth_token;
+}
+
+// Refresh token from the refresh_token cookie, or { refreshToken } for non-browser clients
+function getRefreshToken(req) {
+  return parseCookies(req.headers.cookie).refresh_token || req.body?.refreshToken;
+}
+
+function clientInfo(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  return {
+    userAgent: req.headers['user-agent']?.substring(0, 500) || null,
+    ipAddress: (forwarded ? forwarded.split(',')[0].trim() : req.socket?.remoteAddress) || null
   };
-  return Buffer.from(JSON.stringify(payload)).toString('base64');
 }
 
-// Verify token
-function verifyToken(token) {
-  try {
-    const payload = JSON.parse(Buffer.from(token, 'base64').toString());
-    if (payload.exp < Date.now()) return null;
-    return payload;
-  } catch {
-    return null;
-  }
+// Start a session and hand its tokens to the client, as cookies and in the body
+async function startSession(req, res, user) {
+  const tokens = await createSession(user, clientInfo(req));
+  res.setHeader('Set-Cookie', sessionCookies(tokens));
+  return {
+    accessToken: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  };
 }
 
 export default async function handler(req, res) {
   // CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -69,95 +110,257 @@ export default async function handler(req, res) {
     if (action === 'signin' && req.method === 'POST') {
       const { email, password } = req.body;
 
-      if (!email || !password) {
+      if (!email || !password || typeof email !== 'string' || typeof password !== 'string') {
         return res.status(400).json({ error: 'Email and password required' });
       }
 
+      const { ipAddress } = clientInfo(req);
+      const throttle = await beginLoginAttempt(email, ipAddress);
+      if (!throttle.allowed) {
+        res.setHeader('Retry-After', String(throttle.retryAfter));
+        return res.status(429).json({
+          error: throttle.reason === 'locked'
+            ? 'Too many failed sign-in attempts. Sign-in is temporarily locked.'
+            : 'Too many failed sign-in attempts. Wait a moment and try again.',
+          retryAfter: throttle.retryAfter
+        });
+      }
+
       const result = await sql`
-        SELECT id, email, password_hash, name, tier
+        SELECT id, email, password_hash, name, subscription_tier
         FROM users
         WHERE email = ${email.toLowerCase()}
       `;
       
       const user = result.rows[0];
-      
-      if (!user) {
-        return res.status(401).json({ error: 'Invalid email or password' });
-      }
 
-      const valid = verifyPassword(password, user.password_hash);
+      // Takes as long without an account, so timing doesn't reveal which emails exist
+      const valid = await verifyPassword(password, user?.password_hash ?? null) && !!user;
       
       if (!valid) {
+        await finishLoginAttempt(throttle.attempt, { succeeded: false, userId: user?.id || null });
         return res.status(401).json({ error: 'Invalid email or password' });
       }
 
-      const token = createToken(user.id, user.email);
-      res.setHeader('Set-Cookie', `auth_token=${token}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=604800`);
+      await finishLoginAttempt(throttle.attempt, { succeeded: true, userId: user.id });
+
+      // Move older hashes to the current format while we have the password in hand
+      if (needsRehash(user.password_hash)) {
+        try {
+          await upgradePasswordHash(user.id, password, user.password_hash);
+        } catch (error) {
+          console.error(`Failed to upgrade password hash for user ${user.id}:`, error);
+        }
+      }
+      const session = await startSession(req, res, user);
 
       return res.status(200).json({
         success: true,
-        user: { id: user.id, email: user.email, name: user.name, tier: user.tier }
+        user: { id: user.id, email: user.email, name: user.name, tier: user.subscription_tier },
+        ...session
       });
     }
 
     // SIGNUP
     if (action === 'signup' && req.method === 'POST') {
-      const { email, password, name } = req.body;
+      const { password, name } = req.body;
 
-      if (!email || !password) {
+      if (!req.body.email || !password) {
         return res.status(400).json({ error: 'Email and password required' });
       }
 
-      if (password.length < 8) {
-        return res.status(400).json({ error: 'Password must be at least 8 characters' });
+      // The address ends up in mail headers and SMTP commands
+      const email = normalizeEmail(req.body.email);
+      if (!email) {
+        return res.status(400).json({ error: 'Enter a valid email address' });
       }
 
-      const hashedPassword = hashPassword(password);
+      if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+
+      const hashedPassword = await hashPassword(password);
       const userId = crypto.randomUUID();
       
       await sql`
-        INSERT INTO users (id, email, password_hash, name, tier, created_at)
-        VALUES (${userId}, ${email.toLowerCase()}, ${hashedPassword}, ${name || ''}, 'free', NOW())
+        INSERT INTO users (id, email, password_hash, name, subscription_tier, created_at)
+        VALUES (${userId}, ${email}, ${hashedPassword}, ${name || ''}, 'free', NOW())
       `;
 
-      const token = createToken(userId, email.toLowerCase());
-      res.setHeader('Set-Cookie', `auth_token=${token}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=604800`);
+      const user = { id: userId, email, name: name || '' };
+      await sendAccountEmail(sendVerificationEmail, user);
+
+      const session = await startSession(req, res, user);
 
       return res.status(200).json({
         success: true,
-        user: { id: userId, email: email.toLowerCase(), name: name || '' }
+        user: { ...user, emailVerified: false },
+        ...session
       });
     }
 
-    // SIGNOUT
-    if (action === 'signout' && req.method === 'POST') {
-      res.setHeader('Set-Cookie', 'auth_token=; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=0');
+    // VERIFY EMAIL - the emailed link (GET) or an app posting the token
+    if (action === 'verify' && (req.method === 'GET' || req.method === 'POST')) {
+      const token = req.method === 'GET' ? req.query.token : req.body?.token;
+      const claim = await consumeAccountToken(token, 'verify_email');
+
+      // Only verifies the address the link was sent to
+      const verified = claim && (await sql`
+        UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW())
+        WHERE id = ${claim.userId} AND email = ${claim.email}
+        RETURNING id
+      `).rows.length > 0;
+
+      if (req.method === 'GET') {
+        res.setHeader('Location', `/signin.html?verified=${verified ? '1' : '0'}`);
+        return res.status(302).end();
+      }
+      if (!verified) {
+        return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+      }
       return res.status(200).json({ success: true });
     }
 
-    // ME
-    if (action === 'me' && req.method === 'GET') {
-      const cookies = parseCookies(req.headers.cookie);
-      const token = cookies.auth_token;
-      
-      if (!token) {
-        return res.status(401).json({ error: 'Not authenticated' });
+    // RESEND VERIFICATION
+    if (action === 'resend-verification' && req.method === 'POST') {
+      let user;
+      try {
+        user = await authenticate(req);
+      } catch (error) {
+        return sendAuthError(res, error);
       }
-      
-      const payload = verifyToken(token);
-      if (!payload) {
-        return res.status(401).json({ error: 'Invalid token' });
+
+      if (user.email_verified_at) {
+        return res.status(400).json({ error: 'Email address is already verified' });
       }
-      
-      const result = await sql`
-        SELECT id, email, name, tier, created_at
-        FROM users
-        WHERE id = ${payload.userId}
+
+      const throttle = await claimMailRequest(user.email, clientInfo(req).ipAddress, 'verify_email');
+      if (!throttle.allowed) {
+        return mailThrottled(res, throttle);
+      }
+
+      await sendVerificationEmail(user);
+      return res.status(200).json({ success: true });
+    }
+
+    // REQUEST PASSWORD RESET - answers the same whether or not the account exists
+    if (action === 'request-reset' && req.method === 'POST') {
+      const email = normalizeEmail(req.body?.email);
+      if (!email) {
+        return res.status(400).json({ error: 'Email required' });
+      }
+
+      // Counted whether or not the account exists, so the answer doesn't tell
+      const throttle = await claimMailRequest(email, clientInfo(req).ipAddress, 'reset_password');
+      if (!throttle.allowed) {
+        return mailThrottled(res, throttle);
+      }
+
+      const result = await sql`SELECT id, email, name FROM users WHERE email = ${email}`;
+      if (result.rows[0]) {
+        await sendAccountEmail(sendPasswordResetEmail, result.rows[0]);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'If an account exists for that address, a password reset link is on its way'
+      });
+    }
+
+    // RESET PASSWORD
+    if (action === 'reset' && req.method === 'POST') {
+      const { token, password } = req.body || {};
+
+      if (!token || !password) {
+        return res.status(400).json({ error: 'Token and password required' });
+      }
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+
+      const claim = await consumeAccountToken(token, 'reset_password');
+      if (!claim) {
+        return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+      }
+
+      // Following the emailed link also proves the address is theirs
+      const updated = await sql`
+        UPDATE users
+        SET password_hash = ${await hashPassword(password)},
+            email_verified_at = CASE WHEN email = ${claim.email} THEN COALESCE(email_verified_at, NOW()) ELSE email_verified_at END
+        WHERE id = ${claim.userId}
+        RETURNING id
       `;
-      
-      const user = result.rows[0];
-      if (!user) {
-        return res.status(401).json({ error: 'User not found' });
+      if (updated.rows.length === 0) {
+        return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+      }
+
+      // A reset proves the address is theirs, so it also lifts any sign-in lockout on it
+      await recordLoginSuccess(claim.email, clientInfo(req).ipAddress, claim.userId);
+
+      // Whoever knew the old password is signed out too
+      await revokeAllSessions(claim.userId);
+      res.setHeader('Set-Cookie', clearSessionCookies());
+
+      return res.status(200).json({ success: true });
+    }
+
+    // REFRESH - swap the refresh token for a new pair
+    if (action === 'refresh' && req.method === 'POST') {
+      const refreshToken = getRefreshToken(req);
+      if (!refreshToken) {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
+
+      const tokens = await refreshSession(refreshToken);
+      if (!tokens) {
+        res.setHeader('Set-Cookie', clearSessionCookies());
+        return res.status(401).json({ error: 'Session expired or revoked' });
+      }
+
+      res.setHeader('Set-Cookie', sessionCookies(tokens));
+      return res.status(200).json({
+        success: true,
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS
+      });
+    }
+
+    // SIGNOUT - end this session
+    if (action === 'signout' && req.method === 'POST') {
+      const session = await getSession(getAccessToken(req));
+      const sessionId = session?.sessionId || await getSessionIdForRefreshToken(getRefreshToken(req));
+      if (sessionId) {
+        await revokeSession(sessionId);
+      }
+
+      res.setHeader('Set-Cookie', clearSessionCookies());
+      return res.status(200).json({ success: true });
+    }
+
+    // SIGNOUT ALL - end every session of this user ("log out all devices")
+    if (action === 'signout-all' && req.method === 'POST') {
+      let user;
+      try {
+        user = await authenticate(req);
+      } catch (error) {
+        return sendAuthError(res, error);
+      }
+
+      const revoked = await revokeAllSessions(user.id);
+
+      res.setHeader('Set-Cookie', clearSessionCookies());
+      return res.status(200).json({ success: true, revoked });
+    }
+
+    // ME
+    if (action === 'me' && req.method === 'GET') {
+      let user;
+      try {
+        user = await authenticate(req);
+      } catch (error) {
+        return sendAuthError(res, error);
       }
 
       return res.status(200).json({
@@ -165,7 +368,8 @@ export default async function handler(req, res) {
           id: user.id,
           email: user.email,
           name: user.name,
-          tier: user.tier,
+          tier: user.subscription_tier,
+          emailVerified: !!user.email_verified_at,
           createdAt: user.created_at
         }
       });
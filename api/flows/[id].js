@@ -0,0 +1,108 @@
+// Flow library - a single saved flow
+// Path: /api/flows/:id
+// GET    - flow details including the current definition
+// PATCH  { flowName } - rename
+// DELETE - delete the flow and its revisions
+// GET also accepts an API key with the flows:read scope.
+
+import { createClient } from '@vercel/postgres';
+import { requireAuth, sendAuthError } from '../middleware/auth.js';
+import { getOwnedFlow } from '../../lib/flow-revisions.js';
+import { formatFlowSummary, isUuid } from '../../lib/flow-library.js';
+
+const MAX_FLOW_NAME_LENGTH = 255;
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['GET', 'PATCH', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let userId;
+  try {
+    userId = await requireAuth(req, { apiKeyScope: req.method === 'GET' ? 'flows:read' : null });
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+
+  const { id } = req.query;
+  if (!isUuid(id)) {
+    return res.status(404).json({ error: 'Flow not found' });
+  }
+
+  const client = createClient();
+  await client.connect();
+
+  try {
+    const flow = await getOwnedFlow(client, id, userId);
+    if (!flow) {
+      return res.status(404).json({ error: 'Flow not found' });
+    }
+
+    // GET
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        flow: {
+          ...formatFlowSummary(flow),
+          definition: flow.generated_json
+        }
+      });
+    }
+
+    // RENAME
+    if (req.method === 'PATCH') {
+      const flowName = typeof req.body?.flowName === 'string' ? req.body.flowName.trim() : '';
+
+      if (!flowName) {
+        return res.status(400).json({ error: 'flowName is required' });
+      }
+
+      if (flowName.length > MAX_FLOW_NAME_LENGTH) {
+        return res.status(400).json({ error: `flowName must be at most ${MAX_FLOW_NAME_LENGTH} characters` });
+      }
+
+      const result = await client.query(
+        'UPDATE flows SET flow_name = $1 WHERE id = $2 AND user_id = $3 RETURNING *',
+        [flowName, id, userId]
+      );
+      // Deleted since it was loaded above
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Flow not found' });
+      }
+
+      return res.status(200).json({
+        success: true,
+        flow: formatFlowSummary(result.rows[0])
+      });
+    }
+
+    // DELETE
+    await client.query(
+      'DELETE FROM flows WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+
+    await client.query(
+      'INSERT INTO usage_logs (user_id, action_type, metadata) VALUES ($1, $2, $3)',
+      [userId, 'flow_deleted', JSON.stringify({ flowId: id, flowName: flow.flow_name })]
+    );
+
+    return res.status(200).json({ success: true });
+
+  } catch (error) {
+    console.error('Flow error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  } finally {
+    await client.end();
+  }
+}
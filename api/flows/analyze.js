@@ -0,0 +1,101 @@
+// Best-practice review of a flow definition
+// Path: /api/flows/analyze.js
+// POST { definition }           - pasted flow JSON (bare definition or full flow)
+// POST { flowId[, revisionId] } - a saved flow, or one of its revisions
+// Add format: 'markdown' for the rendered report instead of JSON.
+// Returns { summary, findings, rendered } where each finding is
+// { severity, code, message, path, recommendation }.
+
+import { createClient } from '@vercel/postgres';
+import { requireAuth, sendAuthError } from '../middleware/auth.js';
+import { isUuid } from '../../lib/flow-library.js';
+import { getOwnedFlow, getRevision } from '../../lib/flow-revisions.js';
+import { getDefinition } from '../../lib/flow-validator.js';
+import { analyzeFlow, renderAnalysis } from '../../lib/flow-analyzer.js';
+
+const FORMATS = ['json', 'markdown'];
+
+function sendAnalysis(res, flow, name, format) {
+  const analysis = analyzeFlow(flow);
+  const rendered = renderAnalysis(analysis, { name });
+
+  if (format === 'markdown') {
+    res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+    return res.status(200).send(rendered);
+  }
+
+  return res.status(200).json({ ...analysis, rendered });
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let userId;
+  try {
+    userId = await requireAuth(req);
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+
+  const { definition, flowId, revisionId, name, format = 'json' } = req.body || {};
+
+  if (!FORMATS.includes(format)) {
+    return res.status(400).json({ error: 'Unknown format', validFormats: FORMATS });
+  }
+
+  if (definition !== undefined) {
+    const body = getDefinition(definition);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return res.status(400).json({ error: 'definition must be a flow definition object' });
+    }
+    return sendAnalysis(res, definition, name, format);
+  }
+
+  if (!flowId) {
+    return res.status(400).json({ error: 'Provide a definition or a flowId' });
+  }
+
+  const client = createClient();
+  await client.connect();
+
+  try {
+    const flow = isUuid(flowId) ? await getOwnedFlow(client, flowId, userId) : null;
+    if (!flow) {
+      return res.status(404).json({ error: 'Flow not found' });
+    }
+
+    let target = flow.generated_json;
+    if (revisionId) {
+      const revision = isUuid(revisionId) ? await getRevision(client, flow.id, revisionId) : null;
+      if (!revision) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+      target = revision.generated_json;
+    }
+
+    if (!target) {
+      return res.status(400).json({ error: 'Flow has no definition' });
+    }
+
+    return sendAnalysis(res, target, flow.flow_name, format);
+
+  } catch (error) {
+    console.error('Analyze error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  } finally {
+    await client.end();
+  }
+}
@@ -0,0 +1,115 @@
+// Compare two flow definitions
+// Path: /api/flows/diff.js
+// POST { from, to, format } where each side is one of
+//   { flowId }              - a saved flow's current definition
+//   { flowId, revisionId }  - a specific revision of a saved flow
+//   { definition }          - uploaded flow JSON (bare definition or full flow)
+// Returns { diff, rendered } as JSON, or the Markdown rendering when format=markdown.
+
+import { createClient } from '@vercel/postgres';
+import { requireAuth, sendAuthError } from '../middleware/auth.js';
+import { isUuid } from '../../lib/flow-library.js';
+import { getOwnedFlow, getRevision } from '../../lib/flow-revisions.js';
+import { getDefinition } from '../../lib/flow-validator.js';
+import { diffFlows, renderDiff } from '../../lib/flow-diff.js';
+
+const FORMATS = ['json', 'markdown'];
+
+// Resolve one side of the comparison; returns { definition, label } or { status, error }
+async function loadSide(client, userId, side, name) {
+  if (!side || typeof side !== 'object') {
+    return { status: 400, error: `${name} is required` };
+  }
+
+  if (side.definition !== undefined) {
+    const definition = getDefinition(side.definition);
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      return { status: 400, error: `${name}.definition must be a flow definition object` };
+    }
+    return { definition: side.definition, label: side.label || `uploaded ${name} JSON` };
+  }
+
+  if (!side.flowId) {
+    return { status: 400, error: `${name} needs a flowId or a definition` };
+  }
+
+  const flow = isUuid(side.flowId) ? await getOwnedFlow(client, side.flowId, userId) : null;
+  if (!flow) {
+    return { status: 404, error: `${name} flow not found` };
+  }
+
+  if (side.revisionId) {
+    const revision = isUuid(side.revisionId) ? await getRevision(client, flow.id, side.revisionId) : null;
+    if (!revision) {
+      return { status: 404, error: `${name} revision not found` };
+    }
+    return { definition: revision.generated_json, label: `${flow.flow_name} (revision ${revision.revision_number})` };
+  }
+
+  if (!flow.generated_json) {
+    return { status: 400, error: `${name} flow has no definition` };
+  }
+
+  return { definition: flow.generated_json, label: flow.flow_name || 'Untitled Flow' };
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let userId;
+  try {
+    userId = await requireAuth(req);
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+
+  const { from, to, format = 'json' } = req.body || {};
+
+  if (!FORMATS.includes(format)) {
+    return res.status(400).json({ error: 'Unknown format', validFormats: FORMATS });
+  }
+
+  const client = createClient();
+  await client.connect();
+
+  try {
+    const before = await loadSide(client, userId, from, 'from');
+    if (before.error) {
+      return res.status(before.status).json({ error: before.error });
+    }
+
+    const after = await loadSide(client, userId, to, 'to');
+    if (after.error) {
+      return res.status(after.status).json({ error: after.error });
+    }
+
+    const diff = diffFlows(before.definition, after.definition);
+    const rendered = renderDiff(diff, { beforeLabel: before.label, afterLabel: after.label });
+
+    if (format === 'markdown') {
+      res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+      return res.status(200).send(rendered);
+    }
+
+    return res.status(200).json({ diff, rendered });
+
+  } catch (error) {
+    console.error('Diff error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  } finally {
+    await client.end();
+  }
+}
@@ -0,0 +1,95 @@
+// Readable documentation for a saved flow
+// Path: /api/flows/docs.js
+// GET ?id=<flowId>                    - { markdown, mermaid } as JSON
+// GET ?id=<flowId>&format=markdown    - the Markdown write-up (includes the diagram)
+// GET ?id=<flowId>&format=mermaid     - the Mermaid flowchart source only
+// Add &revisionId=<id> to document an earlier revision instead of the current definition.
+
+import { createClient } from '@vercel/postgres';
+import { requireAuth, sendAuthError } from '../middleware/auth.js';
+import { isUuid } from '../../lib/flow-library.js';
+import { getOwnedFlow, getRevision } from '../../lib/flow-revisions.js';
+import { buildFlowDocs } from '../../lib/flow-docs.js';
+
+const FORMATS = ['json', 'markdown', 'mermaid'];
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let userId;
+  try {
+    userId = await requireAuth(req);
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+
+  const { id, revisionId, format = 'json' } = req.query;
+
+  if (!id) {
+    return res.status(400).json({ error: 'Flow id is required' });
+  }
+
+  if (!FORMATS.includes(format)) {
+    return res.status(400).json({ error: 'Unknown format', validFormats: FORMATS });
+  }
+
+  const client = createClient();
+  await client.connect();
+
+  try {
+    const flow = isUuid(id) ? await getOwnedFlow(client, id, userId) : null;
+    if (!flow) {
+      return res.status(404).json({ error: 'Flow not found' });
+    }
+
+    let definition = flow.generated_json;
+    if (revisionId) {
+      const revision = isUuid(revisionId) ? await getRevision(client, id, revisionId) : null;
+      if (!revision) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+      definition = revision.generated_json;
+    }
+
+    if (!definition) {
+      return res.status(400).json({ error: 'Flow has no definition to document' });
+    }
+
+    const docs = buildFlowDocs({ ...flow, generated_json: definition });
+
+    if (format === 'markdown') {
+      res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+      return res.status(200).send(docs.markdown);
+    }
+
+    if (format === 'mermaid') {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      return res.status(200).send(docs.mermaid);
+    }
+
+    return res.status(200).json({
+      flowId: id,
+      revisionId: revisionId || flow.current_revision_id || null,
+      ...docs
+    });
+
+  } catch (error) {
+    console.error('Docs error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  } finally {
+    await client.end();
+  }
+}
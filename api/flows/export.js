@@ -0,0 +1,92 @@
+// Download a saved flow as an importable zip
+// Path: /api/flows/export.js
+// GET ?id=<flowId>&format=package   - legacy Power Automate "Import package" zip (default)
+// GET ?id=<flowId>&format=solution  - Dataverse solution zip
+// GET ?id=<flowId>&format=arm       - Azure Logic App ARM template + deployment notes zip
+// GET ?id=<flowId>&format=bicep     - the same as a Bicep file
+// Add &inline=1 to an arm/bicep export to get { template, issues } as JSON instead, so the
+// untranslatable parts can be reviewed before downloading.
+
+import { createClient } from '@vercel/postgres';
+import { requireAuth, sendAuthError } from '../middleware/auth.js';
+import { isUuid } from '../../lib/flow-library.js';
+import { getOwnedFlow } from '../../lib/flow-revisions.js';
+import { buildFlowExport, hasExportableDefinition, PACKAGE_FORMATS } from '../../lib/flow-package.js';
+import { TEMPLATE_FORMATS, buildLogicAppModel, renderArmTemplate, renderBicep } from '../../lib/logic-app-export.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let userId;
+  try {
+    userId = await requireAuth(req);
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+
+  const { id, format = 'package', inline } = req.query;
+
+  if (!id) {
+    return res.status(400).json({ error: 'Flow id is required' });
+  }
+
+  if (!PACKAGE_FORMATS.includes(format)) {
+    return res.status(400).json({ error: 'Unknown format', validFormats: PACKAGE_FORMATS });
+  }
+
+  const client = createClient();
+  await client.connect();
+
+  try {
+    const flow = isUuid(id) ? await getOwnedFlow(client, id, userId) : null;
+    if (!flow) {
+      return res.status(404).json({ error: 'Flow not found' });
+    }
+
+    if (!hasExportableDefinition(flow.generated_json)) {
+      return res.status(400).json({ error: 'Flow has no definition to export' });
+    }
+
+    if (TEMPLATE_FORMATS.includes(format) && (inline === '1' || inline === 'true')) {
+      const model = buildLogicAppModel(flow);
+      return res.status(200).json({
+        flowId: id,
+        format,
+        template: format === 'bicep' ? renderBicep(model) : renderArmTemplate(model),
+        connections: model.connections.map(({ key, managedApi, displayName }) => ({ key, managedApi, displayName })),
+        issues: model.issues
+      });
+    }
+
+    const { buffer, fileName } = buildFlowExport(flow, format);
+
+    await client.query(
+      'INSERT INTO usage_logs (user_id, action_type, metadata) VALUES ($1, $2, $3)',
+      [userId, 'flow_exported', JSON.stringify({ flowId: id, format, bytes: buffer.length })]
+    );
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Length', buffer.length);
+    return res.status(200).send(buffer);
+
+  } catch (error) {
+    console.error('Export error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  } finally {
+    await client.end();
+  }
+}
@@ -0,0 +1,56 @@
+// Flow library - list and search saved flows
+// Path: /api/flows
+// GET ?q=&from=&to=&success=&connector=&limit=&cursor=
+//   q         - full-text search over prompt and flow name
+//   from, to  - created_at range (ISO dates)
+//   success   - true | false
+//   connector - connector name, e.g. sharepointonline or shared_sharepointonline
+//   cursor    - nextCursor from the previous page
+// Also accepts an API key with the flows:read scope.
+
+import { createClient } from '@vercel/postgres';
+import { requireAuth, sendAuthError } from '../middleware/auth.js';
+import { listFlows, parseListQuery } from '../../lib/flow-library.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let userId;
+  try {
+    userId = await requireAuth(req, { apiKeyScope: 'flows:read' });
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+
+  const { options, error } = parseListQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const client = createClient();
+  await client.connect();
+
+  try {
+    const { flows, nextCursor } = await listFlows(client, userId, options);
+    return res.status(200).json({ flows, nextCursor });
+
+  } catch (error) {
+    console.error('Flow library error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  } finally {
+    await client.end();
+  }
+}
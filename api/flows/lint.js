@@ -0,0 +1,97 @@
+// Lint the expressions in a flow definition
+// Path: /api/flows/lint.js
+// POST { definition }           - uploaded flow JSON (bare definition or full flow)
+// POST { flowId[, revisionId] } - a saved flow, or one of its revisions
+// POST { expression }           - a single value, e.g. "@body('Get_items')?['value']"
+// Returns { valid, diagnostics } where each diagnostic is { severity, code, message, path }.
+
+import { createClient } from '@vercel/postgres';
+import { requireAuth, sendAuthError } from '../middleware/auth.js';
+import { isUuid } from '../../lib/flow-library.js';
+import { getOwnedFlow, getRevision } from '../../lib/flow-revisions.js';
+import { getDefinition, formatDiagnostics } from '../../lib/flow-validator.js';
+import { lintFlowExpressions, lintExpression } from '../../lib/expression-linter.js';
+
+function lintResult(diagnostics) {
+  return {
+    valid: !diagnostics.some(d => d.severity === 'error'),
+    diagnostics,
+    summary: diagnostics.length > 0 ? formatDiagnostics(diagnostics) : null
+  };
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let userId;
+  try {
+    userId = await requireAuth(req);
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+
+  const { definition, flowId, revisionId, expression } = req.body || {};
+
+  if (expression !== undefined) {
+    if (typeof expression !== 'string') {
+      return res.status(400).json({ error: 'expression must be a string' });
+    }
+    return res.status(200).json(lintResult(lintExpression(expression)));
+  }
+
+  if (definition !== undefined) {
+    const body = getDefinition(definition);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return res.status(400).json({ error: 'definition must be a flow definition object' });
+    }
+    return res.status(200).json(lintResult(lintFlowExpressions(definition)));
+  }
+
+  if (!flowId) {
+    return res.status(400).json({ error: 'Provide a definition, a flowId or an expression' });
+  }
+
+  const client = createClient();
+  await client.connect();
+
+  try {
+    const flow = isUuid(flowId) ? await getOwnedFlow(client, flowId, userId) : null;
+    if (!flow) {
+      return res.status(404).json({ error: 'Flow not found' });
+    }
+
+    let target = flow.generated_json;
+    if (revisionId) {
+      const revision = isUuid(revisionId) ? await getRevision(client, flow.id, revisionId) : null;
+      if (!revision) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+      target = revision.generated_json;
+    }
+
+    if (!target) {
+      return res.status(400).json({ error: 'Flow has no definition' });
+    }
+
+    return res.status(200).json(lintResult(lintFlowExpressions(target)));
+
+  } catch (error) {
+    console.error('Lint error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  } finally {
+    await client.end();
+  }
+}
@@ -0,0 +1,246 @@
+// Conversational refinement of saved flows
+// Path: /api/flows/refine.js
+// POST { flowId, instruction, avoidPremium } - applies the instruction to the flow's current
+// definition and stores the result as a new revision linked to the one it was made from
+
+import { createClient } from '@vercel/postgres';
+import { requireAuth, sendAuthError } from '../middleware/auth.js';
+import { isUuid } from '../../lib/flow-library.js';
+import { refineFlow } from '../../lib/flow-generator.js';
+import { getProvider, LlmError } from '../../lib/llm/index.js';
+import { formatDiagnostics } from '../../lib/flow-validator.js';
+import { analyzeConnectors } from '../../lib/connectors.js';
+import { getOwnedFlow, ensureBaseRevision, createRevision } from '../../lib/flow-revisions.js';
+import { checkUserInput, PromptGuardError, logBlockedAttempt } from '../../lib/prompt-guard.js';
+import { reserveUsage, releaseUsage, commitUsage, limitExceededResponse, calculateCost, tokensSpent } from '../../lib/usage.js';
+import { wantsEventStream, openEventStream, finish } from '../../lib/sse.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let userId;
+  try {
+    userId = await requireAuth(req);
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+
+  const { flowId, instruction, avoidPremium } = req.body || {};
+
+  if (!flowId) {
+    return res.status(400).json({ error: 'flowId is required' });
+  }
+
+  if (typeof instruction !== 'string' || instruction.trim().length === 0) {
+    return res.status(400).json({ error: 'Instruction is required' });
+  }
+
+  const client = createClient();
+  await client.connect();
+  let stream = null;
+  let reservation = null;
+
+  try {
+    const flow = isUuid(flowId) ? await getOwnedFlow(client, flowId, userId) : null;
+    if (!flow) {
+      return res.status(404).json({ error: 'Flow not found' });
+    }
+
+    if (!flow.generated_json) {
+      return res.status(400).json({ error: 'Flow has no definition to refine' });
+    }
+
+    // Reject input that could break out of its delimiters or hide instructions
+    try {
+      checkUserInput('instruction', instruction, { required: true });
+    } catch (error) {
+      if (!(error instanceof PromptGuardError)) throw error;
+      await logBlockedAttempt(client, userId, {
+        stage: 'input',
+        code: error.code,
+        field: error.field,
+        endpoint: 'flows/refine',
+        text: instruction
+      });
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    // Refinements don't count as new flows but do spend the monthly token budget; the
+    // reservation is settled with the tokens spent however the request ends
+    const reserved = await reserveUsage(client, userId, { countFlow: false });
+    if (!reserved.status) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!reserved.reservation) {
+      return res.status(429).json(limitExceededResponse(reserved.status));
+    }
+    reservation = reserved.reservation;
+
+    let provider;
+    try {
+      provider = getProvider({ tier: reserved.status.tier });
+    } catch (error) {
+      console.error('LLM provider not configured:', error.message);
+      await releaseUsage(client, reservation);
+      return res.status(500).json({ error: 'LLM provider not configured', message: error.message });
+    }
+
+    const parent = await ensureBaseRevision(client, flow);
+
+    if (wantsEventStream(req)) {
+      stream = openEventStream(res);
+      stream.send('started', { flowId, parentRevision: parent.revision_number });
+    }
+
+    console.log(`Refining flow ${flowId} (revision ${parent.revision_number}) for user ${userId}...`);
+    const startTime = Date.now();
+
+    const result = await refineFlow({
+      provider,
+      flow: flow.generated_json,
+      instruction,
+      avoidPremium: !!avoidPremium,
+      onEvent: stream?.send,
+      signal: stream?.signal
+    });
+    const generationTime = (Date.now() - startTime) / 1000;
+    const cost = calculateCost(result.model, result.usage);
+    const tokensUsed = cost.totalTokens;
+
+    // Nothing to save, but the tokens were still spent
+    if (!result.flow) {
+      await releaseUsage(client, reservation, { totalTokens: tokensUsed });
+    }
+
+    if (result.blocked) {
+      await logBlockedAttempt(client, userId, { stage: 'output', code: result.blocked.code, endpoint: 'flows/refine', text: instruction });
+      return finish(res, stream, 422, {
+        error: 'Generated output was rejected',
+        code: result.blocked.code,
+        message: result.blocked.message,
+        attempts: result.attempts
+      });
+    }
+
+    if (!result.rawText) {
+      return finish(res, stream, 500, { error: 'No flow JSON returned from Claude' });
+    }
+
+    if (!result.flow) {
+      return finish(res, stream, 500, {
+        error: 'Invalid JSON returned from Claude',
+        rawResponse: result.rawJson.substring(0, 500),
+        attempts: result.attempts
+      });
+    }
+
+    // A client that disconnects now has already been streamed the whole flow, so the
+    // revision is saved and charged all the same
+    if (stream?.signal.aborted) {
+      console.log(`Client disconnected after refinement of flow ${flowId} was streamed; saving it anyway`);
+    }
+
+    const validation = { ...result.validation, attempts: result.attempts };
+
+    const revision = await createRevision(client, {
+      flowId,
+      parentRevisionId: parent.id,
+      instruction,
+      definition: result.flow,
+      cost,
+      model: result.model,
+      success: validation.valid,
+      errorMessage: validation.valid
+        ? null
+        : `Validation failed after ${result.attempts} attempts:\n${formatDiagnostics(validation.diagnostics)}`
+    });
+
+    await commitUsage(client, reservation, { totalTokens: tokensUsed });
+
+    await client.query(
+      'INSERT INTO usage_logs (user_id, action_type, metadata) VALUES ($1, $2, $3)',
+      [userId, 'flow_refined', JSON.stringify({
+        flowId,
+        revisionId: revision.id,
+        revisionNumber: revision.revision_number,
+        tokensUsed,
+        inputTokens: cost.inputTokens,
+        outputTokens: cost.outputTokens,
+        costUsd: cost.costUsd,
+        generationTime,
+        valid: validation.valid,
+        attempts: validation.attempts,
+        model: result.model
+      })]
+    );
+
+    stream?.send('saved', { flowId, revisionId: revision.id, revisionNumber: revision.revision_number });
+
+    console.log(`✅ Flow ${flowId} refined to revision ${revision.revision_number}`);
+
+    return finish(res, stream, 200, {
+      success: true,
+      flowId,
+      revision: {
+        id: revision.id,
+        number: revision.revision_number,
+        parentRevisionId: revision.parent_revision_id,
+        instruction: revision.instruction,
+        createdAt: revision.created_at
+      },
+      flow: result.flow,
+      rawJson: result.rawJson,
+      validation,
+      connectors: analyzeConnectors(result.flow),
+      stats: {
+        tokensUsed,
+        inputTokens: cost.inputTokens,
+        outputTokens: cost.outputTokens,
+        costUsd: cost.costUsd,
+        generationTime,
+        model: result.model
+      }
+    });
+
+  } catch (error) {
+    // Charge whatever the model spent before the failure or disconnect (a no-op once the
+    // reservation was settled)
+    if (reservation) {
+      try {
+        await releaseUsage(client, reservation, { totalTokens: tokensSpent(error) });
+      } catch (releaseError) {
+        console.error('Failed to release usage reservation:', releaseError);
+      }
+    }
+
+    if (stream?.signal.aborted) {
+      console.log(`Client disconnected, refinement of flow ${flowId} cancelled`);
+      return;
+    }
+
+    if (error instanceof LlmError) {
+      return finish(res, stream, error.status, {
+        error: error.message,
+        details: error.details
+      });
+    }
+
+    console.error('Refine error:', error);
+    return finish(res, stream, 500, {
+      error: 'Internal server error',
+      message: error.message
+    });
+  } finally {
+    await client.end();
+  }
+}
@@ -0,0 +1,144 @@
+// Flow revision history
+// Path: /api/flows/revisions.js
+// GET  ?flowId=...                      - list revisions of a flow
+// GET  ?flowId=...&revisionId=...       - fetch one revision including its definition
+// POST ?action=restore { flowId, revisionId } - make an earlier revision current again
+
+import { createClient } from '@vercel/postgres';
+import { requireAuth, sendAuthError } from '../middleware/auth.js';
+import { isUuid } from '../../lib/flow-library.js';
+import {
+  getOwnedFlow,
+  ensureBaseRevision,
+  listRevisions,
+  getRevision,
+  setCurrentRevision,
+  unsavedBaseRevision
+} from '../../lib/flow-revisions.js';
+
+function formatRevision(revision, currentRevisionId) {
+  return {
+    id: revision.id,
+    number: revision.revision_number,
+    parentRevisionId: revision.parent_revision_id,
+    instruction: revision.instruction,
+    tokensUsed: revision.tokens_used,
+    inputTokens: revision.input_tokens,
+    outputTokens: revision.output_tokens,
+    costUsd: revision.cost_usd === null ? null : Number(revision.cost_usd),
+    model: revision.model,
+    success: revision.success,
+    errorMessage: revision.error_message,
+    isCurrent: revision.id === currentRevisionId,
+    createdAt: revision.created_at
+  };
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  let userId;
+  try {
+    userId = await requireAuth(req);
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+
+  const client = createClient();
+  await client.connect();
+
+  try {
+    // LIST / FETCH
+    if (req.method === 'GET') {
+      const { flowId, revisionId } = req.query;
+      if (!flowId) {
+        return res.status(400).json({ error: 'flowId is required' });
+      }
+
+      const flow = isUuid(flowId) ? await getOwnedFlow(client, flowId, userId) : null;
+      if (!flow) {
+        return res.status(404).json({ error: 'Flow not found' });
+      }
+
+      // A flow that was never refined has no stored history; show its definition as
+      // revision 1 without storing it (that happens on the first refine or restore)
+      const stored = await listRevisions(client, flowId);
+      const revisions = stored.length > 0 ? stored : [unsavedBaseRevision(flow)];
+      const currentRevisionId = flow.current_revision_id || revisions[0].id;
+
+      if (revisionId) {
+        const revision = isUuid(revisionId) ? await getRevision(client, flowId, revisionId) : null;
+        if (!revision) {
+          return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        return res.status(200).json({
+          revision: {
+            ...formatRevision(revision, currentRevisionId),
+            flow: revision.generated_json
+          }
+        });
+      }
+
+      return res.status(200).json({
+        flowId,
+        currentRevisionId,
+        revisions: revisions.map(r => formatRevision(r, currentRevisionId))
+      });
+    }
+
+    // RESTORE
+    if (req.method === 'POST' && req.query.action === 'restore') {
+      const { flowId, revisionId } = req.body || {};
+      if (!flowId || !revisionId) {
+        return res.status(400).json({ error: 'flowId and revisionId are required' });
+      }
+
+      const flow = isUuid(flowId) ? await getOwnedFlow(client, flowId, userId) : null;
+      if (!flow) {
+        return res.status(404).json({ error: 'Flow not found' });
+      }
+
+      await ensureBaseRevision(client, flow);
+
+      const revision = isUuid(revisionId) ? await getRevision(client, flowId, revisionId) : null;
+      if (!revision) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+
+      await setCurrentRevision(client, flowId, revision);
+
+      await client.query(
+        'INSERT INTO usage_logs (user_id, action_type, metadata) VALUES ($1, $2, $3)',
+        [userId, 'flow_revision_restored', JSON.stringify({
+          flowId,
+          revisionId,
+          revisionNumber: revision.revision_number
+        })]
+      );
+
+      return res.status(200).json({
+        success: true,
+        revision: formatRevision(revision, revision.id),
+        flow: revision.generated_json
+      });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    console.error('Revisions error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  } finally {
+    await client.end();
+  }
+}
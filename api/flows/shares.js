@@ -0,0 +1,121 @@
+// Read-only share links for saved flows
+// Path: /api/flows/shares.js
+// GET    [?flowId=...]                  - the user's active share links, newest first
+// POST   { flowId[, expiresInDays] }    - create a link (never expires unless expiresInDays is set)
+// DELETE ?id=<shareId>                  - revoke a link; it stops working immediately
+// Links are opened with /api/share?token=...
+
+import { createClient } from '@vercel/postgres';
+import { requireAuth, requireVerifiedEmail, sendAuthError } from '../middleware/auth.js';
+import { getOwnedFlow } from '../../lib/flow-revisions.js';
+import { isUuid } from '../../lib/flow-library.js';
+import {
+  ShareError,
+  parseShareExpiry,
+  formatShare,
+  createShare,
+  listShares,
+  revokeShare
+} from '../../lib/flow-shares.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let userId;
+  try {
+    userId = await requireAuth(req);
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+
+  const client = createClient();
+  await client.connect();
+
+  try {
+    // LIST
+    if (req.method === 'GET') {
+      const { flowId } = req.query;
+      if (flowId !== undefined && !isUuid(flowId)) {
+        return res.status(404).json({ error: 'Flow not found' });
+      }
+
+      const shares = await listShares(client, userId, { flowId: flowId || null });
+      return res.status(200).json({ shares: shares.map(formatShare) });
+    }
+
+    // CREATE - links are public, so the account must have a confirmed email address
+    if (req.method === 'POST') {
+      try {
+        requireVerifiedEmail(req.auth.user);
+      } catch (error) {
+        return sendAuthError(res, error);
+      }
+
+      const { flowId, expiresInDays } = req.body || {};
+      if (!flowId) {
+        return res.status(400).json({ error: 'flowId is required' });
+      }
+
+      let days;
+      try {
+        days = parseShareExpiry(expiresInDays);
+      } catch (error) {
+        if (!(error instanceof ShareError)) throw error;
+        return res.status(error.status).json({ error: error.message });
+      }
+
+      const flow = isUuid(flowId) ? await getOwnedFlow(client, flowId, userId) : null;
+      if (!flow) {
+        return res.status(404).json({ error: 'Flow not found' });
+      }
+      if (!flow.generated_json) {
+        return res.status(400).json({ error: 'Flow has no definition to share' });
+      }
+
+      const share = await createShare(client, { flowId, userId, expiresInDays: days });
+
+      await client.query(
+        'INSERT INTO usage_logs (user_id, action_type, metadata) VALUES ($1, $2, $3)',
+        [userId, 'flow_shared', JSON.stringify({ flowId, shareId: share.id, expiresInDays: days })]
+      );
+
+      return res.status(201).json({
+        success: true,
+        share: formatShare({ ...share, flow_name: flow.flow_name })
+      });
+    }
+
+    // REVOKE
+    const { id } = req.query;
+    const share = isUuid(id) ? await revokeShare(client, id, userId) : null;
+    if (!share) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+
+    await client.query(
+      'INSERT INTO usage_logs (user_id, action_type, metadata) VALUES ($1, $2, $3)',
+      [userId, 'flow_share_revoked', JSON.stringify({ flowId: share.flow_id, shareId: share.id })]
+    );
+
+    return res.status(200).json({ success: true, revoked: share.id });
+
+  } catch (error) {
+    console.error('Share error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  } finally {
+    await client.end();
+  }
+}
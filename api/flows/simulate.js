@@ -0,0 +1,117 @@
+// Dry-run a flow definition locally with mocked connectors
+// Path: /api/flows/simulate.js
+// POST { definition, ... }           - uploaded flow JSON (bare definition or full flow)
+// POST { flowId[, revisionId], ... } - a saved flow, or one of its revisions
+// Other body fields:
+//   trigger     - trigger outputs for the run: { body, headers }
+//   mocks       - { [actionName]: { statusCode?, headers?, body } | { status, outputs, error } }
+//                 or an array of those to answer successive calls (e.g. inside a loop)
+//   parameters  - parameter values overriding the definition's defaults
+//   now         - ISO timestamp used by utcNow() and friends
+// Returns { status, error, trigger, actions, variables, response, steps } where actions
+// is the run trace. Definitions that fail validation are rejected with 422.
+
+import { createClient } from '@vercel/postgres';
+import { requireAuth, sendAuthError } from '../middleware/auth.js';
+import { isUuid } from '../../lib/flow-library.js';
+import { getOwnedFlow, getRevision } from '../../lib/flow-revisions.js';
+import { getDefinition, validateFlowDefinition } from '../../lib/flow-validator.js';
+import { simulateFlow } from '../../lib/flow-simulator.js';
+
+function sendSimulation(res, flow, options) {
+  const validation = validateFlowDefinition(flow);
+  if (!validation.valid) {
+    return res.status(422).json({
+      error: 'Flow definition is invalid',
+      diagnostics: validation.diagnostics
+    });
+  }
+
+  return res.status(200).json(simulateFlow(flow, options));
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let userId;
+  try {
+    userId = await requireAuth(req);
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+
+  const { definition, flowId, revisionId, trigger, mocks = {}, parameters = {}, now } = req.body || {};
+
+  if (!mocks || typeof mocks !== 'object' || Array.isArray(mocks)) {
+    return res.status(400).json({ error: 'mocks must be an object keyed by action name' });
+  }
+  if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+    return res.status(400).json({ error: 'parameters must be an object' });
+  }
+  if (trigger !== undefined && (!trigger || typeof trigger !== 'object' || Array.isArray(trigger))) {
+    return res.status(400).json({ error: 'trigger must be an object such as { body, headers }' });
+  }
+  if (now !== undefined && Number.isNaN(new Date(now).getTime())) {
+    return res.status(400).json({ error: 'now must be an ISO 8601 timestamp' });
+  }
+
+  const options = { trigger, mocks, parameters, now };
+
+  let client = null;
+
+  try {
+    if (definition !== undefined) {
+      const body = getDefinition(definition);
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return res.status(400).json({ error: 'definition must be a flow definition object' });
+      }
+      return sendSimulation(res, definition, options);
+    }
+
+    if (!flowId) {
+      return res.status(400).json({ error: 'Provide a definition or a flowId' });
+    }
+
+    client = createClient();
+    await client.connect();
+
+    const flow = isUuid(flowId) ? await getOwnedFlow(client, flowId, userId) : null;
+    if (!flow) {
+      return res.status(404).json({ error: 'Flow not found' });
+    }
+
+    let target = flow.generated_json;
+    if (revisionId) {
+      const revision = isUuid(revisionId) ? await getRevision(client, flow.id, revisionId) : null;
+      if (!revision) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+      target = revision.generated_json;
+    }
+
+    if (!target) {
+      return res.status(400).json({ error: 'Flow has no definition' });
+    }
+
+    return sendSimulation(res, target, options);
+
+  } catch (error) {
+    console.error('Simulation error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  } finally {
+    if (client) await client.end();
+  }
+}
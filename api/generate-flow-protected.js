@@ -1,12 +1,34 @@
 // Updated Flow Generation API with Auth & Usage Limits
 // Path: /api/generate-flow-protected.js
+// Accepts a browser session or an API key with the flows:generate scope (Bearer gf_live_...).
+// Send an Idempotency-Key header to make retries safe: a repeated request with the same
+// key and body gets the stored response (marked Idempotent-Replayed: true) instead of
+// generating and counting a second flow.
 
 import { createClient } from '@vercel/postgres';
+import { generateFlow } from '../lib/flow-generator.js';
+import { getProvider, LlmError } from '../lib/llm/index.js';
+import { wantsEventStream, openEventStream, finish } from '../lib/sse.js';
+import { fillTemplate, TemplateError } from '../lib/templates.js';
+import { saveGeneratedFlow } from '../lib/flow-library.js';
+import { authenticate, sendAuthError } from './middleware/auth.js';
+import { checkUserInput, PromptGuardError, logBlockedAttempt } from '../lib/prompt-guard.js';
+import { reserveUsage, releaseUsage, limitExceededResponse, calculateCost, tokensSpent } from '../lib/usage.js';
+import {
+  getIdempotencyKey,
+  IdempotencyError,
+  hashRequest,
+  beginIdempotentRequest,
+  idempotencyConflictResponse,
+  completeIdempotentRequest,
+  abandonIdempotentRequest
+} from '../lib/idempotency.js';
 
 export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept, Idempotency-Key');
+  res.setHeader('Access-Control-Expose-Headers', 'Idempotent-Replayed');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -16,206 +38,275 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  let user;
+  try {
+    user = await authenticate(req, { apiKeyScope: 'flows:generate' });
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+  const userId = user.id;
+  // Usage made with an API key is attributed to it
+  const apiKeyId = req.auth.apiKeyId || null;
+
   const client = createClient();
   await client.connect();
+  let stream = null;
+  let idempotency = null;
+  let reservation = null;
+
+  // Answer the request, storing the answer first when it was sent with an Idempotency-Key
+  const reply = async (status, body) => {
+    if (idempotency) {
+      try {
+        await completeIdempotentRequest(client, idempotency, status, body);
+      } catch (storeError) {
+        console.error('Failed to store idempotent response:', storeError);
+      }
+      idempotency = null;
+    }
+    return finish(res, stream, status, body);
+  };
 
   try {
-    const { prompt, flowName, userId } = req.body;
-
-    // Validate input
-    if (!prompt || prompt.trim().length === 0) {
-      return res.status(400).json({ error: 'Prompt is required' });
+    let idempotencyKey;
+    try {
+      idempotencyKey = getIdempotencyKey(req);
+    } catch (error) {
+      if (!(error instanceof IdempotencyError)) throw error;
+      return res.status(error.status).json({ error: error.message });
     }
 
-    if (!userId) {
-      return res.status(401).json({ error: 'User ID required' });
+    const { flowName, templateId, templateVersion, variables, avoidPremium } = req.body;
+    let { prompt } = req.body;
+
+    // Fill the prompt from a template when one is requested
+    let template = null;
+    if (templateId) {
+      try {
+        template = fillTemplate(templateId, templateVersion, variables);
+      } catch (error) {
+        if (!(error instanceof TemplateError)) throw error;
+        return res.status(error.status).json({ error: error.message, details: error.details });
+      }
+      prompt = template.prompt;
     }
 
-    // Get user and check limits
-    const userResult = await client.query(
-      'SELECT * FROM users WHERE id = $1',
-      [userId]
-    );
+    // Validate input
+    if (typeof prompt !== 'string' || prompt.trim().length === 0) {
+      return res.status(400).json({ error: 'Prompt is required' });
+    }
 
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+    // Reject input that could break out of its delimiters or hide instructions
+    try {
+      checkUserInput('prompt', prompt, { required: true });
+      checkUserInput('flowName', flowName);
+    } catch (error) {
+      if (!(error instanceof PromptGuardError)) throw error;
+      await logBlockedAttempt(client, userId, {
+        stage: 'input',
+        code: error.code,
+        field: error.field,
+        endpoint: 'generate-flow-protected',
+        text: { prompt, flowName }[error.field]
+      });
+      return res.status(error.status).json({ error: error.message, code: error.code });
     }
 
-    const user = userResult.rows[0];
+    // A retry of a request we've already answered gets the same answer
+    if (idempotencyKey) {
+      const { state, record } = await beginIdempotentRequest(client, {
+        userId,
+        endpoint: 'generate-flow-protected',
+        key: idempotencyKey,
+        requestHash: hashRequest(req.body)
+      });
 
-    // Check usage limits
-    const limits = {
-      free: 3,
-      pro: 50,
-      enterprise: 999999
-    };
+      if (state === 'replay') {
+        res.setHeader('Idempotent-Replayed', 'true');
+        if (wantsEventStream(req)) stream = openEventStream(res);
+        return finish(res, stream, record.response_status, record.response_body);
+      }
 
-    const limit = limits[user.subscription_tier] || 3;
-    const remaining = limit - user.flows_generated_this_month;
+      const conflict = idempotencyConflictResponse(state);
+      if (conflict) {
+        return res.status(conflict.status).json(conflict.body);
+      }
+      idempotency = record;
+    }
 
-    if (remaining <= 0) {
-      return res.status(429).json({ 
-        error: 'Usage limit exceeded',
-        limit: limit,
-        used: user.flows_generated_this_month,
-        tier: user.subscription_tier,
-        upgradeRequired: true
-      });
+    // Reserve a flow against the monthly limit and token budget; the reservation is
+    // committed when the flow is saved and released if generation doesn't produce one
+    const reserved = await reserveUsage(client, userId);
+    const status = reserved.status;
+    if (!status) {
+      return reply(404, { error: 'User not found' });
     }
+    if (!reserved.reservation) {
+      return reply(429, limitExceededResponse(status));
+    }
+    reservation = reserved.reservation;
 
-    // Get Claude API key
-    const apiKey = process.env.ANTHROPIC_API_KEY;
-    if (!apiKey) {
-      console.error('ANTHROPIC_API_KEY not configured');
-      return res.status(500).json({ error: 'API key not configured' });
+    // Resolve the LLM provider configured for this tier and environment
+    let provider;
+    try {
+      provider = getProvider({ tier: user.subscription_tier });
+    } catch (error) {
+      console.error('LLM provider not configured:', error.message);
+      await releaseUsage(client, reservation);
+      return reply(500, { error: 'LLM provider not configured', message: error.message });
     }
 
-    // Call Claude API
-    console.log(`Generating flow for user ${userId} (${user.subscription_tier})...`);
+    console.log(`Generating flow for user ${userId} (${user.subscription_tier}) with ${provider.name} (${provider.model})...`);
     const startTime = Date.now();
 
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 4000,
-        messages: [
-          {
-            role: 'user',
-            content: `You are a Power Automate flow generation expert. Generate a complete, valid Power Automate Cloud Flow JSON definition based on this request:
-
-"${prompt}"
-
-${flowName ? `Flow name should be: "${flowName}"` : ''}
-
-CRITICAL REQUIREMENTS:
-1. Use ONLY the standard Power Automate schema: "https://schema.management.azure.com/providers/Microsoft.Logic/schemas/2016-06-01/workflowdefinition.json#"
-2. Include proper contentVersion: "1.0.0.0"
-3. Use valid triggers (manual, recurrence, SharePoint, etc.)
-4. Use valid actions with proper runAfter dependencies
-5. Include connection references where needed
-6. Return ONLY the JSON - no markdown, no explanations
-7. Ensure all expressions use proper Power Automate syntax (@{}, triggerOutputs(), etc.)
-8. Make sure the flow is production-ready and follows best practices
-
-Generate the flow JSON now:`
-          }
-        ]
-      })
-    });
-
-    if (!response.ok) {
-      const errorData = await response.text();
-      console.error('Claude API error:', response.status, errorData);
-      return res.status(response.status).json({
-        error: `Claude API error: ${response.status}`,
-        details: errorData
-      });
+    // Stream progress events instead of one JSON blob when the client asks for it
+    if (wantsEventStream(req)) {
+      stream = openEventStream(res);
+      stream.send('started', { flowName: flowName || null, tier: user.subscription_tier, remaining: status.remaining, tokensRemaining: status.tokensRemaining });
     }
 
-    const data = await response.json();
+    const result = await generateFlow({
+      provider,
+      prompt,
+      flowName,
+      system: template?.system,
+      avoidPremium: !!avoidPremium,
+      onEvent: stream?.send,
+      signal: stream?.signal
+    });
     const generationTime = (Date.now() - startTime) / 1000;
 
-    // Extract flow JSON
-    const flowJson = data.content.find(c => c.type === 'text')?.text;
-    if (!flowJson) {
-      console.error('No flow JSON in response');
-      return res.status(500).json({ error: 'No flow JSON returned from Claude' });
+    // Tokens reported by the provider, summed over every repair attempt
+    const cost = calculateCost(result.model, result.usage);
+    const tokensUsed = cost.totalTokens;
+
+    // Nothing to save: give the reserved flow back, but the tokens were still spent
+    if (!result.flow) {
+      await releaseUsage(client, reservation, { totalTokens: tokensUsed });
     }
 
-    // Clean up JSON
-    let cleanJson = flowJson.trim();
-    if (cleanJson.startsWith('```json')) {
-      cleanJson = cleanJson.replace(/```json\n?/, '').replace(/```$/, '').trim();
-    } else if (cleanJson.startsWith('```')) {
-      cleanJson = cleanJson.replace(/```\n?/, '').replace(/```$/, '').trim();
+    if (result.blocked) {
+      await logBlockedAttempt(client, userId, { stage: 'output', code: result.blocked.code, endpoint: 'generate-flow-protected', text: prompt });
+      return reply(422, {
+        error: 'Generated output was rejected',
+        code: result.blocked.code,
+        message: result.blocked.message,
+        attempts: result.attempts
+      });
     }
 
-    // Parse and validate
-    let parsed;
-    try {
-      parsed = JSON.parse(cleanJson);
-    } catch (parseError) {
-      console.error('Failed to parse flow JSON:', parseError);
-      return res.status(500).json({
+    if (!result.rawText) {
+      return reply(500, { error: 'No flow JSON returned from Claude' });
+    }
+
+    if (!result.flow) {
+      return reply(500, {
         error: 'Invalid JSON returned from Claude',
-        rawResponse: cleanJson.substring(0, 500)
+        rawResponse: result.rawJson.substring(0, 500),
+        attempts: result.attempts
       });
     }
 
-    // Calculate tokens used (approximate)
-    const tokensUsed = Math.ceil((prompt.length + flowJson.length) / 4);
-
-    // Save flow to database
-    const flowResult = await client.query(
-      `INSERT INTO flows (
-        user_id, flow_name, prompt, generated_json, tokens_used, 
-        generation_time_seconds, success
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
-      RETURNING id`,
-      [userId, flowName || 'Untitled Flow', prompt, parsed, tokensUsed, generationTime, true]
-    );
-
-    // Increment user flow count
-    await client.query(
-      `UPDATE users 
-       SET flows_generated_this_month = flows_generated_this_month + 1,
-           total_flows_generated = total_flows_generated + 1,
-           updated_at = CURRENT_TIMESTAMP
-       WHERE id = $1`,
-      [userId]
-    );
-
-    // Log usage
-    await client.query(
-      'INSERT INTO usage_logs (user_id, action_type, metadata) VALUES ($1, $2, $3)',
-      [userId, 'flow_generated', JSON.stringify({ 
-        flowId: flowResult.rows[0].id, 
-        tokensUsed, 
-        generationTime 
-      })]
-    );
+    // A client that disconnects now has already been streamed the whole flow, so it is
+    // saved and counted all the same; a retry with its Idempotency-Key gets it back
+    if (stream?.signal.aborted) {
+      console.log(`Client disconnected after the flow was streamed for user ${userId}; saving it anyway`);
+    }
+
+    // Save flow to database, count it and log usage
+    const { flowId, validation, connectors } = await saveGeneratedFlow(client, {
+      userId,
+      flowName,
+      prompt,
+      result,
+      generationTime,
+      template,
+      reservation,
+      logMetadata: apiKeyId ? { apiKeyId } : {}
+    });
+
+    stream?.send('saved', { flowId });
 
     console.log(`✅ Flow generated successfully for user ${userId}`);
 
-    return res.status(200).json({
+    return reply(200, {
       success: true,
-      flow: parsed,
-      rawJson: cleanJson,
+      flowId,
+      flow: result.flow,
+      rawJson: result.rawJson,
+      validation,
+      connectors,
+      template: template ? {
+        id: template.templateId,
+        version: template.templateVersion,
+        variables: template.variables
+      } : null,
       usage: {
-        tier: user.subscription_tier,
-        limit: limit,
-        used: user.flows_generated_this_month + 1,
-        remaining: remaining - 1
+        tier: status.tier,
+        limit: status.limit,
+        used: status.used + 1,
+        remaining: status.remaining,
+        tokenBudget: status.tokenBudget,
+        tokensUsed: status.tokensUsed + tokensUsed,
+        tokensRemaining: Math.max(0, status.tokensRemaining - tokensUsed)
       },
       stats: {
         tokensUsed,
-        generationTime
+        inputTokens: cost.inputTokens,
+        outputTokens: cost.outputTokens,
+        costUsd: cost.costUsd,
+        generationTime,
+        model: result.model
       }
     });
 
   } catch (error) {
+    // Give the reserved flow back (a no-op once the flow was saved and it was committed),
+    // charging whatever the model spent before the failure or disconnect
+    if (reservation) {
+      try {
+        await releaseUsage(client, reservation, { totalTokens: tokensSpent(error) });
+      } catch (releaseError) {
+        console.error('Failed to release usage reservation:', releaseError);
+      }
+    }
+
+    if (stream?.signal.aborted) {
+      console.log(`Client disconnected, generation cancelled for user ${userId}`);
+      if (idempotency) {
+        try {
+          await abandonIdempotentRequest(client, idempotency);
+        } catch (abandonError) {
+          console.error('Failed to free idempotency key:', abandonError);
+        }
+      }
+      return;
+    }
+
+    if (error instanceof LlmError) {
+      return reply(error.status, {
+        error: error.message,
+        details: error.details
+      });
+    }
+
     console.error('Server error:', error);
     
     // Log error
     try {
       await client.query(
         'INSERT INTO usage_logs (user_id, action_type, metadata) VALUES ($1, $2, $3)',
-        [req.body.userId, 'flow_generation_error', JSON.stringify({ 
+        [userId, 'flow_generation_error', JSON.stringify({ 
           error: error.message,
-          prompt: req.body.prompt?.substring(0, 100)
+          prompt: req.body.prompt?.substring(0, 100),
+          ...(apiKeyId && { apiKeyId })
         })]
       );
     } catch (logError) {
       console.error('Failed to log error:', logError);
     }
 
-    return res.status(500).json({
+    return reply(500, {
       error: 'Internal server error',
       message: error.message
     });
@@ -1,11 +1,18 @@
 // Vercel Serverless Function - Generate Flow with Claude API
 // Path: /api/generate-flow.js
 
+import { generateFlow } from '../lib/flow-generator.js';
+import { getProvider, LlmError } from '../lib/llm/index.js';
+import { wantsEventStream, openEventStream, finish } from '../lib/sse.js';
+import { analyzeConnectors } from '../lib/connectors.js';
+import { checkUserInput, PromptGuardError, logBlockedAttempt } from '../lib/prompt-guard.js';
+import { sql } from '@vercel/postgres';
+
 export default async function handler(req, res) {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
 
   // Handle preflight request
   if (req.method === 'OPTIONS') {
@@ -17,110 +24,115 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  let stream = null;
+
   try {
-    const { prompt, flowName } = req.body;
+    const { prompt, flowName, avoidPremium } = req.body;
 
     // Validate input
-    if (!prompt || prompt.trim().length === 0) {
+    if (typeof prompt !== 'string' || prompt.trim().length === 0) {
       return res.status(400).json({ error: 'Prompt is required' });
     }
 
-    // Get Claude API key from environment variable
-    const apiKey = process.env.ANTHROPIC_API_KEY;
-    if (!apiKey) {
-      console.error('ANTHROPIC_API_KEY not configured');
-      return res.status(500).json({ error: 'API key not configured' });
+    // Reject input that could break out of its delimiters or hide instructions
+    try {
+      checkUserInput('prompt', prompt, { required: true });
+      checkUserInput('flowName', flowName);
+    } catch (error) {
+      if (!(error instanceof PromptGuardError)) throw error;
+      await logBlockedAttempt(sql, null, {
+        stage: 'input',
+        code: error.code,
+        field: error.field,
+        endpoint: 'generate-flow',
+        text: { prompt, flowName }[error.field]
+      });
+      return res.status(error.status).json({ error: error.message, code: error.code });
     }
 
-    // Call Claude API
-    console.log('Calling Claude API...');
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 4000,
-        messages: [
-          {
-            role: 'user',
-            content: `You are a Power Automate flow generation expert. Generate a complete, valid Power Automate Cloud Flow JSON definition based on this request:
-
-"${prompt}"
-
-${flowName ? `Flow name should be: "${flowName}"` : ''}
-
-CRITICAL REQUIREMENTS:
-1. Use ONLY the standard Power Automate schema: "https://schema.management.azure.com/providers/Microsoft.Logic/schemas/2016-06-01/workflowdefinition.json#"
-2. Include proper contentVersion: "1.0.0.0"
-3. Use valid triggers (manual, recurrence, SharePoint, etc.)
-4. Use valid actions with proper runAfter dependencies
-5. Include connection references where needed
-6. Return ONLY the JSON - no markdown, no explanations
-7. Ensure all expressions use proper Power Automate syntax (@{}, triggerOutputs(), etc.)
-8. Make sure the flow is production-ready and follows best practices
-
-Generate the flow JSON now:`
-          }
-        ]
-      })
-    });
-
-    if (!response.ok) {
-      const errorData = await response.text();
-      console.error('Claude API error:', response.status, errorData);
-      return res.status(response.status).json({
-        error: `Claude API error: ${response.status}`,
-        details: errorData
-      });
+    // Resolve the LLM provider configured for this environment
+    let provider;
+    try {
+      provider = getProvider();
+    } catch (error) {
+      console.error('LLM provider not configured:', error.message);
+      return res.status(500).json({ error: 'LLM provider not configured', message: error.message });
     }
 
-    const data = await response.json();
-    console.log('Claude API response received');
+    // Stream progress events instead of one JSON blob when the client asks for it
+    if (wantsEventStream(req)) {
+      stream = openEventStream(res);
+      stream.send('started', { flowName: flowName || null });
+    }
 
-    // Extract the flow JSON from Claude's response
-    const flowJson = data.content.find(c => c.type === 'text')?.text;
+    // Generate, validate and repair the flow
+    console.log(`Calling ${provider.name} (${provider.model})...`);
+    const result = await generateFlow({
+      provider,
+      prompt,
+      flowName,
+      avoidPremium: !!avoidPremium,
+      onEvent: stream?.send,
+      signal: stream?.signal
+    });
 
-    if (!flowJson) {
-      console.error('No flow JSON in response');
-      return res.status(500).json({ error: 'No flow JSON returned from Claude' });
+    if (result.blocked) {
+      await logBlockedAttempt(sql, null, { stage: 'output', code: result.blocked.code, endpoint: 'generate-flow', text: prompt });
+      return finish(res, stream, 422, {
+        error: 'Generated output was rejected',
+        code: result.blocked.code,
+        message: result.blocked.message,
+        attempts: result.attempts
+      });
     }
 
-    // Clean up the JSON (remove markdown formatting if present)
-    let cleanJson = flowJson.trim();
-    if (cleanJson.startsWith('```json')) {
-      cleanJson = cleanJson.replace(/```json\n?/, '').replace(/```$/, '').trim();
-    } else if (cleanJson.startsWith('```')) {
-      cleanJson = cleanJson.replace(/```\n?/, '').replace(/```$/, '').trim();
+    if (!result.rawText) {
+      return finish(res, stream, 500, { error: 'No flow JSON returned from Claude' });
     }
 
-    // Parse to validate it's valid JSON
-    let parsed;
-    try {
-      parsed = JSON.parse(cleanJson);
-    } catch (parseError) {
-      console.error('Failed to parse flow JSON:', parseError);
-      return res.status(500).json({
+    if (!result.flow) {
+      return finish(res, stream, 500, {
         error: 'Invalid JSON returned from Claude',
-        rawResponse: cleanJson.substring(0, 500)
+        rawResponse: result.rawJson.substring(0, 500),
+        attempts: result.attempts
       });
     }
 
-    console.log('Flow generated successfully');
+    if (result.validation.valid) {
+      console.log('Flow generated successfully');
+    } else {
+      console.warn(`Flow still invalid after ${result.attempts} attempts`);
+    }
 
     // Return the generated flow
-    return res.status(200).json({
+    return finish(res, stream, 200, {
       success: true,
-      flow: parsed,
-      rawJson: cleanJson
+      flow: result.flow,
+      rawJson: result.rawJson,
+      validation: {
+        ...result.validation,
+        attempts: result.attempts
+      },
+      connectors: analyzeConnectors(result.flow),
+      usage: result.usage,
+      model: result.model
     });
 
   } catch (error) {
+    if (stream?.signal.aborted) {
+      console.log('Client disconnected, generation cancelled');
+      return;
+    }
+
+    if (error instanceof LlmError) {
+      return finish(res, stream, error.status, {
+        error: error.message,
+        details: error.details
+      });
+    }
+
     console.error('Server error:', error);
-    return res.status(500).json({
+    return finish(res, stream, 500, {
       error: 'Internal server error',
       message: error.message
     });
@@ -0,0 +1,67 @@
+// Bulk generation jobs - a single job
+// Path: /api/jobs/:id
+// GET    - job progress and every item's status, flow id and error
+// DELETE - cancel the job; pending items are cancelled, a running item finishes
+
+import { createClient } from '@vercel/postgres';
+import { requireAuth, sendAuthError } from '../middleware/auth.js';
+import { isUuid } from '../../lib/flow-library.js';
+import { getOwnedJob, listJobItems, cancelJob, formatJob, formatJobItem } from '../../lib/generation-jobs.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['GET', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let userId;
+  try {
+    userId = await requireAuth(req);
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+
+  const { id } = req.query;
+  if (!isUuid(id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const client = createClient();
+  await client.connect();
+
+  try {
+    let job = await getOwnedJob(client, id, userId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (req.method === 'DELETE') {
+      if (job.status === 'completed') {
+        return res.status(409).json({ error: 'Job has already completed' });
+      }
+      job = await cancelJob(client, id);
+    }
+
+    const items = await listJobItems(client, id);
+    return res.status(200).json({
+      job: formatJob(job),
+      items: items.map(formatJobItem)
+    });
+
+  } catch (error) {
+    console.error('Job error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  } finally {
+    await client.end();
+  }
+}
@@ -0,0 +1,75 @@
+// Bulk generation jobs - download results
+// Path: /api/jobs/download
+// GET ?id=<jobId> - zip with manifest.json (every item's status) and, for each saved
+// flow, definitions/NN-Name.json and the importable packages/NN-Name.zip. Available
+// while the job is still running too; it contains whatever has finished so far.
+
+import { createClient } from '@vercel/postgres';
+import { requireAuth, sendAuthError } from '../middleware/auth.js';
+import { isUuid } from '../../lib/flow-library.js';
+import { getOwnedJob, listJobItems, buildJobArchive } from '../../lib/generation-jobs.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let userId;
+  try {
+    userId = await requireAuth(req);
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+
+  const { id } = req.query;
+  if (!isUuid(id)) {
+    return res.status(400).json({ error: 'Job id is required' });
+  }
+
+  const client = createClient();
+  await client.connect();
+
+  try {
+    const job = await getOwnedJob(client, id, userId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const items = await listJobItems(client, id);
+    const flowIds = items.map(item => item.flow_id).filter(Boolean);
+    const flowsResult = flowIds.length > 0
+      ? await client.query('SELECT * FROM flows WHERE id = ANY($1::uuid[]) AND user_id = $2', [flowIds, userId])
+      : { rows: [] };
+    const flowsById = Object.fromEntries(flowsResult.rows.map(flow => [flow.id, flow]));
+
+    const buffer = buildJobArchive(job, items, flowsById);
+    const fileName = `job-${id.slice(0, 8)}.zip`;
+
+    await client.query(
+      'INSERT INTO usage_logs (user_id, action_type, metadata) VALUES ($1, $2, $3)',
+      [userId, 'job_downloaded', JSON.stringify({ jobId: id, flows: flowIds.length, bytes: buffer.length })]
+    );
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Length', buffer.length);
+    return res.status(200).send(buffer);
+
+  } catch (error) {
+    console.error('Job download error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  } finally {
+    await client.end();
+  }
+}
@@ -0,0 +1,94 @@
+// Bulk generation jobs
+// Path: /api/jobs
+// GET  - the user's recent jobs with their progress
+// POST - create a job from a list of prompts, as any of
+//          { items: [{ prompt, flowName }], name?, avoidPremium? }
+//          { csv: "prompt,flowName\n...", name?, avoidPremium? }
+//          raw CSV with Content-Type: text/csv (header row: prompt, flowName)
+//        Returns 202 with the job id. Items are then generated by POST /api/jobs/process
+//        and progress is polled with GET /api/jobs/:id.
+
+import { createClient } from '@vercel/postgres';
+import { requireAuth, sendAuthError } from '../middleware/auth.js';
+import { getUsageStatus, limitExceededResponse } from '../../lib/usage.js';
+import { parseJobInput, JobInputError, createJob, listJobs, formatJob } from '../../lib/generation-jobs.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let userId;
+  try {
+    userId = await requireAuth(req);
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+
+  const client = createClient();
+  await client.connect();
+
+  try {
+    if (req.method === 'GET') {
+      const jobs = await listJobs(client, userId);
+      return res.status(200).json({ jobs: jobs.map(formatJob) });
+    }
+
+    let input;
+    try {
+      input = parseJobInput(req.body, req.headers['content-type'] || '');
+    } catch (error) {
+      if (!(error instanceof JobInputError)) throw error;
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
+
+    const userResult = await client.query('SELECT * FROM users WHERE id = $1', [userId]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Each item is checked again when it is generated; this only turns away users who
+    // can't generate anything at all
+    const status = getUsageStatus(userResult.rows[0]);
+    if (!status.canGenerate) {
+      return res.status(429).json(limitExceededResponse(status));
+    }
+
+    const job = await createJob(client, userId, input);
+
+    await client.query(
+      'INSERT INTO usage_logs (user_id, action_type, metadata) VALUES ($1, $2, $3)',
+      [userId, 'job_created', JSON.stringify({ jobId: job.id, items: input.items.length })]
+    );
+
+    return res.status(202).json({
+      success: true,
+      job: formatJob(job),
+      warning: input.items.length > status.remaining
+        ? `Only ${status.remaining} flow(s) remain this month on the ${status.tier} tier; later items will fail with flow_limit`
+        : null,
+      links: {
+        status: `/api/jobs/${job.id}`,
+        process: '/api/jobs/process',
+        download: `/api/jobs/download?id=${job.id}`
+      }
+    });
+
+  } catch (error) {
+    console.error('Jobs error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  } finally {
+    await client.end();
+  }
+}
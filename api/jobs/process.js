@@ -0,0 +1,63 @@
+// Bulk generation jobs - generate the next item
+// Path: /api/jobs/process
+// POST { jobId } - generates one pending item of the job and saves it to flows.
+// Call it repeatedly (e.g. while polling) until `done` is true; several calls may run
+// at once and will pick up different items.
+
+import { createClient } from '@vercel/postgres';
+import { requireAuth, sendAuthError } from '../middleware/auth.js';
+import { isUuid } from '../../lib/flow-library.js';
+import { getOwnedJob, processNextItem, formatJob, formatJobItem } from '../../lib/generation-jobs.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let userId;
+  try {
+    userId = await requireAuth(req);
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+
+  const { jobId } = req.body || {};
+  if (!isUuid(jobId)) {
+    return res.status(400).json({ error: 'jobId is required' });
+  }
+
+  const client = createClient();
+  await client.connect();
+
+  try {
+    const job = await getOwnedJob(client, jobId, userId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const { job: updated, item } = await processNextItem(client, job);
+
+    return res.status(200).json({
+      job: formatJob(updated),
+      item: item ? formatJobItem(item) : null,
+      done: updated.status === 'completed' || updated.status === 'cancelled'
+    });
+
+  } catch (error) {
+    console.error('Job processing error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  } finally {
+    await client.end();
+  }
+}
@@ -0,0 +1,70 @@
+// Bulk generation jobs - retry failed items
+// Path: /api/jobs/retry
+// POST { jobId, itemIds? } - puts failed items (all of them, or just itemIds) back in the
+// queue; generate them again with POST /api/jobs/process.
+
+import { createClient } from '@vercel/postgres';
+import { requireAuth, sendAuthError } from '../middleware/auth.js';
+import { isUuid } from '../../lib/flow-library.js';
+import { getOwnedJob, retryFailedItems, refreshJob, formatJob } from '../../lib/generation-jobs.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let userId;
+  try {
+    userId = await requireAuth(req);
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+
+  const { jobId, itemIds } = req.body || {};
+  if (!isUuid(jobId)) {
+    return res.status(400).json({ error: 'jobId is required' });
+  }
+  if (itemIds !== undefined && (!Array.isArray(itemIds) || !itemIds.every(isUuid))) {
+    return res.status(400).json({ error: 'itemIds must be an array of item ids' });
+  }
+
+  const client = createClient();
+  await client.connect();
+
+  try {
+    const job = await getOwnedJob(client, jobId, userId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.status === 'cancelled') {
+      return res.status(409).json({ error: 'Job was cancelled' });
+    }
+
+    const retried = await retryFailedItems(client, jobId, itemIds || null);
+    const updated = await refreshJob(client, jobId);
+
+    return res.status(200).json({
+      success: true,
+      retried,
+      job: formatJob(updated)
+    });
+
+  } catch (error) {
+    console.error('Job retry error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  } finally {
+    await client.end();
+  }
+}
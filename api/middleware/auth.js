@@ -1,155 +1,126 @@
 // Authentication middleware for protected API routes
 // Path: /api/middleware/auth.js
+// Every protected route identifies its caller here; user ids supplied by the client are
+// never trusted.
+
+import { sql } from '@vercel/postgres';
+import crypto from 'crypto';
+import { parseCookies, getSession } from '../../lib/auth.js';
+import { isApiKey, findApiKey, touchApiKey } from '../../lib/api-keys.js';
+
+export class AuthError extends Error {
+  constructor(message, status = 401, code = 'unauthenticated') {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.code = code;
+  }
+}
 
-import { createClient } from '@vercel/postgres';
-
-export async function requireAuth(req) {
-  // Get auth token from header
+// Credentials on the request: an Authorization: Bearer header wins over the auth_token
+// cookie, so API clients behave the same whether or not a browser session exists
+function getCredentials(req) {
   const authHeader = req.headers.authorization;
-  
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    throw new Error('No authorization token provided');
+  if (authHeader) {
+    if (!authHeader.startsWith('Bearer ') || authHeader.length <= 7) {
+      throw new AuthError('Authorization header must be "Bearer <token>"');
+    }
+    return { scheme: 'bearer', token: authHeader.substring(7).trim() };
   }
 
-  const token = authHeader.substring(7);
-  
-  // Verify with Clerk (in production, use Clerk's verify function)
-  // For now, we'll use a simple JWT decode
-  // In production: import { verifyToken } from '@clerk/backend';
-  
-  try {
-    // Decode the Clerk session token
-    // const session = await verifyToken(token, { secretKey: process.env.CLERK_SECRET_KEY });
-    
-    // For MVP, we'll extract user ID from a simpler token
-    // TODO: Implement proper Clerk verification
-    
-    const userId = token; // Temporary - in production use Clerk session
-    
-    if (!userId) {
-      throw new Error('Invalid token');
-    }
+  const cookie = parseCookies(req.headers.cookie).auth_token;
+  if (cookie) return { scheme: 'cookie', token: cookie };
 
-    return userId;
-  } catch (error) {
-    throw new Error('Invalid or expired token');
-  }
+  return null;
 }
 
-export async function getUserFromDb(clerkUserId) {
-  const client = createClient();
-  await client.connect();
-
-  try {
-    const result = await client.query(
-      'SELECT * FROM users WHERE clerk_user_id = $1',
-      [clerkUserId]
-    );
+// Resolve the caller to their users row. Accepts a session access token as the auth_token
+// cookie or a Bearer token, and a gf_live_ API key as a Bearer token on routes that pass
+// the scope it needs as `apiKeyScope` (see lib/api-keys.js). Throws AuthError: 401 when
+// there are no usable credentials, 403 when the account or key may not use the route.
+// Sets req.auth = { user, method: 'session', sessionId } or { user, method: 'api_key', apiKeyId, scopes }.
+export async function authenticate(req, { apiKeyScope = null } = {}) {
+  const credentials = getCredentials(req);
+  if (!credentials) {
+    throw new AuthError('Authentication required');
+  }
 
-    if (result.rows.length === 0) {
-      return null;
+  let userId;
+  let auth;
+  if (credentials.scheme === 'bearer' && isApiKey(credentials.token)) {
+    const key = await findApiKey(credentials.token);
+    if (!key) {
+      throw new AuthError('Invalid or revoked API key', 401, 'invalid_token');
     }
-
-    return result.rows[0];
-  } finally {
-    await client.end();
+    if (!apiKeyScope) {
+      throw new AuthError('API keys cannot be used for this endpoint', 403, 'api_key_not_allowed');
+    }
+    if (!key.scopes.includes(apiKeyScope)) {
+      throw new AuthError(`This API key does not have the ${apiKeyScope} scope`, 403, 'insufficient_scope');
+    }
+    userId = key.user_id;
+    auth = { method: 'api_key', apiKeyId: key.id, scopes: key.scopes };
+  } else {
+    const session = await getSession(credentials.token);
+    if (!session) {
+      throw new AuthError('Invalid or expired token', 401, 'invalid_token');
+    }
+    userId = session.userId;
+    auth = { method: 'session', sessionId: session.sessionId };
   }
-}
 
-export async function createOrUpdateUser(userData) {
-  const client = createClient();
-  await client.connect();
-
-  try {
-    const { clerkUserId, email, name } = userData;
+  const result = await sql`SELECT * FROM users WHERE id = ${userId}`;
+  const user = result.rows[0];
+  if (!user) {
+    throw new AuthError('Invalid or expired token', 401, 'invalid_token');
+  }
+  if (user.is_active === false) {
+    throw new AuthError('This account has been deactivated', 403, 'account_inactive');
+  }
 
-    // Check if user exists
-    const existingUser = await client.query(
-      'SELECT * FROM users WHERE clerk_user_id = $1',
-      [clerkUserId]
-    );
+  if (auth.method === 'api_key') {
+    await touchApiKey(auth.apiKeyId);
+  }
 
-    if (existingUser.rows.length > 0) {
-      // Update existing user
-      const result = await client.query(
-        `UPDATE users 
-         SET email = $2, name = $3, last_login_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
-         WHERE clerk_user_id = $1
-         RETURNING *`,
-        [clerkUserId, email, name]
-      );
-      return result.rows[0];
-    } else {
-      // Create new user
-      const result = await client.query(
-        `INSERT INTO users (clerk_user_id, email, name, subscription_tier, flows_generated_this_month)
-         VALUES ($1, $2, $3, 'free', 0)
-         RETURNING *`,
-        [clerkUserId, email, name]
-      );
-      
-      // Log signup
-      await client.query(
-        'INSERT INTO usage_logs (user_id, action_type, metadata) VALUES ($1, $2, $3)',
-        [result.rows[0].id, 'signup', JSON.stringify({ email, name })]
-      );
+  req.auth = { user, ...auth };
+  return user;
+}
 
-      return result.rows[0];
-    }
-  } finally {
-    await client.end();
+// Throws AuthError 403 unless the authenticated user has confirmed their email address;
+// guards paid checkout, public share links and API keys
+export function requireVerifiedEmail(user) {
+  if (!user.email_verified_at) {
+    throw new AuthError('Verify your email address first', 403, 'email_not_verified');
   }
 }
 
-export async function checkUsageLimit(userId) {
-  const client = createClient();
-  await client.connect();
-
-  try {
-    const result = await client.query(
-      'SELECT subscription_tier, flows_generated_this_month FROM users WHERE id = $1',
-      [userId]
-    );
-
-    if (result.rows.length === 0) {
-      throw new Error('User not found');
-    }
-
-    const user = result.rows[0];
-    const limits = {
-      free: 3,
-      pro: 50,
-      enterprise: 999999
-    };
+// The authenticated caller's user id (see authenticate)
+export async function requireAuth(req, options = {}) {
+  const user = await authenticate(req, options);
+  return user.id;
+}
 
-    const limit = limits[user.subscription_tier] || 3;
-    const remaining = limit - user.flows_generated_this_month;
+// Operator-only endpoints: the X-Admin-Secret header must match ADMIN_SECRET. Refuses
+// everything when ADMIN_SECRET isn't set.
+export function requireAdmin(req) {
+  const expected = process.env.ADMIN_SECRET;
+  const presented = req.headers['x-admin-secret'];
+  if (!expected) {
+    throw new AuthError('Admin access is not configured', 403, 'admin_disabled');
+  }
 
-    return {
-      tier: user.subscription_tier,
-      limit,
-      used: user.flows_generated_this_month,
-      remaining,
-      canGenerate: remaining > 0
-    };
-  } finally {
-    await client.end();
+  // Compare digests so neither the length nor the content leaks through timing
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  if (!presented || !crypto.timingSafeEqual(digest(presented), digest(expected))) {
+    throw new AuthError('Admin access required', 403, 'forbidden');
   }
 }
 
-export async function incrementFlowCount(userId) {
-  const client = createClient();
-  await client.connect();
-
-  try {
-    await client.query(
-      `UPDATE users 
-       SET flows_generated_this_month = flows_generated_this_month + 1,
-           total_flows_generated = total_flows_generated + 1
-       WHERE id = $1`,
-      [userId]
-    );
-  } finally {
-    await client.end();
+// Response for an authentication failure; anything that isn't an AuthError is rethrown
+export function sendAuthError(res, error) {
+  if (!(error instanceof AuthError)) throw error;
+  if (error.status === 401) {
+    res.setHeader('WWW-Authenticate', error.code === 'unauthenticated' ? 'Bearer' : 'Bearer error="invalid_token"');
   }
+  return res.status(error.status).json({ error: error.message, code: error.code });
 }
@@ -0,0 +1,92 @@
+// Public, read-only view of a shared flow - no account needed
+// Path: /api/share.js
+// GET ?token=...                       - { flow: { name, prompt, createdAt }, docs: { markdown, mermaid }, links }
+// GET ?token=...&download=package      - the flow as an importable zip (or download=solution)
+// Unknown, revoked and expired links all answer 404. Views and downloads are logged
+// against the flow's owner.
+
+import { createClient } from '@vercel/postgres';
+import { getSharedFlow } from '../lib/flow-shares.js';
+import { buildFlowDocs } from '../lib/flow-docs.js';
+import { buildFlowExport, hasExportableDefinition, PACKAGE_FORMATS } from '../lib/flow-package.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { token, download } = req.query;
+
+  if (!token) {
+    return res.status(400).json({ error: 'token is required' });
+  }
+
+  if (download !== undefined && !PACKAGE_FORMATS.includes(download)) {
+    return res.status(400).json({ error: 'Unknown download format', validFormats: PACKAGE_FORMATS });
+  }
+
+  const client = createClient();
+  await client.connect();
+
+  try {
+    const flow = await getSharedFlow(client, token);
+    if (!flow || !hasExportableDefinition(flow.generated_json)) {
+      return res.status(404).json({ error: 'This share link is invalid, expired or has been revoked' });
+    }
+
+    // Shared pages shouldn't be indexed or cached past a revocation
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.setHeader('X-Robots-Tag', 'noindex');
+
+    if (download) {
+      const { buffer, fileName } = buildFlowExport(flow, download);
+
+      await client.query(
+        'INSERT INTO usage_logs (user_id, action_type, metadata) VALUES ($1, $2, $3)',
+        [flow.user_id, 'flow_share_downloaded', JSON.stringify({ flowId: flow.id, shareId: flow.share_id, format: download })]
+      );
+
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.setHeader('Content-Length', buffer.length);
+      return res.status(200).send(buffer);
+    }
+
+    await client.query(
+      'INSERT INTO usage_logs (user_id, action_type, metadata) VALUES ($1, $2, $3)',
+      [flow.user_id, 'flow_share_viewed', JSON.stringify({ flowId: flow.id, shareId: flow.share_id })]
+    );
+
+    const encodedToken = encodeURIComponent(token);
+    return res.status(200).json({
+      flow: {
+        name: flow.flow_name,
+        prompt: flow.prompt,
+        createdAt: flow.created_at
+      },
+      docs: buildFlowDocs(flow),
+      links: Object.fromEntries(PACKAGE_FORMATS.map(format => [
+        format,
+        `/api/share?token=${encodedToken}&download=${format}`
+      ])),
+      expiresAt: flow.share_expires_at
+    });
+
+  } catch (error) {
+    console.error('Shared flow error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  } finally {
+    await client.end();
+  }
+}
@@ -3,6 +3,7 @@
 
 import Stripe from 'stripe';
 import { createClient } from '@vercel/postgres';
+import { authenticate, requireVerifiedEmail, sendAuthError } from '../middleware/auth.js';
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
@@ -11,10 +12,18 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  let user;
   try {
-    const { userId, priceId, tier } = req.body;
+    user = await authenticate(req);
+    requireVerifiedEmail(user);
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+
+  try {
+    const { priceId, tier } = req.body;
 
-    if (!userId || !priceId || !tier) {
+    if (!priceId || !tier) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
@@ -22,18 +31,6 @@ export default async function handler(req, res) {
     await client.connect();
 
     try {
-      // Get user
-      const userResult = await client.query(
-        'SELECT * FROM users WHERE id = $1',
-        [userId]
-      );
-
-      if (userResult.rows.length === 0) {
-        return res.status(404).json({ error: 'User not found' });
-      }
-
-      const user = userResult.rows[0];
-
       // Create or retrieve Stripe customer
       let customerId = user.stripe_customer_id;
 
@@ -41,8 +38,7 @@ export default async function handler(req, res) {
         const customer = await stripe.customers.create({
           email: user.email,
           metadata: {
-            userId: user.id,
-            clerkUserId: user.clerk_user_id
+            userId: user.id
           }
         });
         customerId = customer.id;
@@ -50,7 +46,7 @@ export default async function handler(req, res) {
         // Update user with Stripe customer ID
         await client.query(
           'UPDATE users SET stripe_customer_id = $1 WHERE id = $2',
-          [customerId, userId]
+          [customerId, user.id]
         );
       }
 
@@ -3,7 +3,7 @@
 
 import Stripe from 'stripe';
 import { sql } from '@vercel/postgres';
-import { clerkClient } from '@clerk/backend';
+import { authenticate, sendAuthError } from '../middleware/auth.js';
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
@@ -13,36 +13,14 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  let user;
   try {
-    // Get the authorization token from headers
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    const token = authHeader.substring(7);
-
-    // Verify the token with Clerk
-    let userId;
-    try {
-      const decoded = await clerkClient.verifyToken(token);
-      userId = decoded.sub;
-    } catch (error) {
-      console.error('Token verification failed:', error);
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-
-    // Get user from database
-    const userResult = await sql`
-      SELECT * FROM users WHERE clerk_user_id = ${userId}
-    `;
-
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    const user = userResult.rows[0];
+    user = await authenticate(req);
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
 
+  try {
     // Check if user has an active subscription
     const subResult = await sql`
       SELECT * FROM subscriptions
@@ -0,0 +1,33 @@
+// Prompt template library
+// Path: /api/templates
+// GET                    - list templates (latest version of each)
+// GET ?id=...&version=.. - one template version with its variables
+
+import { listTemplates, getTemplate, describeTemplate } from '../lib/templates.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id, version } = req.query;
+
+  if (!id) {
+    return res.status(200).json({ templates: listTemplates() });
+  }
+
+  const found = getTemplate(id, version);
+  if (!found) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+
+  return res.status(200).json({ template: describeTemplate(found.template, found.version) });
+}
@@ -0,0 +1,101 @@
+// Personal API keys for scripts and CI pipelines
+// Path: /api/user/api-keys
+// GET                               - the user's active keys, newest first (never the keys themselves)
+// POST   { name[, scopes] }         - create a key; the response is the only time it is shown
+// DELETE ?id=<keyId>                - revoke a key
+// Scopes: flows:generate (the default), flows:read. Managing keys needs a browser
+// session; an API key can't create or revoke keys.
+
+import { sql } from '@vercel/postgres';
+import { requireAuth, requireVerifiedEmail, sendAuthError } from '../middleware/auth.js';
+import { isUuid } from '../../lib/flow-library.js';
+import {
+  ApiKeyError,
+  API_KEY_SCOPES,
+  parseApiKeyInput,
+  formatApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+} from '../../lib/api-keys.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let userId;
+  try {
+    userId = await requireAuth(req);
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+
+  try {
+    // LIST
+    if (req.method === 'GET') {
+      const keys = await listApiKeys(userId);
+      return res.status(200).json({ apiKeys: keys.map(formatApiKey), validScopes: API_KEY_SCOPES });
+    }
+
+    // CREATE - keys act for the account without a browser, so the email must be confirmed
+    if (req.method === 'POST') {
+      try {
+        requireVerifiedEmail(req.auth.user);
+      } catch (error) {
+        return sendAuthError(res, error);
+      }
+
+      let input;
+      let created;
+      try {
+        input = parseApiKeyInput(req.body || {});
+        created = await createApiKey(userId, input);
+      } catch (error) {
+        if (!(error instanceof ApiKeyError)) throw error;
+        return res.status(error.status).json({ error: error.message, ...error.details });
+      }
+
+      await sql`
+        INSERT INTO usage_logs (user_id, action_type, metadata)
+        VALUES (${userId}, 'api_key_created', ${JSON.stringify({ apiKeyId: created.row.id, name: input.name, scopes: input.scopes })})
+      `;
+
+      return res.status(201).json({
+        success: true,
+        apiKey: formatApiKey(created.row),
+        key: created.key,
+        warning: 'Save your API key now - it cannot be retrieved later!'
+      });
+    }
+
+    // REVOKE
+    const { id } = req.query;
+    const key = isUuid(id) ? await revokeApiKey(userId, id) : null;
+    if (!key) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    await sql`
+      INSERT INTO usage_logs (user_id, action_type, metadata)
+      VALUES (${userId}, 'api_key_revoked', ${JSON.stringify({ apiKeyId: key.id, name: key.name })})
+    `;
+
+    return res.status(200).json({ success: true, revoked: key.id });
+
+  } catch (error) {
+    console.error('API key error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
@@ -2,7 +2,8 @@
 // Fetches user's subscription tier and usage data
 
 import { sql } from '@vercel/postgres';
-import { clerkClient } from '@clerk/backend';
+import { authenticate, sendAuthError } from '../middleware/auth.js';
+import { getUsageStatus, TIER_LIMITS } from '../../lib/usage.js';
 
 export default async function handler(req, res) {
   // Only allow GET requests
@@ -10,52 +11,17 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  let user;
   try {
-    // Get the authorization token from headers
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-
-    // Verify the token with Clerk
-    let userId;
-    try {
-      const decoded = await clerkClient.verifyToken(token);
-      userId = decoded.sub;
-    } catch (error) {
-      console.error('Token verification failed:', error);
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-
-    // Get user data from Clerk
-    const clerkUser = await clerkClient.users.getUser(userId);
-    const userEmail = clerkUser.emailAddresses[0].emailAddress;
-
-    // Check if user exists in database
-    let dbUser = await sql`
-      SELECT * FROM users WHERE clerk_user_id = ${userId}
-    `;
-
-    // If user doesn't exist in database yet, create them with Free tier defaults
-    if (dbUser.rows.length === 0) {
-      await sql`
-        INSERT INTO users (clerk_user_id, email, tier, flows_this_month, total_flows)
-        VALUES (${userId}, ${userEmail}, 'Free', 0, 0)
-      `;
-      
-      // Fetch the newly created user
-      dbUser = await sql`
-        SELECT * FROM users WHERE clerk_user_id = ${userId}
-      `;
-    }
-
-    const user = dbUser.rows[0];
+    user = await authenticate(req);
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
 
-    // Get user's recent flows (limit to last 5)
+  try {
+    // Get user's recent flows (limit to last 5; the full library is at /api/flows)
     const recentFlows = await sql`
-      SELECT flow_name, created_at, status
+      SELECT id, flow_name, created_at, success
       FROM flows
       WHERE user_id = ${user.id}
       ORDER BY created_at DESC
@@ -75,26 +41,36 @@ export default async function handler(req, res) {
       subscription = subResult.rows[0];
     }
 
+    const usage = getUsageStatus(user);
+
     // Return user data
     return res.status(200).json({
-      tier: user.tier,
-      flowsThisMonth: user.flows_this_month,
-      totalFlows: user.total_flows,
+      tier: usage.tier || 'free',
+      flowsThisMonth: usage.used,
+      totalFlows: user.total_flows_generated || 0,
+      usage: {
+        flowsUsed: usage.used,
+        flowLimit: usage.limit,
+        flowsRemaining: Math.max(usage.remaining, 0),
+        tokensUsed: usage.tokensUsed,
+        tokenBudget: usage.tokenBudget,
+        tokensRemaining: Math.max(usage.tokensRemaining, 0),
+        canGenerate: usage.canGenerate,
+        reason: usage.reason
+      },
       recentFlows: recentFlows.rows.map(flow => ({
+        id: flow.id,
         name: flow.flow_name,
         createdAt: flow.created_at,
-        status: flow.status
+        success: flow.success,
+        status: flow.success ? 'generated' : 'failed'
       })),
       subscription: subscription ? {
         stripeSubscriptionId: subscription.stripe_subscription_id,
         currentPeriodEnd: subscription.current_period_end,
         cancelAtPeriodEnd: subscription.cancel_at_period_end
       } : null,
-      limits: {
-        Free: 3,
-        Pro: 50,
-        Enterprise: 999999
-      }
+      limits: TIER_LIMITS
     });
 
   } catch (error) {
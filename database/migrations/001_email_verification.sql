@@ -0,0 +1,32 @@
+-- Email verification and password reset on an existing database (schema.sql already has
+-- all of this for new ones). Safe to run more than once.
+--
+-- Accounts that existed before verification was introduced count as verified from the
+-- day they signed up; otherwise every one of them would be shut out of checkout, share
+-- links and API keys until they re-verified. The backfill only runs together with adding
+-- the column, so running this again never verifies accounts created since.
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'email_verified_at'
+  ) THEN
+    ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP;
+    UPDATE users SET email_verified_at = COALESCE(created_at, CURRENT_TIMESTAMP);
+  END IF;
+END;
+$$;
+
+CREATE TABLE IF NOT EXISTS auth_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  purpose VARCHAR(20) NOT NULL,
+  token_hash CHAR(64) UNIQUE NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_user ON auth_tokens(user_id, purpose) WHERE used_at IS NULL;
@@ -0,0 +1,23 @@
+-- Flow refinement history on an existing database (schema.sql already has all of this for
+-- new ones). Safe to run more than once.
+--
+-- Flows saved before this have no revisions; their first refine or restore records the
+-- current definition as revision 1 (see ensureBaseRevision in lib/flow-revisions.js).
+
+ALTER TABLE flows ADD COLUMN IF NOT EXISTS current_revision_id UUID;
+
+CREATE TABLE IF NOT EXISTS flow_revisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  flow_id UUID REFERENCES flows(id) ON DELETE CASCADE,
+  parent_revision_id UUID REFERENCES flow_revisions(id) ON DELETE SET NULL,
+  revision_number INTEGER NOT NULL,
+  instruction TEXT,
+  generated_json JSONB NOT NULL,
+  tokens_used INTEGER,
+  success BOOLEAN DEFAULT true,
+  error_message TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (flow_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_flow_revisions_flow_id ON flow_revisions(flow_id);
@@ -0,0 +1,12 @@
+-- Full-text search and paging for the flow library on an existing database (schema.sql
+-- already has all of this for new ones). Safe to run more than once.
+--
+-- search_vector is a generated column, so adding it fills it in for every existing flow;
+-- that rewrites the flows table once.
+
+ALTER TABLE flows ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+  to_tsvector('english', COALESCE(flow_name, '') || ' ' || prompt)
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_flows_user_created ON flows(user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_flows_search ON flows USING GIN(search_vector);
@@ -0,0 +1,6 @@
+-- Which template (and version and variables) a flow was generated from, on an existing
+-- database (schema.sql already has this for new ones). Safe to run more than once.
+
+ALTER TABLE flows ADD COLUMN IF NOT EXISTS template_id VARCHAR(100);
+ALTER TABLE flows ADD COLUMN IF NOT EXISTS template_version INTEGER;
+ALTER TABLE flows ADD COLUMN IF NOT EXISTS template_variables JSONB;
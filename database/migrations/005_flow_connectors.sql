@@ -0,0 +1,9 @@
+-- Connector summaries on saved flows, on an existing database (schema.sql already has this
+-- for new ones). Safe to run more than once.
+--
+-- Flows saved before this keep connectors NULL until they are refined or a revision is
+-- restored, so the library's connector filter doesn't match them until then.
+
+ALTER TABLE flows ADD COLUMN IF NOT EXISTS connectors JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_flows_connectors ON flows USING GIN(connectors);
@@ -0,0 +1,26 @@
+-- Token and cost accounting on an existing database (schema.sql already has all of this
+-- for new ones). Safe to run more than once.
+--
+-- Usage before this wasn't recorded per token, so every account starts the month at 0
+-- tokens used and existing flows and revisions have no token breakdown or cost.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS tokens_used_this_month BIGINT DEFAULT 0;
+
+ALTER TABLE flows ADD COLUMN IF NOT EXISTS input_tokens INTEGER;
+ALTER TABLE flows ADD COLUMN IF NOT EXISTS output_tokens INTEGER;
+ALTER TABLE flows ADD COLUMN IF NOT EXISTS cost_usd DECIMAL(12,6);
+ALTER TABLE flows ADD COLUMN IF NOT EXISTS model VARCHAR(100);
+
+-- Needs 002_flow_revisions.sql
+ALTER TABLE flow_revisions ADD COLUMN IF NOT EXISTS input_tokens INTEGER;
+ALTER TABLE flow_revisions ADD COLUMN IF NOT EXISTS output_tokens INTEGER;
+ALTER TABLE flow_revisions ADD COLUMN IF NOT EXISTS cost_usd DECIMAL(12,6);
+ALTER TABLE flow_revisions ADD COLUMN IF NOT EXISTS model VARCHAR(100);
+
+-- The monthly reset now clears token usage too
+CREATE OR REPLACE FUNCTION reset_monthly_flows()
+RETURNS void AS $$
+BEGIN
+  UPDATE users SET flows_generated_this_month = 0, tokens_used_this_month = 0;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,35 @@
+-- Bulk generation jobs on an existing database (schema.sql already has all of this for new
+-- ones). Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS generation_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  options JSONB,
+  total_items INTEGER NOT NULL DEFAULT 0,
+  succeeded_items INTEGER NOT NULL DEFAULT 0,
+  failed_items INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS generation_job_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id UUID REFERENCES generation_jobs(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  prompt TEXT NOT NULL,
+  flow_name VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  flow_id UUID REFERENCES flows(id) ON DELETE SET NULL,
+  error_code VARCHAR(50),
+  error_message TEXT,
+  started_at TIMESTAMP,
+  finished_at TIMESTAMP,
+  UNIQUE (job_id, position)
+);
+
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_user ON generation_jobs(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_generation_job_items_job ON generation_job_items(job_id, status, position);
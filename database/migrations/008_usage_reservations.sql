@@ -0,0 +1,35 @@
+-- Usage reservations and Idempotency-Key replays on an existing database (schema.sql
+-- already has all of this for new ones). Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS usage_reservations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  kind VARCHAR(20) NOT NULL DEFAULT 'flow',
+  status VARCHAR(20) NOT NULL DEFAULT 'held',
+  tokens_used INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  settled_at TIMESTAMP
+);
+
+-- Refinements reserve too; a table created before that only has flow reservations
+ALTER TABLE usage_reservations ADD COLUMN IF NOT EXISTS kind VARCHAR(20) NOT NULL DEFAULT 'flow';
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  endpoint VARCHAR(100) NOT NULL,
+  idempotency_key VARCHAR(255) NOT NULL,
+  request_hash CHAR(64) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'in_progress',
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  locked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  UNIQUE (user_id, endpoint, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_reservations_held ON usage_reservations(user_id) WHERE status = 'held';
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expires_at);
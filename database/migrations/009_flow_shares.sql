@@ -0,0 +1,13 @@
+-- Read-only share links on an existing database (schema.sql already has all of this for
+-- new ones). Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS flow_shares (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  flow_id UUID REFERENCES flows(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP,
+  revoked_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_flow_shares_user ON flow_shares(user_id, created_at DESC);
@@ -0,0 +1,20 @@
+-- Signed-in sessions on an existing database (schema.sql already has all of this for new
+-- ones). Safe to run more than once.
+--
+-- Tokens issued before sessions existed aren't accepted any more, so everyone signs in
+-- again once after this is deployed.
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash CHAR(64) NOT NULL,
+  previous_refresh_token_hash CHAR(64),
+  user_agent VARCHAR(500),
+  ip_address VARCHAR(64),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id) WHERE revoked_at IS NULL;
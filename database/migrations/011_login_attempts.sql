@@ -0,0 +1,19 @@
+-- Sign-in throttling on an existing database (schema.sql already has all of this for new
+-- ones). Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email VARCHAR(255) NOT NULL,
+  ip_address VARCHAR(64),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  succeeded BOOLEAN,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- An attempt is recorded before its password is checked (succeeded NULL until then); a
+-- table created before that required a value and indexed only failures
+ALTER TABLE login_attempts ALTER COLUMN succeeded DROP NOT NULL;
+DROP INDEX IF EXISTS idx_login_attempts_ip;
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_email ON login_attempts(email, created_at DESC);
+CREATE INDEX idx_login_attempts_ip ON login_attempts(ip_address, created_at DESC) WHERE succeeded IS NOT TRUE;
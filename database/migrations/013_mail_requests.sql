@@ -0,0 +1,13 @@
+-- Limits on verification and password reset emails, on an existing database (schema.sql
+-- already has all of this for new ones). Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS mail_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email VARCHAR(255) NOT NULL,
+  ip_address VARCHAR(64),
+  purpose VARCHAR(30) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_mail_requests_email ON mail_requests(email, purpose, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_mail_requests_ip ON mail_requests(ip_address, purpose, created_at DESC);
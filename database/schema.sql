@@ -1,5 +1,7 @@
 -- GET FLOWING COMPLETE DATABASE SCHEMA
 -- Vercel Postgres / PostgreSQL
+-- For a new database. An existing one is brought up to date by running the files in
+-- database/migrations/ in order.
 
 -- Users table
 CREATE TABLE users (
@@ -10,10 +12,12 @@ CREATE TABLE users (
   subscription_tier VARCHAR(50) DEFAULT 'free',
   flows_generated_this_month INTEGER DEFAULT 0,
   total_flows_generated INTEGER DEFAULT 0,
+  tokens_used_this_month BIGINT DEFAULT 0,
   stripe_customer_id VARCHAR(255),
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   last_login_at TIMESTAMP,
+  email_verified_at TIMESTAMP, -- existing databases: migrations/001_email_verification.sql
   is_active BOOLEAN DEFAULT true
 );
 
@@ -40,12 +44,175 @@ CREATE TABLE flows (
   prompt TEXT NOT NULL,
   generated_json JSONB,
   tokens_used INTEGER,
+  input_tokens INTEGER,
+  output_tokens INTEGER,
+  cost_usd DECIMAL(12,6),
+  model VARCHAR(100),
   generation_time_seconds DECIMAL(10,2),
   success BOOLEAN DEFAULT true,
   error_message TEXT,
+  current_revision_id UUID,
+  template_id VARCHAR(100),
+  template_version INTEGER,
+  template_variables JSONB,
+  connectors JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    to_tsvector('english', COALESCE(flow_name, '') || ' ' || prompt)
+  ) STORED
+);
+
+-- Flow revisions table (refinement history; flows.generated_json holds the current one)
+CREATE TABLE flow_revisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  flow_id UUID REFERENCES flows(id) ON DELETE CASCADE,
+  parent_revision_id UUID REFERENCES flow_revisions(id) ON DELETE SET NULL,
+  revision_number INTEGER NOT NULL,
+  instruction TEXT,
+  generated_json JSONB NOT NULL,
+  tokens_used INTEGER,
+  input_tokens INTEGER,
+  output_tokens INTEGER,
+  cost_usd DECIMAL(12,6),
+  model VARCHAR(100),
+  success BOOLEAN DEFAULT true,
+  error_message TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (flow_id, revision_number)
+);
+
+-- Signed-in sessions (see lib/auth.js); refresh tokens are stored as SHA-256 hashes
+CREATE TABLE sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash CHAR(64) NOT NULL,
+  previous_refresh_token_hash CHAR(64),
+  user_agent VARCHAR(500),
+  ip_address VARCHAR(64),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP
+);
+
+-- Single-use email verification and password reset tokens (see lib/account-tokens.js)
+CREATE TABLE auth_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  purpose VARCHAR(20) NOT NULL,
+  token_hash CHAR(64) UNIQUE NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP
+);
+
+-- Personal API keys (see lib/api-keys.js); only a SHA-256 hash of the key is stored
+CREATE TABLE api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  key_prefix VARCHAR(20) NOT NULL,
+  key_hash CHAR(64) UNIQUE NOT NULL,
+  scopes TEXT[] NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP
+);
+
+-- Sign-in attempts, for brute-force limits (see lib/login-throttle.js); email is whatever
+-- was typed, so attempts on addresses without an account count too. succeeded is NULL
+-- while the password is still being checked
+CREATE TABLE login_attempts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email VARCHAR(255) NOT NULL,
+  ip_address VARCHAR(64),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  succeeded BOOLEAN,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Account emails sent on request (verification resends, password resets), for the limits
+-- in lib/mail-throttle.js; email is whatever was asked for, account or not
+CREATE TABLE mail_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email VARCHAR(255) NOT NULL,
+  ip_address VARCHAR(64),
+  purpose VARCHAR(30) NOT NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Read-only share links for saved flows (see lib/flow-shares.js)
+CREATE TABLE flow_shares (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  flow_id UUID REFERENCES flows(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP,
+  revoked_at TIMESTAMP
+);
+
+-- Flows reserved by generations (kind flow) and refinements (kind refinement) in progress
+-- (see lib/usage.js)
+CREATE TABLE usage_reservations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  kind VARCHAR(20) NOT NULL DEFAULT 'flow',
+  status VARCHAR(20) NOT NULL DEFAULT 'held',
+  tokens_used INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  settled_at TIMESTAMP
+);
+
+-- Stored responses for requests sent with an Idempotency-Key header
+CREATE TABLE idempotency_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  endpoint VARCHAR(100) NOT NULL,
+  idempotency_key VARCHAR(255) NOT NULL,
+  request_hash CHAR(64) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'in_progress',
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  locked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  UNIQUE (user_id, endpoint, idempotency_key)
+);
+
+-- Bulk generation jobs (a list of prompts generated one item at a time)
+CREATE TABLE generation_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  options JSONB,
+  total_items INTEGER NOT NULL DEFAULT 0,
+  succeeded_items INTEGER NOT NULL DEFAULT 0,
+  failed_items INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP
+);
+
+CREATE TABLE generation_job_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id UUID REFERENCES generation_jobs(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  prompt TEXT NOT NULL,
+  flow_name VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  flow_id UUID REFERENCES flows(id) ON DELETE SET NULL,
+  error_code VARCHAR(50),
+  error_message TEXT,
+  started_at TIMESTAMP,
+  finished_at TIMESTAMP,
+  UNIQUE (job_id, position)
+);
+
 -- Usage logs table
 CREATE TABLE usage_logs (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -79,15 +246,31 @@ CREATE INDEX idx_subscriptions_user_id ON subscriptions(user_id);
 CREATE INDEX idx_subscriptions_stripe_id ON subscriptions(stripe_subscription_id);
 CREATE INDEX idx_flows_user_id ON flows(user_id);
 CREATE INDEX idx_flows_created_at ON flows(created_at);
+CREATE INDEX idx_flows_user_created ON flows(user_id, created_at DESC, id DESC);
+CREATE INDEX idx_flows_search ON flows USING GIN(search_vector);
+CREATE INDEX idx_flows_connectors ON flows USING GIN(connectors);
+CREATE INDEX idx_flow_revisions_flow_id ON flow_revisions(flow_id);
+CREATE INDEX idx_sessions_user ON sessions(user_id) WHERE revoked_at IS NULL;
+CREATE INDEX idx_auth_tokens_user ON auth_tokens(user_id, purpose) WHERE used_at IS NULL;
+CREATE INDEX idx_api_keys_user ON api_keys(user_id) WHERE revoked_at IS NULL;
+CREATE INDEX idx_login_attempts_email ON login_attempts(email, created_at DESC);
+CREATE INDEX idx_login_attempts_ip ON login_attempts(ip_address, created_at DESC) WHERE succeeded IS NOT TRUE;
+CREATE INDEX idx_mail_requests_email ON mail_requests(email, purpose, created_at DESC);
+CREATE INDEX idx_mail_requests_ip ON mail_requests(ip_address, purpose, created_at DESC);
+CREATE INDEX idx_flow_shares_user ON flow_shares(user_id, created_at DESC);
+CREATE INDEX idx_usage_reservations_held ON usage_reservations(user_id) WHERE status = 'held';
+CREATE INDEX idx_idempotency_keys_expires ON idempotency_keys(expires_at);
+CREATE INDEX idx_generation_jobs_user ON generation_jobs(user_id, created_at DESC);
+CREATE INDEX idx_generation_job_items_job ON generation_job_items(job_id, status, position);
 CREATE INDEX idx_usage_logs_user_id ON usage_logs(user_id);
 CREATE INDEX idx_usage_logs_created_at ON usage_logs(created_at);
 CREATE INDEX idx_daily_metrics_date ON daily_metrics(date);
 
--- Function to reset monthly flow counts (run on 1st of each month)
+-- Function to reset monthly flow counts and token usage (run on 1st of each month)
 CREATE OR REPLACE FUNCTION reset_monthly_flows()
 RETURNS void AS $$
 BEGIN
-  UPDATE users SET flows_generated_this_month = 0;
+  UPDATE users SET flows_generated_this_month = 0, tokens_used_this_month = 0;
 END;
 $$ LANGUAGE plpgsql;
 
@@ -128,6 +311,7 @@ END;
 $$ LANGUAGE plpgsql;
 
 -- Sample pricing tiers (for reference)
--- FREE: 3 flows/month, $0
--- PRO: 50 flows/month, $39
--- ENTERPRISE: unlimited flows, $399
+-- FREE: 3 flows/month, 50k tokens/month, $0
+-- PRO: 50 flows/month, 2M tokens/month, $39
+-- ENTERPRISE: unlimited flows, 25M tokens/month, $399
+-- (token budgets are enforced from lib/usage.js)
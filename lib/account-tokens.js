@@ -0,0 +1,96 @@
+// Email verification and password reset
+// Both work by emailing a link with a random token. Only the token's SHA-256 hash is
+// stored; a token can be used once, expires after TOKEN_TTL_MINUTES for its purpose, and
+// asking for a new one invalidates any the user still has for the same purpose.
+
+import { sql } from '@vercel/postgres';
+import crypto from 'crypto';
+import { sendMail } from './mailer.js';
+
+export const TOKEN_PURPOSES = ['verify_email', 'reset_password'];
+
+export const TOKEN_TTL_MINUTES = {
+  verify_email: 24 * 60,
+  reset_password: 60
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function appUrl(pathAndQuery) {
+  return `${(process.env.NEXT_PUBLIC_APP_URL || '').replace(/\/$/, '')}${pathAndQuery}`;
+}
+
+// Issue a token for the user (and the address it was sent to); returns the raw token
+export async function createAccountToken(user, purpose) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await sql`
+    UPDATE auth_tokens SET used_at = NOW()
+    WHERE user_id = ${user.id} AND purpose = ${purpose} AND used_at IS NULL
+  `;
+  await sql`
+    INSERT INTO auth_tokens (user_id, purpose, token_hash, email, expires_at)
+    VALUES (${user.id}, ${purpose}, ${hashToken(token)}, ${user.email},
+            NOW() + make_interval(mins => ${TOKEN_TTL_MINUTES[purpose]}))
+  `;
+
+  return token;
+}
+
+// Use up a token. Returns { userId, email } or null when the token is unknown, expired or
+// already used. Two requests racing with the same token can't both succeed.
+export async function consumeAccountToken(token, purpose) {
+  if (typeof token !== 'string' || token.length === 0 || token.length > 200) return null;
+
+  const result = await sql`
+    UPDATE auth_tokens SET used_at = NOW()
+    WHERE token_hash = ${hashToken(token)} AND purpose = ${purpose}
+      AND used_at IS NULL AND expires_at > NOW()
+    RETURNING user_id, email
+  `;
+  const row = result.rows[0];
+  return row ? { userId: row.user_id, email: row.email } : null;
+}
+
+export async function sendVerificationEmail(user) {
+  const token = await createAccountToken(user, 'verify_email');
+  const link = appUrl(`/api/auth?action=verify&token=${token}`);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your Get Flowing email address',
+    text: [
+      `Hi${user.name ? ` ${user.name}` : ''},`,
+      '',
+      'Confirm your email address to finish setting up your Get Flowing account:',
+      '',
+      link,
+      '',
+      `The link works once and expires in ${TOKEN_TTL_MINUTES.verify_email / 60} hours.`,
+      "If you didn't sign up, you can ignore this email."
+    ].join('\n')
+  });
+}
+
+export async function sendPasswordResetEmail(user) {
+  const token = await createAccountToken(user, 'reset_password');
+  const link = appUrl(`/reset-password.html?token=${token}`);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Get Flowing password',
+    text: [
+      `Hi${user.name ? ` ${user.name}` : ''},`,
+      '',
+      'Someone (hopefully you) asked to reset the password for your Get Flowing account.',
+      'Choose a new password here:',
+      '',
+      link,
+      '',
+      `The link works once and expires in ${TOKEN_TTL_MINUTES.reset_password} minutes.`,
+      "If you didn't ask for this, ignore this email; your password won't change."
+    ].join('\n')
+  });
+}
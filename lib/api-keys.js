@@ -0,0 +1,153 @@
+// Personal API keys, for calling the API from scripts and CI where there's no browser session
+// A key is "gf_live_" + 48 hex characters and is sent as "Authorization: Bearer <key>". Only
+// its SHA-256 hash is stored (plus the first few characters, to tell keys apart), so the
+// key itself is shown once, when it is created. Each key carries scopes, and a route only
+// accepts keys that have the scope it asks for (see authenticate in api/middleware/auth.js):
+// - flows:generate - POST /api/generate-flow-protected
+// - flows:read     - GET /api/flows, GET /api/flows/:id
+// Usage made with a key is logged with its apiKeyId.
+
+import { createClient, sql } from '@vercel/postgres';
+import crypto from 'crypto';
+
+export const API_KEY_PREFIX = 'gf_live_';
+export const API_KEY_SCOPES = ['flows:generate', 'flows:read'];
+export const DEFAULT_API_KEY_SCOPES = ['flows:generate'];
+export const MAX_API_KEYS_PER_USER = 10;
+
+const MAX_NAME_LENGTH = 100;
+
+export class ApiKeyError extends Error {
+  constructor(message, status = 400, details = null) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+export function generateApiKey() {
+  return API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+}
+
+export function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+// Whether a bearer token is meant to be an API key (rather than a session access token)
+export function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+// { name, scopes } from a create request; throws ApiKeyError
+export function parseApiKeyInput({ name, scopes } = {}) {
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    throw new ApiKeyError('name is required');
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    throw new ApiKeyError(`name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+
+  if (scopes === undefined) {
+    return { name: name.trim(), scopes: DEFAULT_API_KEY_SCOPES };
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new ApiKeyError('scopes must be a non-empty array', 400, { validScopes: API_KEY_SCOPES });
+  }
+  const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new ApiKeyError(`Unknown scope: ${unknown.join(', ')}`, 400, { validScopes: API_KEY_SCOPES });
+  }
+
+  return { name: name.trim(), scopes: API_KEY_SCOPES.filter(scope => scopes.includes(scope)) };
+}
+
+export function formatApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    scopes: row.scopes,
+    flowsGenerated: Number(row.flows_generated || 0),
+    lastUsedAt: row.last_used_at,
+    createdAt: row.created_at
+  };
+}
+
+// Create a key; returns { key, row } - the raw key is not stored and can't be shown again.
+// The count and the insert run under a lock on the users row, so concurrent requests can't
+// go past MAX_API_KEYS_PER_USER.
+export async function createApiKey(userId, { name, scopes }) {
+  const client = createClient();
+  await client.connect();
+
+  try {
+    await client.query('BEGIN');
+    try {
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+      const active = await client.query(
+        'SELECT COUNT(*)::int AS count FROM api_keys WHERE user_id = $1 AND revoked_at IS NULL',
+        [userId]
+      );
+      if (active.rows[0].count >= MAX_API_KEYS_PER_USER) {
+        throw new ApiKeyError(`You can have at most ${MAX_API_KEYS_PER_USER} API keys; revoke one first`, 409);
+      }
+
+      const key = generateApiKey();
+      const result = await client.query(
+        `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [userId, name, key.substring(0, API_KEY_PREFIX.length + 8), hashApiKey(key), scopes]
+      );
+      await client.query('COMMIT');
+      return { key, row: result.rows[0] };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+// The user's active keys, newest first, with how many flows each has generated
+export async function listApiKeys(userId) {
+  const result = await sql`
+    SELECT k.*,
+           (SELECT COUNT(*) FROM usage_logs l
+            WHERE l.user_id = k.user_id AND l.action_type = 'flow_generated'
+              AND l.metadata->>'apiKeyId' = k.id::text) AS flows_generated
+    FROM api_keys k
+    WHERE k.user_id = ${userId} AND k.revoked_at IS NULL
+    ORDER BY k.created_at DESC
+  `;
+  return result.rows;
+}
+
+// Revoke one of the user's keys; returns the row, or null when there was no active key
+// with that id. A revoked key stops working on its next request.
+export async function revokeApiKey(userId, keyId) {
+  const result = await sql`
+    UPDATE api_keys SET revoked_at = NOW()
+    WHERE id = ${keyId} AND user_id = ${userId} AND revoked_at IS NULL
+    RETURNING *
+  `;
+  return result.rows[0] || null;
+}
+
+// The active key row for a presented key, or null
+export async function findApiKey(apiKey) {
+  if (!isApiKey(apiKey) || apiKey.length > 100) return null;
+
+  const result = await sql`
+    SELECT * FROM api_keys WHERE key_hash = ${hashApiKey(apiKey)} AND revoked_at IS NULL
+  `;
+  return result.rows[0] || null;
+}
+
+// Record that a key was just used to make a request
+export async function touchApiKey(keyId) {
+  await sql`UPDATE api_keys SET last_used_at = NOW() WHERE id = ${keyId}`;
+}
@@ -1,52 +1,356 @@
 // Authentication utilities for Get Flowing
+// Signing in opens a row in `sessions` and issues two tokens:
+// - an access token: a short-lived HS256 JWT (sub = user id, sid = session id), sent as
+//   the auth_token cookie or as a Bearer token
+// - a refresh token: "<sessionId>.<random>", stored only as a SHA-256 hash and sent as the
+//   refresh_token cookie. Every refresh swaps it for a new one; presenting one that was
+//   already swapped means it was copied, and the whole session is revoked.
+// Access tokens are only accepted while their session is live, so signing out (or out of
+// every device) takes effect immediately rather than when the token expires.
 import { SignJWT, jwtVerify } from 'jose';
 import { sql } from '@vercel/postgres';
 import crypto from 'crypto';
 
-const JWT_SECRET = new TextEncoder().encode(process.env.JWT_SECRET || 'your-secret-key-change-this');
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+export const REFRESH_TOKEN_TTL_DAYS = 30;
 
-// Hash password with salt
-export function hashPassword(password) {
-  const salt = crypto.randomBytes(16).toString('hex');
-  const hash = crypto.pbkdf2Sync(password, salt, 10000, 64, 'sha512').toString('hex');
-  return `${salt}:${hash}`;
+const JWT_ISSUER = 'getflowing';
+
+function getJwtSecret() {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return new TextEncoder().encode(process.env.JWT_SECRET);
+}
+
+// Password hashes are stored as "scrypt$ln=17,r=8,p=1$<salt>$<hash>" (base64 salt and hash,
+// N = 2^ln). Accounts created before that have "<salt>:<hash>" - hex PBKDF2-SHA512 at
+// 10,000 iterations - which still verifies; needsRehash() tells sign-in to upgrade it.
+export const PASSWORD_HASH_PARAMS = { ln: 17, r: 8, p: 1 };
+
+const PASSWORD_KEY_LENGTH = 64;
+const LEGACY_HASH_PATTERN = /^[0-9a-f]{32}:[0-9a-f]{128}$/;
+
+function scrypt(password, salt, { ln, r, p }) {
+  const N = 2 ** ln;
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, PASSWORD_KEY_LENGTH, { N, r, p, maxmem: 256 * N * r }, (error, key) => {
+      if (error) reject(error);
+      else resolve(key);
+    });
+  });
+}
+
+function formatParams({ ln, r, p }) {
+  return `ln=${ln},r=${r},p=${p}`;
+}
+
+// { ln, r, p, salt, hash } from a scrypt$ string, or null if it isn't one we'd accept
+function parseScryptHash(storedHash) {
+  const parts = storedHash.split('$');
+  if (parts.length !== 4 || parts[0] !== 'scrypt') return null;
+
+  const params = Object.fromEntries(parts[1].split(',').map(pair => {
+    const [name, value] = pair.split('=');
+    return [name, parseInt(value, 10)];
+  }));
+  const { ln, r, p } = params;
+  if (!(ln >= 10 && ln <= 20 && r >= 1 && r <= 32 && p >= 1 && p <= 16)) return null;
+
+  return { ln, r, p, salt: Buffer.from(parts[2], 'base64'), hash: Buffer.from(parts[3], 'base64') };
+}
+
+// 'scrypt', 'legacy' (PBKDF2) or null for anything else, including no password at all
+export function passwordHashFormat(storedHash) {
+  if (typeof storedHash !== 'string') return null;
+  if (parseScryptHash(storedHash)) return 'scrypt';
+  if (LEGACY_HASH_PATTERN.test(storedHash)) return 'legacy';
+  return null;
+}
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, PASSWORD_HASH_PARAMS);
+  return `scrypt$${formatParams(PASSWORD_HASH_PARAMS)}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+// Check a password against a stored hash of either format. Without a stored hash (no
+// such account) it still does the same work before answering false, so the response
+// time doesn't give away which emails have accounts.
+export async function verifyPassword(password, storedHash) {
+  try {
+    if (typeof storedHash === 'string' && LEGACY_HASH_PATTERN.test(storedHash)) {
+      const [salt, hash] = storedHash.split(':');
+      const testHash = await new Promise((resolve, reject) => {
+        crypto.pbkdf2(password, salt, 10000, 64, 'sha512', (error, key) => {
+          if (error) reject(error);
+          else resolve(key.toString('hex'));
+        });
+      });
+      return hashesMatch(hash, testHash);
+    }
+
+    const parsed = typeof storedHash === 'string' ? parseScryptHash(storedHash) : null;
+    if (!parsed) {
+      await scrypt(password, crypto.randomBytes(16), PASSWORD_HASH_PARAMS);
+      return false;
+    }
+
+    const testHash = await scrypt(password, parsed.salt, parsed);
+    return parsed.hash.length === testHash.length && crypto.timingSafeEqual(parsed.hash, testHash);
+  } catch {
+    return false;
+  }
 }
 
-// Verify password
-export function verifyPassword(password, storedHash) {
-  const [salt, hash] = storedHash.split(':');
-  const testHash = crypto.pbkdf2Sync(password, salt, 10000, 64, 'sha512').toString('hex');
-  return hash === testHash;
+// Whether a (verified) hash should be replaced: legacy format, or scrypt at other settings
+export function needsRehash(storedHash) {
+  const parsed = typeof storedHash === 'string' ? parseScryptHash(storedHash) : null;
+  return !parsed || formatParams(parsed) !== formatParams(PASSWORD_HASH_PARAMS);
 }
 
-// Create JWT token
-export async function createToken(userId, email) {
-  const token = await new SignJWT({ userId, email })
+// After a successful sign-in, store the password at the current settings. Only replaces
+// the hash that was just verified, so it can't undo a password change made meanwhile.
+export async function upgradePasswordHash(userId, password, verifiedHash) {
+  const result = await sql`
+    UPDATE users SET password_hash = ${await hashPassword(password)}
+    WHERE id = ${userId} AND password_hash = ${verifiedHash}
+    RETURNING id
+  `;
+  return result.rows.length > 0;
+}
+
+// How many accounts are on each hash format, plus the oldest accounts still on the
+// legacy one. Accounts without a password (e.g. created through Clerk) aren't counted.
+export async function getPasswordHashReport({ limit = 50 } = {}) {
+  const currentPrefix = `scrypt$${formatParams(PASSWORD_HASH_PARAMS)}$%`;
+  const legacyPattern = LEGACY_HASH_PATTERN.source;
+
+  const counts = await sql`
+    SELECT
+      COUNT(*)::int AS total,
+      COUNT(*) FILTER (WHERE password_hash LIKE ${currentPrefix})::int AS current,
+      COUNT(*) FILTER (WHERE password_hash LIKE 'scrypt$%' AND password_hash NOT LIKE ${currentPrefix})::int AS outdated_scrypt,
+      COUNT(*) FILTER (WHERE password_hash ~ ${legacyPattern})::int AS legacy
+    FROM users
+    WHERE password_hash IS NOT NULL AND password_hash <> ''
+  `;
+
+  const legacyAccounts = await sql`
+    SELECT id, email, created_at
+    FROM users
+    WHERE password_hash ~ ${legacyPattern}
+    ORDER BY created_at ASC
+    LIMIT ${limit}
+  `;
+
+  const row = counts.rows[0];
+  return {
+    params: formatParams(PASSWORD_HASH_PARAMS),
+    total: row.total,
+    current: row.current,
+    outdatedScrypt: row.outdated_scrypt,
+    legacy: row.legacy,
+    unrecognized: row.total - row.current - row.outdated_scrypt - row.legacy,
+    legacyPercent: row.total ? Math.round((row.legacy / row.total) * 1000) / 10 : 0,
+    legacyAccounts: legacyAccounts.rows.map(user => ({
+      id: user.id,
+      email: user.email,
+      createdAt: user.created_at
+    }))
+  };
+}
+
+// Simple cookie parser
+export function parseCookies(cookieHeader) {
+  const cookies = {};
+  if (!cookieHeader) return cookies;
+
+  cookieHeader.split(';').forEach(cookie => {
+    const [name, ...rest] = cookie.split('=');
+    cookies[name.trim()] = rest.join('=').trim();
+  });
+  return cookies;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Constant-time comparison of two hex digests
+function hashesMatch(a, b) {
+  return !!a && !!b && a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+// Signed access token for a session
+export async function createAccessToken(userId, sessionId, email) {
+  return new SignJWT({ sid: sessionId, email })
     .setProtectedHeader({ alg: 'HS256' })
+    .setSubject(userId)
+    .setIssuer(JWT_ISSUER)
     .setIssuedAt()
-    .setExpirationTime('7d') // Token valid for 7 days
-    .sign(JWT_SECRET);
-  return token;
+    .setExpirationTime(`${ACCESS_TOKEN_TTL_SECONDS}s`)
+    .sign(getJwtSecret());
 }
 
-// Verify JWT token
-export async function verifyToken(token) {
+// Check an access token's signature and expiry only; returns its payload or null.
+// Use getSession() to also require that the session hasn't been revoked.
+export async function verifyAccessToken(token) {
+  if (!token) return null;
+  const secret = getJwtSecret();
   try {
-    const verified = await jwtVerify(token, JWT_SECRET);
-    return verified.payload;
-  } catch (error) {
+    const { payload } = await jwtVerify(token, secret, { issuer: JWT_ISSUER, algorithms: ['HS256'] });
+    if (!payload.sub || !payload.sid) return null;
+    return payload;
+  } catch {
     return null;
   }
 }
 
+function newRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function sessionIdFromRefreshToken(refreshToken) {
+  const [sessionId] = String(refreshToken || '').split('.');
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(sessionId) ? sessionId : null;
+}
+
+// Open a session for a user who just proved who they are.
+// Returns { sessionId, accessToken, refreshToken }.
+export async function createSession(user, { userAgent = null, ipAddress = null } = {}) {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = newRefreshToken(sessionId);
+
+  await sql`
+    INSERT INTO sessions (id, user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+    VALUES (${sessionId}, ${user.id}, ${hashToken(refreshToken)}, ${userAgent}, ${ipAddress},
+            NOW() + make_interval(days => ${REFRESH_TOKEN_TTL_DAYS}))
+  `;
+
+  return {
+    sessionId,
+    accessToken: await createAccessToken(user.id, sessionId, user.email),
+    refreshToken
+  };
+}
+
+// The live session behind an access token: { userId, sessionId, email }, or null when the
+// token is forged or expired, or its session was revoked
+export async function getSession(accessToken) {
+  const payload = await verifyAccessToken(accessToken);
+  if (!payload) return null;
+
+  const result = await sql`
+    SELECT id FROM sessions
+    WHERE id = ${payload.sid} AND user_id = ${payload.sub}
+      AND revoked_at IS NULL AND expires_at > NOW()
+  `;
+  if (result.rows.length === 0) return null;
+
+  return { userId: payload.sub, sessionId: payload.sid, email: payload.email };
+}
+
+// Swap a refresh token for a new access/refresh pair. Returns
+// { userId, sessionId, accessToken, refreshToken } or null when the token is no good.
+export async function refreshSession(refreshToken) {
+  const sessionId = sessionIdFromRefreshToken(refreshToken);
+  if (!sessionId) return null;
+
+  const presentedHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken(sessionId);
+
+  // Only the current token can be swapped, once; the session is extended as it's used
+  const rotated = await sql`
+    UPDATE sessions s
+    SET refresh_token_hash = ${hashToken(nextToken)},
+        previous_refresh_token_hash = s.refresh_token_hash,
+        last_used_at = NOW(),
+        expires_at = NOW() + make_interval(days => ${REFRESH_TOKEN_TTL_DAYS})
+    FROM users u
+    WHERE s.id = ${sessionId} AND u.id = s.user_id
+      AND s.refresh_token_hash = ${presentedHash}
+      AND s.revoked_at IS NULL AND s.expires_at > NOW()
+    RETURNING s.user_id, u.email
+  `;
+
+  if (rotated.rows.length === 0) {
+    const session = await sql`SELECT previous_refresh_token_hash FROM sessions WHERE id = ${sessionId}`;
+    if (hashesMatch(session.rows[0]?.previous_refresh_token_hash, presentedHash)) {
+      console.warn(`Refresh token reused for session ${sessionId}; revoking it`);
+      await revokeSession(sessionId);
+    }
+    return null;
+  }
+
+  const { user_id: userId, email } = rotated.rows[0];
+  return {
+    userId,
+    sessionId,
+    accessToken: await createAccessToken(userId, sessionId, email),
+    refreshToken: nextToken
+  };
+}
+
+// The session a refresh token belongs to, if the token is its current one
+export async function getSessionIdForRefreshToken(refreshToken) {
+  const sessionId = sessionIdFromRefreshToken(refreshToken);
+  if (!sessionId) return null;
+
+  const result = await sql`SELECT refresh_token_hash FROM sessions WHERE id = ${sessionId}`;
+  return hashesMatch(result.rows[0]?.refresh_token_hash, hashToken(refreshToken)) ? sessionId : null;
+}
+
+export async function revokeSession(sessionId) {
+  await sql`UPDATE sessions SET revoked_at = NOW() WHERE id = ${sessionId} AND revoked_at IS NULL`;
+}
+
+// Log out everywhere; returns the number of sessions revoked
+export async function revokeAllSessions(userId) {
+  const result = await sql`
+    UPDATE sessions SET revoked_at = NOW()
+    WHERE user_id = ${userId} AND revoked_at IS NULL
+    RETURNING id
+  `;
+  return result.rows.length;
+}
+
+// Set-Cookie values for a new token pair. The refresh token is only sent back to the
+// auth endpoint.
+export function sessionCookies({ accessToken, refreshToken }) {
+  return [
+    `auth_token=${accessToken}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${ACCESS_TOKEN_TTL_SECONDS}`,
+    `refresh_token=${refreshToken}; Path=/api/auth; HttpOnly; Secure; SameSite=Strict; Max-Age=${REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60}`
+  ];
+}
+
+export function clearSessionCookies() {
+  return [
+    'auth_token=; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=0',
+    'refresh_token=; Path=/api/auth; HttpOnly; Secure; SameSite=Strict; Max-Age=0'
+  ];
+}
+
+// One line, one "@", a dot in the domain, and none of the characters that mean something
+// in a mail header or SMTP command
+const EMAIL_PATTERN = /^[^\s@<>()[\]",;:\\]+@[^\s@<>()[\]",;:\\]+\.[^\s@<>()[\]",;:\\]+$/;
+const MAX_EMAIL_LENGTH = 255;
+
+// The lowercased address when email is a plausible single address, otherwise null
+export function normalizeEmail(email) {
+  if (typeof email !== 'string') return null;
+  const normalized = email.trim().toLowerCase();
+  return normalized.length <= MAX_EMAIL_LENGTH && EMAIL_PATTERN.test(normalized) ? normalized : null;
+}
+
 // Create user in database
 export async function createUser(email, password, name = '') {
-  const hashedPassword = hashPassword(password);
+  const hashedPassword = await hashPassword(password);
   const userId = crypto.randomUUID();
   
   try {
     await sql`
-      INSERT INTO users (id, email, password_hash, name, tier, created_at)
+      INSERT INTO users (id, email, password_hash, name, subscription_tier, created_at)
       VALUES (${userId}, ${email}, ${hashedPassword}, ${name}, 'free', NOW())
     `;
     return { success: true, userId };
@@ -61,7 +365,7 @@ export async function createUser(email, password, name = '') {
 // Get user by email
 export async function getUserByEmail(email) {
   const result = await sql`
-    SELECT id, email, password_hash, name, tier, created_at
+    SELECT id, email, password_hash, name, subscription_tier, created_at
     FROM users
     WHERE email = ${email}
   `;
@@ -71,7 +375,7 @@ export async function getUserByEmail(email) {
 // Get user by ID
 export async function getUserById(userId) {
   const result = await sql`
-    SELECT id, email, name, tier, created_at
+    SELECT id, email, name, subscription_tier, created_at
     FROM users
     WHERE id = ${userId}
   `;
@@ -80,11 +384,11 @@ export async function getUserById(userId) {
 
 // Get user from request
 export async function getUserFromRequest(req) {
-  const token = req.cookies?.auth_token;
+  const token = parseCookies(req.headers.cookie).auth_token;
   if (!token) return null;
-  
-  const payload = await verifyToken(token);
-  if (!payload) return null;
-  
-  return await getUserById(payload.userId);
+
+  const session = await getSession(token);
+  if (!session) return null;
+
+  return await getUserById(session.userId);
 }
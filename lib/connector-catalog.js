@@ -0,0 +1,78 @@
+// Bundled connector catalog used to tag the connectors a flow needs
+// Keyed by API name (the last segment of /providers/Microsoft.PowerApps/apis/<name>).
+// tier: 'standard' is included with Microsoft 365 licences; 'premium' needs a
+// Power Automate Premium (per-user/per-flow) licence.
+
+export const CONNECTOR_CATALOG = {
+  // Microsoft 365 (standard)
+  shared_office365: { displayName: 'Office 365 Outlook', tier: 'standard' },
+  shared_office365users: { displayName: 'Office 365 Users', tier: 'standard' },
+  shared_office365groups: { displayName: 'Office 365 Groups', tier: 'standard' },
+  shared_office365groupsmail: { displayName: 'Office 365 Groups Mail', tier: 'standard' },
+  shared_sharepointonline: { displayName: 'SharePoint', tier: 'standard' },
+  shared_onedriveforbusiness: { displayName: 'OneDrive for Business', tier: 'standard' },
+  shared_onedrive: { displayName: 'OneDrive', tier: 'standard' },
+  shared_teams: { displayName: 'Microsoft Teams', tier: 'standard' },
+  shared_excelonlinebusiness: { displayName: 'Excel Online (Business)', tier: 'standard' },
+  shared_microsoftforms: { displayName: 'Microsoft Forms', tier: 'standard' },
+  shared_approvals: { displayName: 'Approvals', tier: 'standard' },
+  shared_planner: { displayName: 'Planner', tier: 'standard' },
+  shared_todo: { displayName: 'Microsoft To Do (Business)', tier: 'standard' },
+  shared_onenote: { displayName: 'OneNote (Business)', tier: 'standard' },
+  shared_outlook: { displayName: 'Outlook.com', tier: 'standard' },
+  shared_yammer: { displayName: 'Viva Engage', tier: 'standard' },
+  shared_flowpush: { displayName: 'Notifications', tier: 'standard' },
+  shared_sendmail: { displayName: 'Mail', tier: 'standard' },
+  shared_conversionservice: { displayName: 'Content Conversion', tier: 'standard' },
+  shared_logicflows: { displayName: 'Power Automate Management', tier: 'standard' },
+  shared_flowmanagement: { displayName: 'Power Automate Management', tier: 'standard' },
+  shared_powerplatformforadmins: { displayName: 'Power Platform for Admins', tier: 'standard' },
+  shared_azuredevops: { displayName: 'Azure DevOps', tier: 'standard' },
+  shared_bingmaps: { displayName: 'Bing Maps', tier: 'standard' },
+  shared_msnweather: { displayName: 'MSN Weather', tier: 'standard' },
+  shared_rss: { displayName: 'RSS', tier: 'standard' },
+  shared_smtp: { displayName: 'SMTP', tier: 'standard' },
+  shared_ftp: { displayName: 'FTP', tier: 'standard' },
+
+  // Third-party (standard)
+  shared_gmail: { displayName: 'Gmail', tier: 'standard' },
+  shared_googledrive: { displayName: 'Google Drive', tier: 'standard' },
+  shared_googlecalendar: { displayName: 'Google Calendar', tier: 'standard' },
+  shared_dropbox: { displayName: 'Dropbox', tier: 'standard' },
+  shared_slack: { displayName: 'Slack', tier: 'standard' },
+  shared_trello: { displayName: 'Trello', tier: 'standard' },
+  shared_twitter: { displayName: 'X (Twitter)', tier: 'standard' },
+
+  // Premium
+  shared_commondataserviceforapps: { displayName: 'Microsoft Dataverse', tier: 'premium' },
+  shared_dynamicscrmonline: { displayName: 'Dynamics 365 (deprecated)', tier: 'premium' },
+  shared_sql: { displayName: 'SQL Server', tier: 'premium' },
+  shared_azureblob: { displayName: 'Azure Blob Storage', tier: 'premium' },
+  shared_azurequeues: { displayName: 'Azure Queues', tier: 'premium' },
+  shared_azuretables: { displayName: 'Azure Table Storage', tier: 'premium' },
+  shared_servicebus: { displayName: 'Service Bus', tier: 'premium' },
+  shared_keyvault: { displayName: 'Azure Key Vault', tier: 'premium' },
+  shared_azureautomation: { displayName: 'Azure Automation', tier: 'premium' },
+  shared_azuread: { displayName: 'Microsoft Entra ID', tier: 'premium' },
+  shared_webcontents: { displayName: 'HTTP with Microsoft Entra ID', tier: 'premium' },
+  shared_wordonlinebusiness: { displayName: 'Word Online (Business)', tier: 'premium' },
+  shared_uiflow: { displayName: 'Desktop flows', tier: 'premium' },
+  shared_salesforce: { displayName: 'Salesforce', tier: 'premium' },
+  shared_docusign: { displayName: 'DocuSign', tier: 'premium' },
+  shared_adobesign: { displayName: 'Adobe Acrobat Sign', tier: 'premium' },
+  shared_sftpwithssh: { displayName: 'SFTP - SSH', tier: 'premium' },
+  shared_servicenow: { displayName: 'ServiceNow', tier: 'premium' },
+  shared_jira: { displayName: 'Jira', tier: 'premium' },
+  shared_zendesk: { displayName: 'Zendesk', tier: 'premium' },
+  shared_mysql: { displayName: 'MySQL', tier: 'premium' },
+  shared_postgresql: { displayName: 'PostgreSQL', tier: 'premium' },
+  shared_oracle: { displayName: 'Oracle Database', tier: 'premium' }
+};
+
+// Built-in operations that are licensed as premium even though they use no connection
+// (matched on trigger/action type, plus trigger kind for Request triggers)
+export const BUILTIN_PREMIUM = [
+  { name: 'http', displayName: 'HTTP', types: ['Http'] },
+  { name: 'httpwebhook', displayName: 'HTTP Webhook', types: ['HttpWebhook'] },
+  { name: 'request', displayName: 'When a HTTP request is received', types: ['Request'], kinds: ['Http'] }
+];
@@ -0,0 +1,205 @@
+// Connector inventory for generated flows
+// Finds the connectors a flow uses from its connectionReferences, the $connections
+// parameter and the OpenApiConnection/ApiConnection triggers and actions themselves,
+// and tags each one standard, premium or custom from the bundled catalog.
+
+import { getDefinition, walkActions, childPath } from './flow-validator.js';
+import { CONNECTOR_CATALOG, BUILTIN_PREMIUM } from './connector-catalog.js';
+
+export const API_ID_PREFIX = '/providers/Microsoft.PowerApps/apis/';
+
+const CONNECTION_TYPES = [
+  'OpenApiConnection',
+  'OpenApiConnectionWebhook',
+  'OpenApiConnectionNotification',
+  'ApiConnection',
+  'ApiConnectionWebhook',
+  'ApiConnectionNotification'
+];
+
+// "shared_office365_1" -> "shared_office365"
+export function apiNameFromReference(referenceName) {
+  return referenceName.replace(/_\d+$/, '');
+}
+
+// "/providers/Microsoft.PowerApps/apis/shared_office365" -> "shared_office365"; null for
+// anything that isn't a usable id (model output can put any value here)
+export function apiNameFromId(apiId) {
+  if (typeof apiId !== 'string') return null;
+  return apiId.split('/').pop() || null;
+}
+
+// Work out the connection reference name and API used by one trigger/action
+function readConnection(node) {
+  const host = node?.inputs?.host;
+  if (!host) return null;
+
+  // OpenApiConnection: host.connectionName + host.apiId
+  if (host.connectionName) {
+    return { referenceName: host.connectionName, apiId: host.apiId || null };
+  }
+
+  // ApiConnection: host.connection.name = "@parameters('$connections')['shared_x']['connectionId']"
+  const connection = host.connection?.name || host.connection?.referenceName;
+  if (typeof connection === 'string') {
+    const match = connection.match(/\$connections'\)\s*\[\s*'([^']+)'\s*\]/);
+    return { referenceName: match ? match[1] : connection, apiId: host.apiId || null };
+  }
+
+  return null;
+}
+
+// Returns { [referenceName]: { referenceName, apiName, apiId, usedBy, paths } }
+// usedBy lists trigger/action names, paths their JSONPath locations
+export function getConnectionReferences(flow) {
+  const references = {};
+  const definition = getDefinition(flow);
+
+  // A reference name that isn't a string is skipped, and an unusable apiId is derived from
+  // the reference name instead
+  function add(referenceName, apiId, usedBy, path) {
+    if (typeof referenceName !== 'string' || !referenceName) return;
+    const apiName = apiNameFromId(apiId) || apiNameFromReference(referenceName);
+    const ref = references[referenceName] || (references[referenceName] = {
+      referenceName,
+      apiName,
+      apiId: apiNameFromId(apiId) ? apiId : `${API_ID_PREFIX}${apiName}`,
+      usedBy: [],
+      paths: []
+    });
+    if (usedBy && !ref.usedBy.includes(usedBy)) {
+      ref.usedBy.push(usedBy);
+      ref.paths.push(path);
+    }
+  }
+
+  const declared = flow?.properties?.connectionReferences || {};
+  for (const [name, ref] of Object.entries(declared)) {
+    add(name, ref?.api?.id || ref?.id || (ref?.api?.name ? `${API_ID_PREFIX}${ref.api.name}` : null));
+  }
+
+  const connectionsParam = definition?.parameters?.$connections?.defaultValue || {};
+  for (const [name, ref] of Object.entries(connectionsParam)) {
+    add(name, ref?.id);
+  }
+
+  for (const [name, trigger] of Object.entries(definition?.triggers || {})) {
+    if (!CONNECTION_TYPES.includes(trigger?.type)) continue;
+    const conn = readConnection(trigger);
+    if (conn) add(conn.referenceName, conn.apiId, name, childPath('$.triggers', name));
+  }
+
+  walkActions(definition?.actions, '$.actions', (name, action, path) => {
+    if (!CONNECTION_TYPES.includes(action?.type)) return;
+    const conn = readConnection(action);
+    if (conn) add(conn.referenceName, conn.apiId, name, path);
+  });
+
+  return references;
+}
+
+// Custom connectors are published as shared_<publisher>-5f<name>-5f<id> or outside shared_
+function isCustomApiName(apiName) {
+  return !apiName.startsWith('shared_') || apiName.includes('-5f');
+}
+
+// API name of the connector a trigger/action calls, or null for built-in operations
+export function apiNameForNode(node) {
+  const conn = readConnection(node);
+  if (!conn) return null;
+  return apiNameFromId(conn.apiId) || apiNameFromReference(conn.referenceName);
+}
+
+export function getConnectorInfo(apiName) {
+  const entry = CONNECTOR_CATALOG[apiName];
+  if (entry) return { displayName: entry.displayName, tier: entry.tier };
+  return {
+    displayName: apiName.replace(/^shared_/, ''),
+    tier: isCustomApiName(apiName) ? 'custom' : 'unknown'
+  };
+}
+
+// Connector inventory for a flow:
+// { connectors: [{ name, displayName, tier, apiId, builtin, referenceNames, usedBy, paths }],
+//   counts: { standard, premium, custom, unknown }, hasPremium }
+// 'unknown' means a shared_ connector that isn't in the bundled catalog yet.
+export function analyzeConnectors(flow) {
+  const byApi = {};
+
+  for (const ref of Object.values(getConnectionReferences(flow))) {
+    const connector = byApi[ref.apiName] || (byApi[ref.apiName] = {
+      name: ref.apiName,
+      ...getConnectorInfo(ref.apiName),
+      apiId: ref.apiId,
+      builtin: false,
+      referenceNames: [],
+      usedBy: [],
+      paths: []
+    });
+    connector.referenceNames.push(ref.referenceName);
+    connector.usedBy.push(...ref.usedBy);
+    connector.paths.push(...ref.paths);
+  }
+
+  const definition = getDefinition(flow);
+  function checkBuiltin(name, node, path) {
+    for (const builtin of BUILTIN_PREMIUM) {
+      if (!builtin.types.includes(node?.type)) continue;
+      if (builtin.kinds && !builtin.kinds.includes(node.kind)) continue;
+
+      const connector = byApi[builtin.name] || (byApi[builtin.name] = {
+        name: builtin.name,
+        displayName: builtin.displayName,
+        tier: 'premium',
+        apiId: null,
+        builtin: true,
+        referenceNames: [],
+        usedBy: [],
+        paths: []
+      });
+      connector.usedBy.push(name);
+      connector.paths.push(path);
+    }
+  }
+
+  for (const [name, trigger] of Object.entries(definition?.triggers || {})) {
+    checkBuiltin(name, trigger, childPath('$.triggers', name));
+  }
+  walkActions(definition?.actions, '$.actions', checkBuiltin);
+
+  const connectors = Object.values(byApi);
+  const counts = { standard: 0, premium: 0, custom: 0, unknown: 0 };
+  for (const connector of connectors) counts[connector.tier]++;
+
+  return { connectors, counts, hasPremium: counts.premium > 0 };
+}
+
+// Compact form stored in flows.connectors
+export function summarizeConnectors(analysis) {
+  return analysis.connectors.map(({ name, displayName, tier, builtin }) => ({ name, displayName, tier, builtin }));
+}
+
+export const AVOID_PREMIUM_INSTRUCTION = 'The user does not have a premium Power Automate licence. Use ONLY standard connectors (e.g. SharePoint, Office 365 Outlook, Teams, OneDrive for Business, Excel Online (Business), Approvals). Do NOT use premium connectors such as Dataverse, SQL Server, Azure, Salesforce, Word Online (Business), the HTTP action or the "When a HTTP request is received" trigger.';
+
+// Extra validation check used when the user asked to avoid premium connectors
+export function premiumConnectorCheck(flow) {
+  const diagnostics = [];
+  for (const connector of analyzeConnectors(flow).connectors) {
+    if (connector.tier !== 'premium') continue;
+    if (connector.usedBy.length === 0) {
+      diagnostics.push({
+        severity: 'error',
+        code: 'PREMIUM_CONNECTOR',
+        message: `Connection reference to the premium ${connector.displayName} connector must be removed`,
+        path: '$'
+      });
+    }
+    connector.usedBy.forEach((name, i) => diagnostics.push({
+      severity: 'error',
+      code: 'PREMIUM_CONNECTOR',
+      message: `"${name}" uses the premium ${connector.displayName} connector; use a standard connector instead`,
+      path: connector.paths[i]
+    }));
+  }
+  return diagnostics;
+}
@@ -0,0 +1,525 @@
+// Evaluator for workflow definition language expressions
+// Runs the ASTs from expression-parser.js against a run context, for the dry-run
+// simulator. Covers the common string, collection, logical, conversion, math and
+// date functions plus the workflow functions (body(), items(), variables() ...); anything
+// else raises ExpressionError so the calling action fails the way an invalid template
+// would.
+//
+// The context passed to evaluateValue() provides:
+//   trigger                  - { name, outputs: { headers, body } }
+//   actions                  - { [name]: { name, status, inputs, outputs, error } }
+//   variables, parameters    - name -> value
+//   loops                    - active loops, innermost last: { name, type, item, index }
+//   results                  - (name) => result() array for a Scope/Foreach/Until
+//   currentItem              - item being processed by Filter array / Select, if any
+//   workflow, now            - workflow() metadata and the clock used by utcNow()
+
+import crypto from 'crypto';
+import { parseExpression, parseTemplate } from './expression-parser.js';
+import { EXPRESSION_FUNCTIONS, resolveFunctionName } from './expression-functions.js';
+
+export class ExpressionError extends Error {
+  constructor(message, code = 'InvalidTemplate') {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Largest values a function may produce, so a definition can't exhaust memory
+// (range() has the same count limit in the Logic Apps runtime)
+export const EXPRESSION_LIMITS = {
+  maxRangeCount: 100000,
+  maxStringLength: 1000000,
+  maxArrayLength: 100000
+};
+
+// Size of a value for the limits above: characters of a string, items of an array
+export function valueSize(value) {
+  if (typeof value === 'string' || Array.isArray(value)) return value.length;
+  return 0;
+}
+
+function checkSize(value, what) {
+  if (typeof value === 'string' && value.length > EXPRESSION_LIMITS.maxStringLength) {
+    throw new ExpressionError(`${what} would produce a string longer than ${EXPRESSION_LIMITS.maxStringLength} characters`, 'ExpressionLimitExceeded');
+  }
+  if (Array.isArray(value) && value.length > EXPRESSION_LIMITS.maxArrayLength) {
+    throw new ExpressionError(`${what} would produce an array of more than ${EXPRESSION_LIMITS.maxArrayLength} items`, 'ExpressionLimitExceeded');
+  }
+  return value;
+}
+
+// Join strings, refusing up front when the result would be over the length limit
+function joinChecked(parts, separator, fn) {
+  const length = parts.reduce((total, part) => total + part.length, 0) + separator.length * Math.max(parts.length - 1, 0);
+  if (length > EXPRESSION_LIMITS.maxStringLength) {
+    throw new ExpressionError(`${fn}() would produce a string longer than ${EXPRESSION_LIMITS.maxStringLength} characters`, 'ExpressionLimitExceeded');
+  }
+  return parts.join(separator);
+}
+
+function typeName(value) {
+  if (value === null || value === undefined) return 'Null';
+  if (Array.isArray(value)) return 'Array';
+  switch (typeof value) {
+    case 'string': return 'String';
+    case 'number': return Number.isInteger(value) ? 'Integer' : 'Float';
+    case 'boolean': return 'Boolean';
+    default: return 'Object';
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => deepEqual(a[key], b[key]));
+  }
+  return false;
+}
+
+// Text form of a value inside "@{...}" interpolation
+export function stringify(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'string') return value;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function toNumber(value, fn) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || Number.isNaN(number)) {
+    throw new ExpressionError(`${fn}() expects a number but got ${typeName(value)} "${stringify(value)}"`);
+  }
+  return number;
+}
+
+function toCollection(value, fn) {
+  if (typeof value === 'string' || Array.isArray(value)) return value;
+  throw new ExpressionError(`${fn}() expects a string or array but got ${typeName(value)}`);
+}
+
+function toDate(value, fn) {
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    throw new ExpressionError(`${fn}() expects an ISO 8601 timestamp but got "${stringify(value)}"`);
+  }
+  return date;
+}
+
+function decodeUri(value, fn) {
+  try {
+    return decodeURIComponent(stringify(value));
+  } catch {
+    throw new ExpressionError(`${fn}() was given text that isn't a valid URI component`);
+  }
+}
+
+const TIME_UNITS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+function addTime(timestamp, interval, unit, fn) {
+  const date = toDate(timestamp, fn);
+  const amount = toNumber(interval, fn);
+  const key = String(unit).toLowerCase().replace(/s$/, '');
+
+  if (key === 'month' || key === 'year') {
+    date.setUTCMonth(date.getUTCMonth() + amount * (key === 'year' ? 12 : 1));
+  } else if (TIME_UNITS[key]) {
+    date.setTime(date.getTime() + amount * TIME_UNITS[key]);
+  } else {
+    throw new ExpressionError(`${fn}() doesn't know the time unit "${unit}"`);
+  }
+  if (Number.isNaN(date.getTime())) {
+    throw new ExpressionError(`${fn}() produced a date outside the supported range`);
+  }
+  return date.toISOString();
+}
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const FORMAT_TOKENS = /yyyy|yy|MMMM|MMM|MM|M|dddd|ddd|dd|d|HH|H|hh|h|mm|m|ss|s|fffffff|fff|tt|'[^']*'/g;
+
+// .NET-style date formatting in UTC; supports the standard "o", "s" and "u" formats and
+// the usual custom specifiers (yyyy, MM, dd, HH, mm, ss, fff, tt ...)
+function formatDate(date, format = 'o') {
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  if (format === 'o') return date.toISOString().replace('Z', '0000Z');
+  if (format === 's') return date.toISOString().slice(0, 19);
+  if (format === 'u') return `${date.toISOString().slice(0, 19).replace('T', ' ')}Z`;
+
+  const hours = date.getUTCHours();
+  const values = {
+    yyyy: date.getUTCFullYear(),
+    yy: pad(date.getUTCFullYear() % 100),
+    MMMM: MONTHS[date.getUTCMonth()],
+    MMM: MONTHS[date.getUTCMonth()].slice(0, 3),
+    MM: pad(date.getUTCMonth() + 1),
+    M: date.getUTCMonth() + 1,
+    dddd: DAYS[date.getUTCDay()],
+    ddd: DAYS[date.getUTCDay()].slice(0, 3),
+    dd: pad(date.getUTCDate()),
+    d: date.getUTCDate(),
+    HH: pad(hours),
+    H: hours,
+    hh: pad(hours % 12 || 12),
+    h: hours % 12 || 12,
+    mm: pad(date.getUTCMinutes()),
+    m: date.getUTCMinutes(),
+    ss: pad(date.getUTCSeconds()),
+    s: date.getUTCSeconds(),
+    fffffff: pad(date.getUTCMilliseconds(), 3) + '0000',
+    fff: pad(date.getUTCMilliseconds(), 3),
+    tt: hours < 12 ? 'AM' : 'PM'
+  };
+  return format.replace(FORMAT_TOKENS, token => token.startsWith('\'') ? token.slice(1, -1) : String(values[token]));
+}
+
+function startOf(timestamp, unit, format, fn) {
+  const date = toDate(timestamp, fn);
+  if (unit === 'month') date.setUTCDate(1);
+  if (unit !== 'hour') date.setUTCHours(0);
+  date.setUTCMinutes(0, 0, 0);
+  return format ? formatDate(date, format) : date.toISOString();
+}
+
+function findLoop(ctx, name, type, fn) {
+  const loop = [...ctx.loops].reverse().find(frame => frame.name === name && frame.type === type);
+  if (!loop) {
+    throw new ExpressionError(`${fn}('${name}') is only valid inside the "${name}" loop`);
+  }
+  return loop;
+}
+
+function actionRecord(ctx, name, fn) {
+  const record = ctx.actions[name];
+  if (!record) {
+    throw new ExpressionError(`${fn}('${name}') references an action that hasn't run`);
+  }
+  return record;
+}
+
+// Function implementations: (args, ctx, name) => value. Argument counts are checked
+// before these are called.
+const FUNCTIONS = {
+  // String
+  concat: (args, ctx, fn) => joinChecked(args.map(stringify), '', fn),
+  substring: ([text, start, length]) => {
+    const value = stringify(text);
+    return length === undefined ? value.substring(start) : value.substr(start, length);
+  },
+  replace: ([text, oldText, newText], ctx, fn) => joinChecked(stringify(text).split(stringify(oldText)), stringify(newText), fn),
+  toLower: ([text]) => stringify(text).toLowerCase(),
+  toUpper: ([text]) => stringify(text).toUpperCase(),
+  trim: ([text]) => stringify(text).trim(),
+  split: ([text, separator]) => stringify(text).split(stringify(separator)),
+  indexOf: ([text, search]) => stringify(text).toLowerCase().indexOf(stringify(search).toLowerCase()),
+  lastIndexOf: ([text, search]) => stringify(text).toLowerCase().lastIndexOf(stringify(search).toLowerCase()),
+  startsWith: ([text, search]) => stringify(text).toLowerCase().startsWith(stringify(search).toLowerCase()),
+  endsWith: ([text, search]) => stringify(text).toLowerCase().endsWith(stringify(search).toLowerCase()),
+  length: ([value], ctx, fn) => toCollection(value, fn).length,
+  guid: () => crypto.randomUUID(),
+
+  // Collection
+  contains: ([collection, value]) => {
+    if (typeof collection === 'string') return collection.includes(stringify(value));
+    if (Array.isArray(collection)) return collection.some(item => deepEqual(item, value));
+    if (isObject(collection)) return Object.prototype.hasOwnProperty.call(collection, value);
+    return false;
+  },
+  empty: ([value]) => {
+    if (value === null || value === undefined) return true;
+    if (typeof value === 'string' || Array.isArray(value)) return value.length === 0;
+    if (isObject(value)) return Object.keys(value).length === 0;
+    return false;
+  },
+  first: ([value], ctx, fn) => toCollection(value, fn)[0] ?? null,
+  last: ([value], ctx, fn) => {
+    const collection = toCollection(value, fn);
+    return collection[collection.length - 1] ?? null;
+  },
+  join: ([items, separator], ctx, fn) => {
+    if (!Array.isArray(items)) throw new ExpressionError(`${fn}() expects an array`);
+    return joinChecked(items.map(stringify), stringify(separator), fn);
+  },
+  skip: ([value, count], ctx, fn) => toCollection(value, fn).slice(toNumber(count, fn)),
+  take: ([value, count], ctx, fn) => toCollection(value, fn).slice(0, toNumber(count, fn)),
+  reverse: ([items], ctx, fn) => {
+    if (!Array.isArray(items)) throw new ExpressionError(`${fn}() expects an array`);
+    return [...items].reverse();
+  },
+  sort: ([items, key], ctx, fn) => {
+    if (!Array.isArray(items)) throw new ExpressionError(`${fn}() expects an array`);
+    const pick = item => (key === undefined ? item : item?.[key]);
+    return [...items].sort((a, b) => (pick(a) < pick(b) ? -1 : pick(a) > pick(b) ? 1 : 0));
+  },
+  union: args => {
+    if (args.every(Array.isArray)) {
+      const out = [];
+      for (const item of args.flat()) {
+        if (!out.some(existing => deepEqual(existing, item))) out.push(item);
+      }
+      return out;
+    }
+    return Object.assign({}, ...args);
+  },
+  intersection: args => {
+    if (args.every(Array.isArray)) {
+      return args[0].filter((item, i) => args.every(list => list.some(other => deepEqual(other, item)))
+        && args[0].findIndex(other => deepEqual(other, item)) === i);
+    }
+    return Object.fromEntries(Object.entries(args[0] || {})
+      .filter(([key, value]) => args.every(obj => isObject(obj) && deepEqual(obj[key], value))));
+  },
+  createArray: args => args,
+
+  // Logical comparison
+  and: args => args.every(value => value === true),
+  or: args => args.some(value => value === true),
+  not: ([value]) => value !== true,
+  equals: ([a, b]) => deepEqual(a, b),
+  greater: ([a, b]) => a > b,
+  greaterOrEquals: ([a, b]) => a >= b,
+  less: ([a, b]) => a < b,
+  lessOrEquals: ([a, b]) => a <= b,
+  if: ([condition, whenTrue, whenFalse]) => (condition === true ? whenTrue : whenFalse),
+  coalesce: args => args.find(value => value !== null && value !== undefined) ?? null,
+
+  // Conversion
+  string: ([value]) => stringify(value),
+  int: ([value], ctx, fn) => {
+    const number = toNumber(value, fn);
+    if (!Number.isInteger(number)) throw new ExpressionError(`${fn}() can't convert "${stringify(value)}" to an integer`);
+    return number;
+  },
+  float: ([value], ctx, fn) => toNumber(value, fn),
+  decimal: ([value], ctx, fn) => toNumber(value, fn),
+  bool: ([value], ctx, fn) => {
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'number') return value !== 0;
+    const text = stringify(value).toLowerCase();
+    if (text === 'true' || text === 'false') return text === 'true';
+    throw new ExpressionError(`${fn}() can't convert "${stringify(value)}" to a boolean`);
+  },
+  json: ([value], ctx, fn) => {
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch {
+      throw new ExpressionError(`${fn}() was given text that isn't valid JSON`);
+    }
+  },
+  array: ([value]) => (Array.isArray(value) ? value : [value]),
+  base64: ([value]) => Buffer.from(stringify(value)).toString('base64'),
+  base64ToString: ([value]) => Buffer.from(stringify(value), 'base64').toString('utf8'),
+  decodeBase64: ([value]) => Buffer.from(stringify(value), 'base64').toString('utf8'),
+  encodeUriComponent: ([value]) => encodeURIComponent(stringify(value)),
+  uriComponent: ([value]) => encodeURIComponent(stringify(value)),
+  decodeUriComponent: ([value], ctx, fn) => decodeUri(value, fn),
+  uriComponentToString: ([value], ctx, fn) => decodeUri(value, fn),
+
+  // Math
+  add: ([a, b], ctx, fn) => toNumber(a, fn) + toNumber(b, fn),
+  sub: ([a, b], ctx, fn) => toNumber(a, fn) - toNumber(b, fn),
+  mul: ([a, b], ctx, fn) => toNumber(a, fn) * toNumber(b, fn),
+  div: ([a, b], ctx, fn) => {
+    const divisor = toNumber(b, fn);
+    if (divisor === 0) throw new ExpressionError('div() was asked to divide by zero');
+    const result = toNumber(a, fn) / divisor;
+    return Number.isInteger(a) && Number.isInteger(b) ? Math.trunc(result) : result;
+  },
+  mod: ([a, b], ctx, fn) => {
+    const divisor = toNumber(b, fn);
+    if (divisor === 0) throw new ExpressionError('mod() was asked to divide by zero');
+    return toNumber(a, fn) % divisor;
+  },
+  min: args => Math.min(...(Array.isArray(args[0]) ? args[0] : args)),
+  max: args => Math.max(...(Array.isArray(args[0]) ? args[0] : args)),
+  range: ([start, count], ctx, fn) => {
+    const first = toNumber(start, fn);
+    const length = toNumber(count, fn);
+    if (!Number.isInteger(first) || !Number.isInteger(length) || length < 0) {
+      throw new ExpressionError(`${fn}() needs an integer start and a count of zero or more`);
+    }
+    if (length > EXPRESSION_LIMITS.maxRangeCount) {
+      throw new ExpressionError(`${fn}() can't produce more than ${EXPRESSION_LIMITS.maxRangeCount} items`, 'ExpressionLimitExceeded');
+    }
+    return Array.from({ length }, (_, i) => first + i);
+  },
+  rand: ([min, max], ctx, fn) => Math.floor(toNumber(min, fn) + Math.random() * (toNumber(max, fn) - toNumber(min, fn))),
+
+  // Date and time (UTC only; time zone conversions aren't simulated)
+  utcNow: ([format], ctx) => formatDate(ctx.now, format),
+  addDays: ([timestamp, days, format], ctx, fn) => formatDate(new Date(addTime(timestamp, days, 'day', fn)), format),
+  addHours: ([timestamp, hours, format], ctx, fn) => formatDate(new Date(addTime(timestamp, hours, 'hour', fn)), format),
+  addMinutes: ([timestamp, minutes, format], ctx, fn) => formatDate(new Date(addTime(timestamp, minutes, 'minute', fn)), format),
+  addSeconds: ([timestamp, seconds, format], ctx, fn) => formatDate(new Date(addTime(timestamp, seconds, 'second', fn)), format),
+  addToTime: ([timestamp, interval, unit, format], ctx, fn) => formatDate(new Date(addTime(timestamp, interval, unit, fn)), format),
+  subtractFromTime: ([timestamp, interval, unit, format], ctx, fn) => formatDate(new Date(addTime(timestamp, -toNumber(interval, fn), unit, fn)), format),
+  getFutureTime: ([interval, unit, format], ctx, fn) => formatDate(new Date(addTime(ctx.now.toISOString(), interval, unit, fn)), format),
+  getPastTime: ([interval, unit, format], ctx, fn) => formatDate(new Date(addTime(ctx.now.toISOString(), -toNumber(interval, fn), unit, fn)), format),
+  formatDateTime: ([timestamp, format], ctx, fn) => formatDate(toDate(timestamp, fn), format),
+  startOfDay: ([timestamp, format], ctx, fn) => startOf(timestamp, 'day', format, fn),
+  startOfHour: ([timestamp, format], ctx, fn) => startOf(timestamp, 'hour', format, fn),
+  startOfMonth: ([timestamp, format], ctx, fn) => startOf(timestamp, 'month', format, fn),
+  dayOfMonth: ([timestamp], ctx, fn) => toDate(timestamp, fn).getUTCDate(),
+  dayOfWeek: ([timestamp], ctx, fn) => toDate(timestamp, fn).getUTCDay(),
+  dayOfYear: ([timestamp], ctx, fn) => {
+    const date = toDate(timestamp, fn);
+    return Math.floor((date - Date.UTC(date.getUTCFullYear(), 0, 1)) / TIME_UNITS.day) + 1;
+  },
+  ticks: ([timestamp], ctx, fn) => toDate(timestamp, fn).getTime() * 10000 + 621355968000000000,
+
+  // Workflow
+  trigger: (args, ctx) => ctx.trigger,
+  triggerOutputs: (args, ctx) => ctx.trigger.outputs,
+  triggerBody: (args, ctx) => ctx.trigger.outputs?.body ?? null,
+  actions: ([name], ctx, fn) => actionRecord(ctx, name, fn),
+  outputs: ([name], ctx, fn) => actionRecord(ctx, name, fn).outputs ?? null,
+  actionOutputs: ([name], ctx, fn) => actionRecord(ctx, name, fn).outputs ?? null,
+  body: ([name], ctx, fn) => actionRecord(ctx, name, fn).outputs?.body ?? null,
+  actionBody: ([name], ctx, fn) => actionRecord(ctx, name, fn).outputs?.body ?? null,
+  item: (args, ctx) => {
+    if (ctx.currentItem !== undefined) return ctx.currentItem;
+    const loop = [...ctx.loops].reverse().find(frame => frame.type === 'Foreach');
+    if (!loop) throw new ExpressionError('item() is only valid inside a loop, Filter array or Select');
+    return loop.item;
+  },
+  items: ([name], ctx, fn) => findLoop(ctx, name, 'Foreach', fn).item,
+  iterationIndexes: ([name], ctx, fn) => findLoop(ctx, name, 'Until', fn).index,
+  variables: ([name], ctx) => {
+    if (!(name in ctx.variables)) throw new ExpressionError(`variables('${name}') hasn't been initialized`);
+    return ctx.variables[name];
+  },
+  parameters: ([name], ctx) => {
+    if (!(name in ctx.parameters)) throw new ExpressionError(`parameters('${name}') isn't defined`);
+    return ctx.parameters[name];
+  },
+  result: ([name], ctx) => ctx.results(name),
+  workflow: (args, ctx) => ctx.workflow
+};
+
+function selectProperty(object, property, optional) {
+  if (object === null || object === undefined) {
+    if (optional) return null;
+    throw new ExpressionError(`Can't select property '${stringify(property)}' of a null value; use ?['${stringify(property)}'] if it may be missing`);
+  }
+
+  if (Array.isArray(object) && typeof property === 'number') {
+    if (property < 0 || property >= object.length) {
+      if (optional) return null;
+      throw new ExpressionError(`Index ${property} is outside the array (length ${object.length})`);
+    }
+    return object[property];
+  }
+
+  if (typeof object === 'object' && !Array.isArray(object)) {
+    const key = String(property);
+    if (Object.prototype.hasOwnProperty.call(object, key)) return object[key];
+    // Property names are case-insensitive at runtime
+    const match = Object.keys(object).find(name => name.toLowerCase() === key.toLowerCase());
+    if (match !== undefined) return object[match];
+    if (optional) return null;
+    throw new ExpressionError(`Property '${key}' doesn't exist; available properties are ${Object.keys(object).map(name => `'${name}'`).join(', ') || 'none'}`);
+  }
+
+  if (optional) return null;
+  throw new ExpressionError(`Can't select property '${stringify(property)}' of a ${typeName(object)} value`);
+}
+
+// Call a function by name with already evaluated arguments
+export function callFunction(functionName, args, ctx) {
+  const name = resolveFunctionName(functionName);
+  if (!name) throw new ExpressionError(`Unknown function "${functionName}()"`);
+
+  const implementation = FUNCTIONS[name];
+  if (!implementation) {
+    throw new ExpressionError(`${name}() isn't supported by the simulator`, 'UnsupportedExpression');
+  }
+
+  const [min, max] = EXPRESSION_FUNCTIONS[name];
+  if (args.length < min || args.length > max) {
+    throw new ExpressionError(`${name}() was given ${args.length} argument(s)`);
+  }
+
+  // Anything else an implementation throws (a malformed URI, an invalid date ...) is
+  // still the expression's fault, so it fails the same way
+  let value;
+  try {
+    value = checkSize(implementation(args, ctx, name), `${name}()`);
+  } catch (error) {
+    if (error instanceof ExpressionError) throw error;
+    throw new ExpressionError(`${name}() failed: ${error.message}`);
+  }
+
+  ctx.onValue?.(value);
+  return value;
+}
+
+function evaluateNode(node, ctx) {
+  switch (node.type) {
+    case 'string':
+    case 'number':
+    case 'boolean':
+    case 'null':
+      return node.value;
+    case 'member':
+      return selectProperty(evaluateNode(node.object, ctx), evaluateNode(node.property, ctx), node.optional);
+    case 'call':
+      // if() only evaluates the branch it returns, like the runtime
+      if (resolveFunctionName(node.name) === 'if' && node.args.length === 3) {
+        const condition = evaluateNode(node.args[0], ctx);
+        return evaluateNode(node.args[condition === true ? 1 : 2], ctx);
+      }
+      return callFunction(node.name, node.args.map(arg => evaluateNode(arg, ctx)), ctx);
+    default:
+      throw new ExpressionError(`Unsupported expression node "${node.type}"`);
+  }
+}
+
+// Evaluate one expression (without the leading "@")
+export function evaluateExpression(text, ctx) {
+  return evaluateNode(parseExpression(text), ctx);
+}
+
+// Evaluate a value from a definition: strings are templates, objects and arrays are
+// evaluated recursively. A whole-value expression keeps its type; interpolation always
+// yields a string.
+export function evaluateValue(value, ctx) {
+  if (Array.isArray(value)) return value.map(item => evaluateValue(item, ctx));
+  if (isObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, evaluateValue(item, ctx)]));
+  }
+  if (typeof value !== 'string') return value;
+  if (value.startsWith('@@')) return value.slice(1);
+
+  const template = parseTemplate(value);
+  if (template.errors.length > 0) {
+    throw new ExpressionError(template.errors[0].message);
+  }
+  if (template.kind === 'literal') return value;
+  if (template.kind === 'expression') return evaluateNode(template.expressions[0].ast, ctx);
+
+  let out = '';
+  let cursor = 0;
+  for (const expression of template.expressions) {
+    // offset points at the expression text, just after "@{"
+    out += value.slice(cursor, expression.offset - 2).replace(/@@\{/g, '@{');
+    out += stringify(evaluateNode(expression.ast, ctx));
+    cursor = expression.offset + expression.text.length + 1;
+    checkSize(out, 'The template');
+  }
+  return out + value.slice(cursor).replace(/@@\{/g, '@{');
+}
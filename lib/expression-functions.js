@@ -0,0 +1,175 @@
+// Workflow definition language functions with their argument counts
+// [min, max] arguments; max is Infinity for variadic functions. Names are matched
+// case-insensitively, as the runtime does.
+
+export const EXPRESSION_FUNCTIONS = {
+  // String
+  concat: [1, Infinity],
+  endsWith: [2, 2],
+  formatNumber: [2, 3],
+  guid: [0, 1],
+  indexOf: [2, 2],
+  isFloat: [1, 2],
+  isInt: [1, 1],
+  lastIndexOf: [2, 2],
+  length: [1, 1],
+  nthIndexOf: [3, 3],
+  replace: [3, 3],
+  slice: [2, 3],
+  split: [2, 2],
+  startsWith: [2, 2],
+  substring: [2, 3],
+  toLower: [1, 1],
+  toUpper: [1, 1],
+  trim: [1, 1],
+
+  // Collection
+  chunk: [2, 2],
+  contains: [2, 2],
+  empty: [1, 1],
+  first: [1, 1],
+  intersection: [2, Infinity],
+  join: [2, 2],
+  last: [1, 1],
+  reverse: [1, 1],
+  skip: [2, 2],
+  sort: [1, 2],
+  take: [2, 2],
+  union: [2, Infinity],
+
+  // Logical comparison
+  and: [2, Infinity],
+  equals: [2, 2],
+  greater: [2, 2],
+  greaterOrEquals: [2, 2],
+  if: [3, 3],
+  less: [2, 2],
+  lessOrEquals: [2, 2],
+  not: [1, 1],
+  or: [2, Infinity],
+
+  // Conversion
+  array: [1, 1],
+  base64: [1, 1],
+  base64ToBinary: [1, 1],
+  base64ToString: [1, 1],
+  binary: [1, 1],
+  bool: [1, 1],
+  coalesce: [1, Infinity],
+  createArray: [1, Infinity],
+  dataUri: [1, 1],
+  dataUriToBinary: [1, 1],
+  dataUriToString: [1, 1],
+  decimal: [1, 1],
+  decodeBase64: [1, 1],
+  decodeDataUri: [1, 1],
+  decodeUriComponent: [1, 1],
+  encodeUriComponent: [1, 1],
+  float: [1, 2],
+  int: [1, 1],
+  json: [1, 1],
+  string: [1, 1],
+  uriComponent: [1, 1],
+  uriComponentToBinary: [1, 1],
+  uriComponentToString: [1, 1],
+  xml: [1, 1],
+
+  // Math
+  add: [2, 2],
+  div: [2, 2],
+  max: [1, Infinity],
+  min: [1, Infinity],
+  mod: [2, 2],
+  mul: [2, 2],
+  rand: [2, 2],
+  range: [2, 2],
+  sub: [2, 2],
+
+  // Date and time
+  addDays: [2, 3],
+  addHours: [2, 3],
+  addMinutes: [2, 3],
+  addSeconds: [2, 3],
+  addToTime: [3, 4],
+  convertFromUtc: [2, 3],
+  convertTimeZone: [3, 4],
+  convertToUtc: [2, 3],
+  dateDifference: [2, 2],
+  dayOfMonth: [1, 1],
+  dayOfWeek: [1, 1],
+  dayOfYear: [1, 1],
+  formatDateTime: [1, 3],
+  getFutureTime: [2, 3],
+  getPastTime: [2, 3],
+  parseDateTime: [1, 3],
+  startOfDay: [1, 2],
+  startOfHour: [1, 2],
+  startOfMonth: [1, 2],
+  subtractFromTime: [3, 4],
+  ticks: [1, 1],
+  utcNow: [0, 1],
+
+  // Workflow
+  action: [0, 0],
+  actionBody: [1, 1],
+  actionOutputs: [1, 1],
+  actions: [1, 1],
+  body: [1, 1],
+  formDataMultiValues: [2, 2],
+  formDataValue: [2, 2],
+  item: [0, 0],
+  items: [1, 1],
+  iterationIndexes: [1, 1],
+  listCallbackUrl: [0, 0],
+  multipartBody: [2, 2],
+  outputs: [1, 1],
+  parameters: [1, 1],
+  result: [1, 1],
+  trigger: [0, 0],
+  triggerBody: [0, 0],
+  triggerFormDataMultiValues: [1, 1],
+  triggerFormDataValue: [1, 1],
+  triggerMultipartBody: [1, 1],
+  triggerOutputs: [0, 0],
+  variables: [1, 1],
+  workflow: [0, 0],
+
+  // URI parsing
+  uriHost: [1, 1],
+  uriPath: [1, 1],
+  uriPathAndQuery: [1, 1],
+  uriPort: [1, 1],
+  uriQuery: [1, 1],
+  uriScheme: [1, 1],
+
+  // JSON and XML
+  addProperty: [3, 3],
+  removeProperty: [2, 2],
+  setProperty: [3, 3],
+  xpath: [2, 2]
+};
+
+// Functions whose first argument names an action, and the action types it must be
+// (null means any action)
+export const ACTION_REFERENCE_FUNCTIONS = {
+  actionBody: null,
+  actionOutputs: null,
+  actions: null,
+  body: null,
+  formDataMultiValues: null,
+  formDataValue: null,
+  multipartBody: null,
+  outputs: null,
+  items: ['Foreach'],
+  iterationIndexes: ['Until'],
+  result: ['Scope', 'Foreach', 'Until']
+};
+
+const BY_LOWER_NAME = Object.fromEntries(
+  Object.keys(EXPRESSION_FUNCTIONS).map(name => [name.toLowerCase(), name])
+);
+
+// Canonical function name, or null when the function doesn't exist
+export function resolveFunctionName(name) {
+  return BY_LOWER_NAME[name.toLowerCase()] || null;
+}
@@ -0,0 +1,147 @@
+// Linter for the expressions inside a flow definition
+// Parses every string in the triggers and actions and reports syntax errors, unbalanced
+// "@{...}" interpolation, unknown functions, wrong argument counts and references to
+// actions, variables and parameters the flow doesn't define. Diagnostics use the same
+// { severity, code, message, path } shape as validateFlowDefinition, so lintFlowExpressions
+// can be passed to it as a check.
+
+import { getDefinition, walkActions, childPath, actionBody, collectStrings } from './flow-validator.js';
+import { parseTemplate, walkExpression } from './expression-parser.js';
+import { EXPRESSION_FUNCTIONS, ACTION_REFERENCE_FUNCTIONS, resolveFunctionName } from './expression-functions.js';
+
+function describeArity([min, max]) {
+  if (min === max) return `${min} argument${min === 1 ? '' : 's'}`;
+  if (max === Infinity) return `at least ${min} argument${min === 1 ? '' : 's'}`;
+  return `${min} to ${max} arguments`;
+}
+
+// Names declared by "Initialize variable" actions
+function collectVariables(definition) {
+  const names = new Set();
+  walkActions(definition.actions, '$.actions', (name, action) => {
+    if (action?.type !== 'InitializeVariable') return;
+    for (const variable of action.inputs?.variables || []) {
+      if (typeof variable?.name === 'string') names.add(variable.name.toLowerCase());
+    }
+  });
+  return names;
+}
+
+// { [lowercased name]: { name, type, ancestors } } where ancestors are the names of the
+// containers (Foreach, Scope, ...) the action is nested in, innermost first
+function indexActions(definition) {
+  const index = {};
+  const parents = {};
+  walkActions(definition.actions, '$.actions', (name, action, path, parent) => {
+    parents[name] = parent;
+    const ancestors = [];
+    for (let p = parent; p; p = parents[p]) ancestors.push(p);
+    index[name.toLowerCase()] = { name, type: action?.type, ancestors };
+  });
+  return index;
+}
+
+// Check the function calls in one parsed expression
+function lintCall(node, text, path, ctx, diagnostics) {
+  const error = (code, message) => diagnostics.push({ severity: 'error', code, message, path });
+  const warn = (code, message) => diagnostics.push({ severity: 'warning', code, message, path });
+
+  const name = resolveFunctionName(node.name);
+  if (!name) {
+    error('UNKNOWN_FUNCTION', `Unknown function "${node.name}()" in "${text}"`);
+    return;
+  }
+
+  const [min, max] = EXPRESSION_FUNCTIONS[name];
+  if (node.args.length < min || node.args.length > max) {
+    error('WRONG_ARITY', `${name}() takes ${describeArity([min, max])} but was given ${node.args.length} in "${text}"`);
+  }
+
+  // Only literal names can be checked; computed ones are left to the runtime
+  const target = node.args[0]?.type === 'string' ? node.args[0].value : null;
+  if (target === null || !ctx) return;
+
+  if (name in ACTION_REFERENCE_FUNCTIONS) {
+    const referenced = ctx.actions[target.toLowerCase()];
+    if (!referenced) {
+      error('MISSING_ACTION_REFERENCE', `${name}('${target}') references an action that doesn't exist`);
+      return;
+    }
+
+    const types = ACTION_REFERENCE_FUNCTIONS[name];
+    if (types && !types.includes(referenced.type)) {
+      error('ACTION_REFERENCE_TYPE', `${name}('${target}') needs a ${types.join(' or ')} action but "${referenced.name}" is ${referenced.type || 'untyped'}`);
+    } else if ((name === 'items' || name === 'iterationIndexes') && !ctx.ancestors.includes(referenced.name)) {
+      error('ACTION_REFERENCE_SCOPE', `${name}('${target}') can only be used inside the "${referenced.name}" loop`);
+    }
+  } else if (name === 'variables') {
+    if (!ctx.variables.has(target.toLowerCase())) {
+      warn('UNKNOWN_VARIABLE', `variables('${target}') is never initialized`);
+    }
+  } else if (name === 'parameters') {
+    // $connections, $authentication etc. are supplied by the platform
+    if (!target.startsWith('$') && !(target in ctx.parameters)) {
+      warn('UNKNOWN_PARAMETER', `parameters('${target}') is not defined in the flow's parameters`);
+    }
+  }
+}
+
+// Lint every expression in one string value
+function lintString(value, path, ctx, diagnostics) {
+  const template = parseTemplate(value);
+
+  for (const problem of template.errors) {
+    diagnostics.push({
+      severity: 'error',
+      code: problem.code,
+      message: `${problem.message} (at character ${problem.offset + 1} of "${value}")`,
+      path
+    });
+  }
+
+  for (const expression of template.expressions) {
+    walkExpression(expression.ast, node => {
+      if (node.type === 'call') lintCall(node, expression.text, path, ctx, diagnostics);
+    });
+  }
+}
+
+// Lint a single value such as "@body('Get_items')?['value']" or "Hi @{triggerBody()?['name']}".
+// Without a flow there is nothing to resolve action or variable names against, so only
+// syntax, function names and argument counts are checked.
+export function lintExpression(value, path = '$') {
+  const diagnostics = [];
+  lintString(value, path, null, diagnostics);
+  return diagnostics;
+}
+
+// Lint every expression in a flow; returns diagnostics[]
+export function lintFlowExpressions(flow) {
+  const definition = getDefinition(flow);
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) return [];
+
+  const diagnostics = [];
+  const actions = indexActions(definition);
+  const base = {
+    actions,
+    variables: collectVariables(definition),
+    parameters: definition.parameters && typeof definition.parameters === 'object' ? definition.parameters : {}
+  };
+
+  for (const [name, trigger] of Object.entries(definition.triggers || {})) {
+    const ctx = { ...base, ancestors: [] };
+    for (const str of collectStrings(trigger, childPath('$.triggers', name))) {
+      lintString(str.value, str.path, ctx, diagnostics);
+    }
+  }
+
+  walkActions(definition.actions, '$.actions', (name, action, path) => {
+    // A loop's own expression (foreach, Until's exit condition) is evaluated inside it
+    const ctx = { ...base, ancestors: [name, ...(actions[name.toLowerCase()]?.ancestors || [])] };
+    for (const str of collectStrings(actionBody(action), path)) {
+      lintString(str.value, str.path, ctx, diagnostics);
+    }
+  });
+
+  return diagnostics;
+}
@@ -0,0 +1,250 @@
+// Parser for workflow definition language expressions
+// A string value in a flow is either plain text, a whole-value expression ("@body('x')")
+// or text with interpolated expressions ("Hello @{triggerBody()?['name']}"). "@@" at the
+// start of a value escapes a literal "@". Expressions are function calls, string and
+// number literals, true/false/null, property access (.name, ?.name) and indexing
+// ([...], ?[...]).
+//
+// AST nodes (start/end are offsets into the expression text):
+//   { type: 'call', name, args, start, end }
+//   { type: 'string' | 'number' | 'boolean' | 'null', value, start, end }
+//   { type: 'member', object, property: <node>, optional, start, end }
+
+export class ExpressionSyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.position = position;
+  }
+}
+
+const PUNCTUATION = ['(', ')', ',', '[', ']', '.', '?'];
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '\'') {
+      const start = i;
+      let value = '';
+      i++;
+      while (true) {
+        if (i >= text.length) throw new ExpressionSyntaxError('Unterminated string literal', start);
+        if (text[i] === '\'') {
+          if (text[i + 1] === '\'') {
+            value += '\'';
+            i += 2;
+            continue;
+          }
+          i++;
+          break;
+        }
+        value += text[i++];
+      }
+      tokens.push({ type: 'string', value, start, end: i });
+    } else if (/[0-9]/.test(ch) || (ch === '-' && /[0-9]/.test(text[i + 1] || ''))) {
+      const match = text.slice(i).match(/^-?\d+(\.\d+)?([eE][+-]?\d+)?/);
+      tokens.push({ type: 'number', value: Number(match[0]), start: i, end: i + match[0].length });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const match = text.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      tokens.push({ type: 'identifier', value: match[0], start: i, end: i + match[0].length });
+      i += match[0].length;
+    } else if (PUNCTUATION.includes(ch)) {
+      tokens.push({ type: ch, start: i, end: i + 1 });
+      i++;
+    } else {
+      throw new ExpressionSyntaxError(`Unexpected character "${ch}"`, i);
+    }
+  }
+
+  tokens.push({ type: 'end', start: text.length, end: text.length });
+  return tokens;
+}
+
+// Parse one expression (without the leading "@"); throws ExpressionSyntaxError
+export function parseExpression(text) {
+  const tokens = tokenize(text);
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[pos + offset];
+  const next = () => tokens[pos++];
+
+  function expect(type, description) {
+    const token = next();
+    if (token.type !== type) {
+      throw new ExpressionSyntaxError(
+        `Expected ${description} but found ${token.type === 'end' ? 'end of expression' : `"${text.slice(token.start, token.end)}"`}`,
+        token.start
+      );
+    }
+    return token;
+  }
+
+  function parsePrimary() {
+    const token = next();
+    switch (token.type) {
+      case 'string':
+      case 'number':
+        return { type: token.type, value: token.value, start: token.start, end: token.end };
+      case 'identifier': {
+        if (peek().type !== '(') {
+          const keyword = token.value.toLowerCase();
+          if (keyword === 'true' || keyword === 'false') {
+            return { type: 'boolean', value: keyword === 'true', start: token.start, end: token.end };
+          }
+          if (keyword === 'null') {
+            return { type: 'null', value: null, start: token.start, end: token.end };
+          }
+          throw new ExpressionSyntaxError(`"${token.value}" must be called as a function, e.g. ${token.value}()`, token.start);
+        }
+        next();
+        const args = [];
+        if (peek().type !== ')') {
+          args.push(parseValue());
+          while (peek().type === ',') {
+            next();
+            args.push(parseValue());
+          }
+        }
+        const close = expect(')', '"," or ")"');
+        return { type: 'call', name: token.value, args, start: token.start, end: close.end };
+      }
+      case 'end':
+        throw new ExpressionSyntaxError('Unexpected end of expression', token.start);
+      default:
+        throw new ExpressionSyntaxError(`Unexpected "${text.slice(token.start, token.end)}"`, token.start);
+    }
+  }
+
+  function parseValue() {
+    let node = parsePrimary();
+
+    while (true) {
+      const token = peek();
+      let optional = false;
+
+      if (token.type === '?') {
+        const after = peek(1).type;
+        if (after !== '[' && after !== '.') {
+          throw new ExpressionSyntaxError('Expected "[" or "." after "?"', token.start);
+        }
+        optional = true;
+        next();
+      }
+
+      const accessor = peek();
+      if (accessor.type === '[') {
+        next();
+        const property = parseValue();
+        const close = expect(']', '"]"');
+        node = { type: 'member', object: node, property, optional, start: node.start, end: close.end };
+      } else if (accessor.type === '.') {
+        next();
+        const name = expect('identifier', 'a property name');
+        node = {
+          type: 'member',
+          object: node,
+          property: { type: 'string', value: name.value, start: name.start, end: name.end },
+          optional,
+          start: node.start,
+          end: name.end
+        };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  const ast = parseValue();
+  const trailing = peek();
+  if (trailing.type !== 'end') {
+    throw new ExpressionSyntaxError(`Unexpected "${text.slice(trailing.start, trailing.end)}" after expression`, trailing.start);
+  }
+  return ast;
+}
+
+// End offset of the "}" closing an interpolation that starts at `start` (just after
+// "@{"), skipping braces inside string literals; -1 when it is never closed
+function findInterpolationEnd(value, start) {
+  let inString = false;
+  for (let i = start; i < value.length; i++) {
+    const ch = value[i];
+    if (inString) {
+      if (ch === '\'') {
+        if (value[i + 1] === '\'') i++;
+        else inString = false;
+      }
+    } else if (ch === '\'') {
+      inString = true;
+    } else if (ch === '}') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Split a string value into its expressions.
+// Returns { kind: 'literal' | 'expression' | 'interpolation', expressions, errors } where
+// expressions are [{ text, offset, ast }] (offset of the expression text in the value)
+// and errors are [{ code, message, offset }].
+export function parseTemplate(value) {
+  const result = { kind: 'literal', expressions: [], errors: [] };
+  if (typeof value !== 'string' || !value.includes('@')) return result;
+  if (value.startsWith('@@')) return result;
+
+  function addExpression(text, offset) {
+    try {
+      result.expressions.push({ text, offset, ast: parseExpression(text) });
+    } catch (error) {
+      if (!(error instanceof ExpressionSyntaxError)) throw error;
+      result.expressions.push({ text, offset, ast: null });
+      result.errors.push({ code: 'EXPRESSION_SYNTAX', message: error.message, offset: offset + error.position });
+    }
+  }
+
+  if (value.startsWith('@') && !value.startsWith('@{')) {
+    result.kind = 'expression';
+    addExpression(value.slice(1), 1);
+    return result;
+  }
+
+  let i = 0;
+  while ((i = value.indexOf('@{', i)) !== -1) {
+    if (value[i - 1] === '@') {
+      i += 2;
+      continue;
+    }
+    result.kind = 'interpolation';
+    const end = findInterpolationEnd(value, i + 2);
+    if (end === -1) {
+      result.errors.push({ code: 'UNBALANCED_INTERPOLATION', message: 'Interpolation "@{" is never closed with "}"', offset: i });
+      break;
+    }
+    const text = value.slice(i + 2, end);
+    if (text.trim() === '') {
+      result.errors.push({ code: 'EXPRESSION_SYNTAX', message: 'Empty interpolation "@{}"', offset: i });
+    } else {
+      addExpression(text, i + 2);
+    }
+    i = end + 1;
+  }
+
+  return result;
+}
+
+// Visit every node of an AST depth-first
+export function walkExpression(node, visit) {
+  if (!node) return;
+  visit(node);
+  if (node.type === 'call') {
+    node.args.forEach(arg => walkExpression(arg, visit));
+  } else if (node.type === 'member') {
+    walkExpression(node.object, visit);
+    walkExpression(node.property, visit);
+  }
+}
@@ -0,0 +1,224 @@
+// Best-practice review of a flow definition
+// Unlike the validator, which rejects flows that won't import, these findings are about
+// flows that work but will be hard to run in production: no error handling, loops and
+// triggers left on their defaults, hard-coded addresses and no retry policies. Each
+// finding is { severity, code, message, path, recommendation } with severity 'warning'
+// or 'info'.
+
+import { getDefinition, walkActions, childPath, actionBody, collectStrings } from './flow-validator.js';
+import { displayName } from './flow-docs.js';
+
+const FAILURE_STATUSES = ['Failed', 'TimedOut'];
+
+// Actions that call out to another service and can fail transiently
+const REMOTE_ACTION_TYPES = [
+  'Http',
+  'HttpWebhook',
+  'OpenApiConnection',
+  'OpenApiConnectionWebhook',
+  'ApiConnection',
+  'ApiConnectionWebhook',
+  'Function',
+  'Workflow'
+];
+
+// Triggers that fire on events from another service (as opposed to a schedule or button)
+const EVENT_TRIGGER_TYPES = [
+  'OpenApiConnection',
+  'OpenApiConnectionWebhook',
+  'OpenApiConnectionNotification',
+  'ApiConnection',
+  'ApiConnectionWebhook',
+  'ApiConnectionNotification',
+  'HttpWebhook'
+];
+
+const VARIABLE_UPDATES = [
+  'SetVariable',
+  'IncrementVariable',
+  'DecrementVariable',
+  'AppendToArrayVariable',
+  'AppendToStringVariable'
+];
+
+// Keys whose values are structure rather than configuration (JSON schemas, connection
+// wiring) and are skipped when looking for hard-coded values
+const SKIPPED_KEYS = ['schema', '$schema', 'host', 'authentication'];
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/;
+const URL_PATTERN = /\bhttps?:\/\/[^\s'"}]+/i;
+
+// Per-analysis severity totals
+function summarize(findings) {
+  return {
+    total: findings.length,
+    warnings: findings.filter(f => f.severity === 'warning').length,
+    info: findings.filter(f => f.severity === 'info').length
+  };
+}
+
+function withoutSkippedKeys(node) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) return node;
+  const copy = { ...node };
+  for (const key of SKIPPED_KEYS) delete copy[key];
+  if (copy.inputs && typeof copy.inputs === 'object' && !Array.isArray(copy.inputs)) {
+    copy.inputs = { ...copy.inputs };
+    for (const key of SKIPPED_KEYS) delete copy.inputs[key];
+  }
+  return copy;
+}
+
+function checkHardcodedValues(node, path, label, add) {
+  for (const str of collectStrings(withoutSkippedKeys(node), path)) {
+    const email = str.value.match(EMAIL_PATTERN);
+    if (email) {
+      add('warning', 'HARDCODED_EMAIL',
+        `${label} has the email address ${email[0]} written into it`,
+        str.path,
+        'Move the address into an environment variable (or a flow parameter) so it can differ between environments and be changed without editing the flow.');
+    }
+
+    const url = str.value.match(URL_PATTERN);
+    if (url) {
+      add('warning', 'HARDCODED_URL',
+        `${label} has the URL ${url[0]} written into it`,
+        str.path,
+        'Move site and endpoint URLs into environment variables so the flow can be deployed to test and production unchanged.');
+    }
+  }
+}
+
+// Analyze a flow (bare definition or full flow object); returns { summary, findings }
+export function analyzeFlow(flow) {
+  const findings = [];
+  const add = (severity, code, message, path, recommendation) => {
+    findings.push({ severity, code, message, path, recommendation });
+  };
+
+  const definition = getDefinition(flow);
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return { summary: summarize(findings), findings };
+  }
+
+  for (const [name, trigger] of Object.entries(definition.triggers || {})) {
+    const path = childPath('$.triggers', name);
+    if (!trigger || typeof trigger !== 'object') continue;
+
+    if (EVENT_TRIGGER_TYPES.includes(trigger.type) && !(trigger.conditions?.length > 0)) {
+      add('info', 'TRIGGER_WITHOUT_CONDITIONS',
+        `Trigger "${displayName(name)}" fires on every event, with no trigger conditions`,
+        path,
+        'Add trigger conditions (Settings > Trigger conditions) so the flow only starts for the events it acts on; runs filtered out by a Condition still count against your quota.');
+    }
+
+    checkHardcodedValues(trigger, path, `Trigger "${displayName(name)}"`, add);
+  }
+
+  let actionCount = 0;
+  let failureScopes = 0;
+  let failureHandlers = 0;
+
+  walkActions(definition.actions, '$.actions', (name, action, path) => {
+    if (!action || typeof action !== 'object') return;
+    actionCount++;
+    const label = `"${displayName(name)}"`;
+
+    const handlesFailure = Object.values(action.runAfter || {})
+      .some(statuses => Array.isArray(statuses) && statuses.some(status => FAILURE_STATUSES.includes(status)));
+    if (handlesFailure) {
+      failureHandlers++;
+      if (action.type === 'Scope') failureScopes++;
+    }
+
+    if (action.type === 'Foreach') {
+      const repetitions = action.runtimeConfiguration?.concurrency?.repetitions;
+      if (repetitions === undefined) {
+        add('warning', 'FOREACH_WITHOUT_CONCURRENCY',
+          `Apply to each ${label} has no concurrency control`,
+          path,
+          'Set runtimeConfiguration.concurrency.repetitions: 1 when iterations must run in order or update shared state, or a higher value (up to 50) to process items in parallel.');
+      } else if (repetitions > 1) {
+        const updates = [];
+        walkActions(action.actions, childPath(path, 'actions'), (childName, child) => {
+          if (VARIABLE_UPDATES.includes(child?.type)) updates.push(displayName(childName));
+        });
+        if (updates.length > 0) {
+          add('warning', 'PARALLEL_VARIABLE_UPDATE',
+            `Apply to each ${label} runs ${repetitions} iterations in parallel but updates variables (${updates.join(', ')})`,
+            childPath(childPath(path, 'runtimeConfiguration'), 'concurrency'),
+            'Variables are shared between parallel iterations. Use repetitions: 1, or collect results with Compose/Select after the loop instead.');
+        }
+      }
+    }
+
+    if (action.type === 'Until') {
+      const limit = action.limit || {};
+      if (limit.count === undefined && limit.timeout === undefined) {
+        add('warning', 'UNBOUNDED_UNTIL',
+          `Do until ${label} has no iteration count or timeout`,
+          path,
+          'Set limit.count and limit.timeout explicitly so the loop stops at a known point, and handle the case where the exit condition was never met.');
+      } else if (limit.count === undefined || limit.timeout === undefined) {
+        add('info', 'PARTIALLY_BOUNDED_UNTIL',
+          `Do until ${label} only sets ${limit.count === undefined ? 'a timeout' : 'an iteration count'}`,
+          childPath(path, 'limit'),
+          'Set both limit.count and limit.timeout so the loop ends at a known point.');
+      }
+    }
+
+    if (REMOTE_ACTION_TYPES.includes(action.type)) {
+      const retryPolicy = action.inputs?.retryPolicy;
+      if (!retryPolicy) {
+        add('info', 'NO_RETRY_POLICY',
+          `${label} calls another service but has no retry policy`,
+          path,
+          'Set inputs.retryPolicy (e.g. { "type": "exponential", "count": 4, "interval": "PT10S" }) so throttling and transient errors are retried deliberately.');
+      } else if (retryPolicy.type === 'none') {
+        add('info', 'RETRIES_DISABLED',
+          `${label} has retries turned off`,
+          childPath(childPath(path, 'inputs'), 'retryPolicy'),
+          'Make sure a failure of this action is handled, since transient errors won\'t be retried.');
+      }
+    }
+
+    checkHardcodedValues(actionBody(action), path, `Action ${label}`, add);
+  });
+
+  if (actionCount > 0 && failureScopes === 0) {
+    add('warning', 'NO_ERROR_HANDLING',
+      failureHandlers > 0
+        ? `${failureHandlers} action(s) run after a failure, but no Scope catches failures of the flow as a whole`
+        : 'Nothing runs when an action fails or times out',
+      '$.actions',
+      'Wrap the main steps in a "Try" Scope and add a "Catch" Scope that runs after it has Failed or TimedOut, to notify someone and record the error.');
+  }
+
+  return { summary: summarize(findings), findings };
+}
+
+// Markdown rendering of an analyzeFlow() result
+export function renderAnalysis(analysis, { name } = {}) {
+  const lines = [`# Best-practice review${name ? `: ${name}` : ''}`, ''];
+
+  if (analysis.findings.length === 0) {
+    lines.push('_No findings._', '');
+    return lines.join('\n');
+  }
+
+  const { summary } = analysis;
+  lines.push(`${summary.total} finding(s): ${summary.warnings} warning(s), ${summary.info} suggestion(s)`, '');
+
+  for (const [severity, heading] of [['warning', 'Warnings'], ['info', 'Suggestions']]) {
+    const findings = analysis.findings.filter(f => f.severity === severity);
+    if (findings.length === 0) continue;
+
+    lines.push(`## ${heading}`, '');
+    for (const finding of findings) {
+      lines.push(`- **${finding.message}** (\`${finding.code}\` at \`${finding.path}\`)`);
+      lines.push(`  - ${finding.recommendation}`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
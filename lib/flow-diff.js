@@ -0,0 +1,317 @@
+// Semantic diff between two flow definitions
+// Actions are matched by name (names are unique across a whole flow), so the result is
+// independent of key order and of where the JSON was reformatted. Nested actions are
+// compared on their own, never as part of the container that holds them.
+
+import { getDefinition, walkActions, childPath, actionBody } from './flow-validator.js';
+import { analyzeConnectors } from './connectors.js';
+import { displayName } from './flow-docs.js';
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Uploaded definitions can be malformed anywhere; maps that aren't objects compare as empty
+function asObject(value) {
+  return isObject(value) ? value : {};
+}
+
+// runAfter statuses as a list: a lone status string counts as a list of one, anything else
+// that isn't a list of strings as no statuses
+function statusList(value) {
+  if (typeof value === 'string') return [value];
+  return Array.isArray(value) ? value.filter(status => typeof status === 'string') : [];
+}
+
+export function isExpression(value) {
+  return typeof value === 'string' && (value.startsWith('@') || value.includes('@{'));
+}
+
+// Deep comparison ignoring key order; returns [{ path, kind, before, after, expression }]
+export function diffValues(before, after, path = '', changes = []) {
+  if (isObject(before) && isObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    for (const key of keys) {
+      const keyPath = path ? childPath(path, key) : key;
+      if (!(key in before)) {
+        changes.push({ path: keyPath, kind: 'added', after: after[key] });
+      } else if (!(key in after)) {
+        changes.push({ path: keyPath, kind: 'removed', before: before[key] });
+      } else {
+        diffValues(before[key], after[key], keyPath, changes);
+      }
+    }
+    return changes;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    for (let i = 0; i < length; i++) {
+      const itemPath = `${path}[${i}]`;
+      if (i >= before.length) changes.push({ path: itemPath, kind: 'added', after: after[i] });
+      else if (i >= after.length) changes.push({ path: itemPath, kind: 'removed', before: before[i] });
+      else diffValues(before[i], after[i], itemPath, changes);
+    }
+    return changes;
+  }
+
+  if (before !== after) {
+    changes.push({
+      path: path || '$',
+      kind: 'changed',
+      before,
+      after,
+      expression: isExpression(before) || isExpression(after)
+    });
+  }
+  return changes;
+}
+
+function sameValue(a, b) {
+  return diffValues(a, b).length === 0;
+}
+
+// { [name]: { action, path, parent } } for every action in the flow
+function indexActions(definition) {
+  const index = {};
+  walkActions(definition?.actions, '$.actions', (name, action, path, parent) => {
+    index[name] = { action, path, parent };
+  });
+  return index;
+}
+
+// Scope path an action lives in, e.g. "$.actions['Condition'].else.actions"
+function scopeOf(path, name) {
+  return path.slice(0, path.length - childPath('', name).length);
+}
+
+function diffRunAfter(rawBefore, rawAfter) {
+  const before = asObject(rawBefore);
+  const after = asObject(rawAfter);
+  const changes = [];
+  const names = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+  for (const name of names) {
+    const oldStatuses = name in before ? statusList(before[name]) : null;
+    const newStatuses = name in after ? statusList(after[name]) : null;
+    if (!oldStatuses) {
+      changes.push({ action: name, kind: 'added', after: newStatuses });
+    } else if (!newStatuses) {
+      changes.push({ action: name, kind: 'removed', before: oldStatuses });
+    } else if ([...oldStatuses].sort().join() !== [...newStatuses].sort().join()) {
+      changes.push({ action: name, kind: 'changed', before: oldStatuses, after: newStatuses });
+    }
+  }
+
+  return changes;
+}
+
+function diffNamedNodes(rawBefore, rawAfter) {
+  const before = asObject(rawBefore);
+  const after = asObject(rawAfter);
+  const result = { added: [], removed: [], modified: [] };
+  for (const name of Object.keys(after)) {
+    if (!(name in before)) result.added.push({ name, type: after[name]?.type });
+  }
+  for (const [name, node] of Object.entries(before)) {
+    if (!(name in after)) {
+      result.removed.push({ name, type: node?.type });
+    } else {
+      const changes = diffValues(node, after[name]);
+      if (changes.length > 0) result.modified.push({ name, type: after[name]?.type, changes });
+    }
+  }
+  return result;
+}
+
+// Compare two flows (bare definitions or full flow objects).
+// Returns { identical, summary, triggers, actions: { added, removed, renamed, modified },
+//           connectors: { added, removed }, definition }
+export function diffFlows(beforeFlow, afterFlow) {
+  const before = asObject(getDefinition(beforeFlow));
+  const after = asObject(getDefinition(afterFlow));
+  const oldActions = indexActions(before);
+  const newActions = indexActions(after);
+
+  const added = [];
+  const removed = [];
+  const modified = [];
+
+  for (const [name, entry] of Object.entries(newActions)) {
+    if (!oldActions[name]) added.push({ name, type: entry.action?.type, path: entry.path });
+  }
+  for (const [name, entry] of Object.entries(oldActions)) {
+    if (!newActions[name]) removed.push({ name, type: entry.action?.type, path: entry.path });
+  }
+
+  // An action removed under one name and added under another with the same body was renamed
+  const renamed = [];
+  for (const gone of [...removed]) {
+    const match = added.find(item => sameValue(actionBody(oldActions[gone.name].action), actionBody(newActions[item.name].action)));
+    if (match) {
+      renamed.push({ from: gone.name, to: match.name, type: match.type, path: match.path });
+      removed.splice(removed.indexOf(gone), 1);
+      added.splice(added.indexOf(match), 1);
+    }
+  }
+
+  for (const [name, newEntry] of Object.entries(newActions)) {
+    const oldEntry = oldActions[name];
+    if (!oldEntry) continue;
+
+    const oldAction = oldEntry.action || {};
+    const newAction = newEntry.action || {};
+    const entry = { name, type: newAction.type, path: newEntry.path };
+
+    if (oldAction.type !== newAction.type) {
+      entry.typeChanged = { before: oldAction.type, after: newAction.type };
+    }
+
+    const oldScope = scopeOf(oldEntry.path, name);
+    const newScope = scopeOf(newEntry.path, name);
+    if (oldScope !== newScope) {
+      entry.moved = { from: oldScope, to: newScope };
+    }
+
+    const runAfter = diffRunAfter(oldAction.runAfter, newAction.runAfter);
+    if (runAfter.length > 0) entry.runAfter = runAfter;
+
+    const changes = diffValues(actionBody(oldAction), actionBody(newAction)).filter(change => change.path !== 'type');
+    if (changes.length > 0) entry.changes = changes;
+
+    if (entry.typeChanged || entry.moved || entry.runAfter || entry.changes) {
+      modified.push(entry);
+    }
+  }
+
+  const triggers = diffNamedNodes(before.triggers, after.triggers);
+
+  const oldConnectors = analyzeConnectors(beforeFlow).connectors.map(c => c.name);
+  const newConnectors = analyzeConnectors(afterFlow).connectors.map(c => c.name);
+  const connectors = {
+    added: newConnectors.filter(name => !oldConnectors.includes(name)),
+    removed: oldConnectors.filter(name => !newConnectors.includes(name))
+  };
+
+  // Everything outside triggers and actions: $schema, contentVersion, parameters, outputs
+  const strip = ({ triggers: _t, actions: _a, ...rest }) => rest;
+  const definition = diffValues(strip(before), strip(after));
+
+  const summary = {
+    added: added.length,
+    removed: removed.length,
+    renamed: renamed.length,
+    modified: modified.length,
+    runAfterChanges: modified.filter(entry => entry.runAfter).length,
+    triggerChanges: triggers.added.length + triggers.removed.length + triggers.modified.length,
+    definitionChanges: definition.length
+  };
+
+  return {
+    identical: Object.values(summary).every(count => count === 0),
+    summary,
+    triggers,
+    actions: { added, removed, renamed, modified },
+    connectors,
+    definition
+  };
+}
+
+function formatDiffValue(value) {
+  if (value === undefined) return '_(none)_';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  const clipped = text.length > 200 ? `${text.slice(0, 199)}…` : text;
+  return `\`${clipped.replace(/`/g, '\'')}\``;
+}
+
+function renderChange(change) {
+  switch (change.kind) {
+    case 'added':
+      return `\`${change.path}\` added: ${formatDiffValue(change.after)}`;
+    case 'removed':
+      return `\`${change.path}\` removed (was ${formatDiffValue(change.before)})`;
+    default:
+      return `\`${change.path}\`${change.expression ? ' (expression)' : ''}: ${formatDiffValue(change.before)} → ${formatDiffValue(change.after)}`;
+  }
+}
+
+function renderRunAfter(change) {
+  const statuses = value => statusList(value).join(', ') || '_(no status)_';
+  switch (change.kind) {
+    case 'added':
+      return `now runs after **${displayName(change.action)}** (${statuses(change.after)})`;
+    case 'removed':
+      return `no longer runs after **${displayName(change.action)}**`;
+    default:
+      return `runs after **${displayName(change.action)}** on ${statuses(change.after)} instead of ${statuses(change.before)}`;
+  }
+}
+
+// Markdown rendering of a diffFlows() result
+export function renderDiff(diff, { beforeLabel = 'before', afterLabel = 'after' } = {}) {
+  const lines = [`# Changes from ${beforeLabel} to ${afterLabel}`, ''];
+
+  if (diff.identical) {
+    lines.push('_No changes._', '');
+    return lines.join('\n');
+  }
+
+  const { summary } = diff;
+  lines.push(`${summary.added} added, ${summary.removed} removed, ${summary.renamed} renamed, ${summary.modified} modified action(s)`, '');
+
+  if (summary.triggerChanges > 0) {
+    lines.push('## Trigger', '');
+    for (const trigger of diff.triggers.added) lines.push(`- Added **${displayName(trigger.name)}** (${trigger.type})`);
+    for (const trigger of diff.triggers.removed) lines.push(`- Removed **${displayName(trigger.name)}** (${trigger.type})`);
+    for (const trigger of diff.triggers.modified) {
+      lines.push(`- Changed **${displayName(trigger.name)}**`);
+      for (const change of trigger.changes) lines.push(`  - ${renderChange(change)}`);
+    }
+    lines.push('');
+  }
+
+  if (diff.actions.added.length > 0) {
+    lines.push('## Added actions', '');
+    for (const action of diff.actions.added) lines.push(`- **${displayName(action.name)}** (${action.type}) at \`${action.path}\``);
+    lines.push('');
+  }
+
+  if (diff.actions.removed.length > 0) {
+    lines.push('## Removed actions', '');
+    for (const action of diff.actions.removed) lines.push(`- **${displayName(action.name)}** (${action.type}) from \`${action.path}\``);
+    lines.push('');
+  }
+
+  if (diff.actions.renamed.length > 0) {
+    lines.push('## Renamed actions', '');
+    for (const action of diff.actions.renamed) lines.push(`- **${displayName(action.from)}** → **${displayName(action.to)}**`);
+    lines.push('');
+  }
+
+  if (diff.actions.modified.length > 0) {
+    lines.push('## Modified actions', '');
+    for (const action of diff.actions.modified) {
+      lines.push(`- **${displayName(action.name)}** (${action.type})`);
+      if (action.typeChanged) lines.push(`  - type: ${action.typeChanged.before} → ${action.typeChanged.after}`);
+      if (action.moved) lines.push(`  - moved from \`${action.moved.from}\` to \`${action.moved.to}\``);
+      for (const change of action.runAfter || []) lines.push(`  - ${renderRunAfter(change)}`);
+      for (const change of action.changes || []) lines.push(`  - ${renderChange(change)}`);
+    }
+    lines.push('');
+  }
+
+  if (diff.connectors.added.length > 0 || diff.connectors.removed.length > 0) {
+    lines.push('## Connectors', '');
+    for (const name of diff.connectors.added) lines.push(`- Added ${name}`);
+    for (const name of diff.connectors.removed) lines.push(`- Removed ${name}`);
+    lines.push('');
+  }
+
+  if (diff.definition.length > 0) {
+    lines.push('## Definition', '');
+    for (const change of diff.definition) lines.push(`- ${renderChange(change)}`);
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
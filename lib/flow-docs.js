@@ -0,0 +1,494 @@
+// Human-readable documentation for flow definitions
+// Builds a Markdown write-up and a Mermaid flowchart straight from the workflow JSON.
+// Everything is derived from the definition itself, so the same flow always produces
+// the same documents and no model call is needed.
+
+import { getDefinition, orderActions, walkActions } from './flow-validator.js';
+import { analyzeConnectors, apiNameForNode, getConnectorInfo } from './connectors.js';
+
+const TYPE_LABELS = {
+  If: 'Condition',
+  Switch: 'Switch',
+  Foreach: 'Apply to each',
+  Until: 'Do until',
+  Scope: 'Scope',
+  Compose: 'Compose',
+  InitializeVariable: 'Initialize variable',
+  SetVariable: 'Set variable',
+  IncrementVariable: 'Increment variable',
+  DecrementVariable: 'Decrement variable',
+  AppendToArrayVariable: 'Append to array variable',
+  AppendToStringVariable: 'Append to string variable',
+  ParseJson: 'Parse JSON',
+  Query: 'Filter array',
+  Select: 'Select',
+  Table: 'Create table',
+  Join: 'Join',
+  Http: 'HTTP',
+  HttpWebhook: 'HTTP webhook',
+  Response: 'Response',
+  Terminate: 'Terminate',
+  Wait: 'Delay',
+  Workflow: 'Run a child flow',
+  Request: 'Request',
+  Recurrence: 'Recurrence'
+};
+
+const VARIABLE_UPDATES = [
+  'SetVariable',
+  'IncrementVariable',
+  'DecrementVariable',
+  'AppendToArrayVariable',
+  'AppendToStringVariable'
+];
+
+const OPERATORS = {
+  equals: 'is equal to',
+  greater: 'is greater than',
+  greaterOrEquals: 'is greater than or equal to',
+  less: 'is less than',
+  lessOrEquals: 'is less than or equal to',
+  contains: 'contains',
+  startsWith: 'starts with',
+  endsWith: 'ends with'
+};
+
+const MAX_VALUE_LENGTH = 160;
+
+// Action names use underscores for spaces ("Send_an_email_(V2)")
+export function displayName(name) {
+  return name.replace(/_/g, ' ');
+}
+
+function truncate(text, max = MAX_VALUE_LENGTH) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+// Inline code span that survives backticks in the value
+function code(text) {
+  const value = truncate(String(text).replace(/\s*\n\s*/g, ' '));
+  const fence = value.includes('`') ? '``' : '`';
+  return `${fence}${value}${fence}`;
+}
+
+function formatValue(value) {
+  if (value === undefined) return '_(not set)_';
+  if (typeof value === 'string') return value.startsWith('@') || value.includes('@{') ? code(value) : truncate(value);
+  return code(JSON.stringify(value));
+}
+
+function escapeTableCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function connectorLabel(node) {
+  const apiName = apiNameForNode(node);
+  return apiName ? getConnectorInfo(apiName).displayName : null;
+}
+
+// Short description of what a trigger/action is: "Office 365 Outlook · SendEmailV2"
+export function describeType(node) {
+  const connector = connectorLabel(node);
+  if (connector) {
+    const operation = node.inputs?.host?.operationId;
+    return operation ? `${connector} · ${operation}` : connector;
+  }
+  if (node?.type === 'Request' && node.kind) return `${node.kind === 'Button' ? 'Manual' : node.kind} trigger`;
+  return TYPE_LABELS[node?.type] || node?.type || 'Unknown';
+}
+
+// Condition expressions: { and: [{ equals: [a, b] }] } -> "`a` is equal to `b`"
+export function describeExpression(expression) {
+  if (typeof expression === 'string') return code(expression);
+  if (!expression || typeof expression !== 'object') return code(JSON.stringify(expression));
+
+  const [operator, args] = Object.entries(expression)[0] || [];
+  if (operator === 'and' || operator === 'or') {
+    const parts = (Array.isArray(args) ? args : []).map(describeExpression);
+    return parts.length > 1
+      ? parts.map(part => `(${part})`).join(` ${operator.toUpperCase()} `)
+      : parts[0] || '_(empty)_';
+  }
+  if (operator === 'not') {
+    return `NOT (${describeExpression(args)})`;
+  }
+  if (Array.isArray(args) && args.length === 2) {
+    return `${formatValue(args[0])} ${OPERATORS[operator] || operator} ${formatValue(args[1])}`;
+  }
+  return code(JSON.stringify(expression));
+}
+
+// Saved and pasted flows haven't necessarily been validated, so runAfter and variables
+// can have any shape; whatever can't be read is documented as "unknown"
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// "Succeeded, Failed" for a runAfter status list
+function describeStatuses(statuses) {
+  if (statuses === undefined || statuses === null) return 'Succeeded';
+  if (!Array.isArray(statuses)) return 'unknown';
+  return statuses.map(String).join(', ') || 'Succeeded';
+}
+
+function describeRunAfter(runAfter) {
+  if (runAfter === undefined || runAfter === null) return null;
+  if (!isPlainObject(runAfter)) return 'unknown';
+  const entries = Object.entries(runAfter);
+  if (entries.length === 0) return null;
+  return entries
+    .map(([name, statuses]) => `**${displayName(name)}** (${describeStatuses(statuses)})`)
+    .join(', ');
+}
+
+// Initialize variable entries; entries that aren't { name, ... } come back as null
+function declaredVariables(inputs) {
+  if (!Array.isArray(inputs?.variables)) return [];
+  return inputs.variables.map(variable => (isPlainObject(variable) && typeof variable.name === 'string' ? variable : null));
+}
+
+// Detail bullets for one action (without nested actions)
+function describeDetails(action) {
+  const inputs = action.inputs || {};
+  const details = [];
+
+  if (apiNameForNode(action)) {
+    for (const [key, value] of Object.entries(inputs.parameters || {})) {
+      details.push(`${key}: ${formatValue(value)}`);
+    }
+    return details;
+  }
+
+  switch (action.type) {
+    case 'If':
+      details.push(`Condition: ${describeExpression(action.expression)}`);
+      break;
+    case 'Switch':
+      details.push(`On: ${formatValue(action.expression)}`);
+      break;
+    case 'Foreach':
+      details.push(`For each item in: ${formatValue(action.foreach)}`);
+      if (action.runtimeConfiguration?.concurrency?.repetitions) {
+        details.push(`Concurrency: ${action.runtimeConfiguration.concurrency.repetitions} at a time`);
+      } else {
+        details.push('Concurrency: default');
+      }
+      break;
+    case 'Until':
+      details.push(`Until: ${describeExpression(action.expression)}`);
+      if (action.limit) details.push(`Limit: ${formatValue(action.limit)}`);
+      break;
+    case 'InitializeVariable':
+      for (const variable of declaredVariables(inputs)) {
+        details.push(variable
+          ? `${variable.name} (${variable.type || 'unknown'}) = ${formatValue(variable.value)}`
+          : 'unknown variable');
+      }
+      break;
+    case 'SetVariable':
+    case 'IncrementVariable':
+    case 'DecrementVariable':
+    case 'AppendToArrayVariable':
+    case 'AppendToStringVariable':
+      details.push(`Variable: ${typeof inputs.name === 'string' ? inputs.name : 'unknown'}`);
+      if (inputs.value !== undefined) details.push(`Value: ${formatValue(inputs.value)}`);
+      break;
+    case 'Http':
+      details.push(`${inputs.method || 'GET'} ${formatValue(inputs.uri)}`);
+      if (inputs.body !== undefined) details.push(`Body: ${formatValue(inputs.body)}`);
+      break;
+    case 'Compose':
+      details.push(`Inputs: ${formatValue(action.inputs)}`);
+      break;
+    case 'Response':
+      details.push(`Status code: ${formatValue(inputs.statusCode ?? 200)}`);
+      break;
+    case 'Terminate':
+      details.push(`Status: ${inputs.runStatus || 'Succeeded'}`);
+      break;
+    case 'Wait':
+      if (inputs.interval) details.push(`Wait ${inputs.interval.count} ${inputs.interval.unit}`);
+      if (inputs.until) details.push(`Wait until ${formatValue(inputs.until.timestamp)}`);
+      break;
+    case 'Scope':
+      break;
+    default:
+      for (const [key, value] of Object.entries(inputs)) {
+        details.push(`${key}: ${formatValue(value)}`);
+      }
+  }
+
+  return details;
+}
+
+// Branches of a container action as [{ label, actions }]
+export function getBranches(action) {
+  switch (action?.type) {
+    case 'If':
+      return [
+        { label: 'If yes', actions: action.actions },
+        { label: 'If no', actions: action.else?.actions }
+      ];
+    case 'Switch':
+      return [
+        ...Object.entries(action.cases || {}).map(([name, switchCase]) => ({
+          label: `Case ${formatValue(switchCase?.case)} (${displayName(name)})`,
+          actions: switchCase?.actions
+        })),
+        { label: 'Default', actions: action.default?.actions }
+      ];
+    case 'Foreach':
+      return [{ label: 'For each item', actions: action.actions }];
+    case 'Until':
+      return [{ label: 'Repeat', actions: action.actions }];
+    case 'Scope':
+      return [{ label: 'Contains', actions: action.actions }];
+    default:
+      return [];
+  }
+}
+
+function renderSteps(actions, indent, lines) {
+  const ordered = orderActions(actions);
+  if (ordered.length === 0) {
+    lines.push(`${indent}- _(no actions)_`);
+    return;
+  }
+
+  ordered.forEach(([name, action], i) => {
+    const detailIndent = `${indent}   `;
+    lines.push(`${indent}${i + 1}. **${displayName(name)}** — ${describeType(action)}`);
+
+    const runAfter = describeRunAfter(action?.runAfter);
+    if (runAfter) lines.push(`${detailIndent}- Runs after ${runAfter}`);
+    if (action?.description) lines.push(`${detailIndent}- Note: ${truncate(action.description)}`);
+    for (const detail of describeDetails(action || {})) {
+      lines.push(`${detailIndent}- ${detail}`);
+    }
+
+    for (const branch of getBranches(action)) {
+      lines.push(`${detailIndent}- **${branch.label}:**`);
+      renderSteps(branch.actions, `${detailIndent}  `, lines);
+    }
+  });
+}
+
+function describeTrigger(name, trigger) {
+  const lines = [`**${displayName(name)}** — ${describeType(trigger)}`, ''];
+  const inputs = trigger.inputs || {};
+  const recurrence = trigger.recurrence;
+
+  if (trigger.type === 'Recurrence' && recurrence) {
+    lines.push(`- Runs every ${recurrence.interval || 1} ${(recurrence.frequency || '').toLowerCase()}(s)`);
+    if (recurrence.schedule) lines.push(`- Schedule: ${formatValue(recurrence.schedule)}`);
+    if (recurrence.timeZone) lines.push(`- Time zone: ${recurrence.timeZone}`);
+    if (recurrence.startTime) lines.push(`- Starting: ${recurrence.startTime}`);
+  } else if (recurrence) {
+    lines.push(`- Checks every ${recurrence.interval || 1} ${(recurrence.frequency || '').toLowerCase()}(s)`);
+  }
+
+  if (trigger.type === 'Request') {
+    const properties = inputs.schema?.properties || {};
+    for (const [key, property] of Object.entries(properties)) {
+      lines.push(`- Input **${property?.title || key}** (${property?.type || 'any'})`);
+    }
+  }
+
+  for (const [key, value] of Object.entries(inputs.parameters || {})) {
+    lines.push(`- ${key}: ${formatValue(value)}`);
+  }
+
+  for (const condition of trigger.conditions || []) {
+    lines.push(`- Only when: ${formatValue(condition.expression)}`);
+  }
+  if (trigger.splitOn) lines.push(`- Split on: ${formatValue(trigger.splitOn)}`);
+
+  return lines;
+}
+
+// Variables declared with Initialize variable, and the actions that change them
+export function collectVariables(flow) {
+  const definition = getDefinition(flow);
+  const variables = {};
+
+  walkActions(definition?.actions, '$.actions', (name, action) => {
+    if (action?.type === 'InitializeVariable') {
+      for (const variable of declaredVariables(action.inputs)) {
+        if (!variable) continue;
+        variables[variable.name] = {
+          name: variable.name,
+          type: variable.type,
+          value: variable.value,
+          initializedBy: name,
+          changedBy: variables[variable.name]?.changedBy || []
+        };
+      }
+    } else if (VARIABLE_UPDATES.includes(action?.type) && typeof action.inputs?.name === 'string' && action.inputs.name) {
+      const variable = variables[action.inputs.name] || (variables[action.inputs.name] = {
+        name: action.inputs.name,
+        type: null,
+        value: undefined,
+        initializedBy: null,
+        changedBy: []
+      });
+      variable.changedBy.push(name);
+    }
+  });
+
+  return Object.values(variables);
+}
+
+// Mermaid node label; quotes and angle brackets would end the label early
+function mermaidLabel(text) {
+  return String(text)
+    .replace(/"/g, '#quot;')
+    .replace(/</g, '#lt;')
+    .replace(/>/g, '#gt;');
+}
+
+function mermaidNode(id, name, node) {
+  const label = `"${mermaidLabel(displayName(name))}<br/><small>${mermaidLabel(describeType(node))}</small>"`;
+  switch (node?.type) {
+    case 'If':
+    case 'Switch':
+      return `${id}{${label}}`;
+    case 'Foreach':
+    case 'Until':
+      return `${id}[[${label}]]`;
+    case 'Terminate':
+      return `${id}((${label}))`;
+    default:
+      return `${id}[${label}]`;
+  }
+}
+
+// Mermaid flowchart of the action graph: runAfter edges (non-success paths dotted and
+// labelled), Condition/Switch branches as labelled edges, loop and scope bodies as subgraphs
+export function buildMermaid(flow) {
+  const definition = getDefinition(flow) || {};
+  const lines = ['flowchart TD'];
+  let counter = 0;
+
+  const [triggerName, trigger] = Object.entries(definition.triggers || {})[0] || [];
+  const triggerId = 'trigger';
+  lines.push(triggerName
+    ? `  ${triggerId}(["${mermaidLabel(displayName(triggerName))}<br/><small>${mermaidLabel(describeType(trigger))}</small>"])`
+    : `  ${triggerId}(["No trigger"])`);
+
+  function renderScope(actions, entryId, entryLabel, indent) {
+    const ordered = orderActions(actions);
+    const ids = {};
+    for (const [name] of ordered) ids[name] = `a${++counter}`;
+
+    for (const [name, action] of ordered) {
+      const id = ids[name];
+      lines.push(`${indent}${mermaidNode(id, name, action)}`);
+
+      const deps = Object.entries(isPlainObject(action?.runAfter) ? action.runAfter : {}).filter(([dep]) => ids[dep]);
+      if (deps.length === 0) {
+        lines.push(entryLabel
+          ? `${indent}${entryId} -->|"${mermaidLabel(entryLabel)}"| ${id}`
+          : `${indent}${entryId} --> ${id}`);
+      }
+      for (const [dep, statuses] of deps) {
+        const label = describeStatuses(statuses);
+        lines.push(label === 'Succeeded'
+          ? `${indent}${ids[dep]} --> ${id}`
+          : `${indent}${ids[dep]} -.->|"${mermaidLabel(label)}"| ${id}`);
+      }
+
+      if (action?.type === 'If') {
+        renderScope(action.actions, id, 'Yes', indent);
+        renderScope(action.else?.actions, id, 'No', indent);
+      } else if (action?.type === 'Switch') {
+        for (const switchCase of Object.values(action.cases || {})) {
+          renderScope(switchCase?.actions, id, `Case ${typeof switchCase?.case === 'string' ? switchCase.case : JSON.stringify(switchCase?.case)}`, indent);
+        }
+        renderScope(action.default?.actions, id, 'Default', indent);
+      } else if (['Foreach', 'Until', 'Scope'].includes(action?.type)) {
+        const [branch] = getBranches(action);
+        lines.push(`${indent}subgraph ${id}_body ["${mermaidLabel(`${displayName(name)}: ${branch.label}`)}"]`);
+        lines.push(`${indent}  direction TB`);
+        renderScope(branch.actions, id, null, `${indent}  `);
+        lines.push(`${indent}end`);
+      }
+    }
+  }
+
+  renderScope(definition.actions, triggerId, null, '  ');
+  return lines.join('\n');
+}
+
+// Markdown write-up of a flow. name and prompt come from the flows row when there is
+// one; without them the definition is documented on its own.
+export function buildMarkdown(flow, { name, prompt } = {}) {
+  const definition = getDefinition(flow) || {};
+  const triggers = Object.entries(definition.triggers || {});
+  const connectors = analyzeConnectors(flow).connectors;
+  const variables = collectVariables(flow);
+
+  let actionCount = 0;
+  walkActions(definition.actions, '$.actions', () => actionCount++);
+
+  const lines = [`# ${name || 'Untitled Flow'}`, ''];
+
+  if (prompt) {
+    lines.push(...prompt.split('\n').map(line => `> ${line}`), '');
+  }
+
+  lines.push('## Overview', '');
+  lines.push(`- Trigger: ${triggers.length > 0 ? `${displayName(triggers[0][0])} (${describeType(triggers[0][1])})` : 'none'}`);
+  lines.push(`- Actions: ${actionCount} (${Object.keys(definition.actions || {}).length} at the top level)`);
+  lines.push(`- Connectors: ${connectors.length > 0 ? connectors.map(c => c.displayName).join(', ') : 'none'}`);
+  lines.push(`- Variables: ${variables.length > 0 ? variables.map(v => v.name).join(', ') : 'none'}`);
+  lines.push('');
+
+  lines.push('## Trigger', '');
+  if (triggers.length === 0) {
+    lines.push('_This flow has no trigger._');
+  }
+  for (const [triggerName, trigger] of triggers) {
+    lines.push(...describeTrigger(triggerName, trigger || {}));
+  }
+  lines.push('');
+
+  lines.push('## Steps', '');
+  renderSteps(definition.actions, '', lines);
+  lines.push('');
+
+  lines.push('## Connectors', '');
+  if (connectors.length === 0) {
+    lines.push('_No connectors are used._');
+  } else {
+    lines.push('| Connector | Tier | Used by |', '| --- | --- | --- |');
+    for (const connector of connectors) {
+      const usedBy = connector.usedBy.map(displayName).join(', ') || '_(connection only)_';
+      lines.push(`| ${escapeTableCell(connector.displayName)} | ${connector.tier} | ${escapeTableCell(usedBy)} |`);
+    }
+  }
+  lines.push('');
+
+  lines.push('## Variables', '');
+  if (variables.length === 0) {
+    lines.push('_No variables are used._');
+  } else {
+    lines.push('| Name | Type | Initial value | Changed by |', '| --- | --- | --- | --- |');
+    for (const variable of variables) {
+      lines.push(`| ${escapeTableCell(variable.name)} | ${escapeTableCell(variable.type || '?')} | ${escapeTableCell(formatValue(variable.value))} | ${escapeTableCell(variable.changedBy.map(displayName).join(', ') || '—')} |`);
+    }
+  }
+  lines.push('');
+
+  lines.push('## Diagram', '', '```mermaid', buildMermaid(flow), '```', '');
+
+  return lines.join('\n');
+}
+
+// Both documents for a saved flow row
+export function buildFlowDocs(flowRow) {
+  const options = { name: flowRow.flow_name, prompt: flowRow.prompt };
+  return {
+    markdown: buildMarkdown(flowRow.generated_json, options),
+    mermaid: buildMermaid(flowRow.generated_json)
+  };
+}
@@ -0,0 +1,202 @@
+// Saved flow library: saving generated flows, and cursor-paginated listing with search
+// and filters
+
+import { formatDiagnostics } from './flow-validator.js';
+import { analyzeConnectors, summarizeConnectors } from './connectors.js';
+import { calculateCost, recordUsage, commitUsage } from './usage.js';
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+export function isUuid(value) {
+  return typeof value === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+}
+
+// Cursors are opaque base64url-encoded { createdAt, id } positions. createdAt keeps
+// Postgres' microsecond precision (cursor_ts) so rows in the same millisecond aren't skipped.
+export function encodeCursor(row) {
+  return Buffer.from(JSON.stringify({
+    createdAt: row.cursor_ts,
+    id: row.id
+  })).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const { createdAt, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!createdAt || !isUuid(id) || isNaN(Date.parse(createdAt))) return null;
+    return { createdAt, id };
+  } catch {
+    return null;
+  }
+}
+
+export function formatFlowSummary(row) {
+  return {
+    id: row.id,
+    name: row.flow_name,
+    prompt: row.prompt,
+    success: row.success,
+    errorMessage: row.error_message,
+    tokensUsed: row.tokens_used,
+    inputTokens: row.input_tokens,
+    outputTokens: row.output_tokens,
+    costUsd: row.cost_usd === null ? null : Number(row.cost_usd),
+    model: row.model,
+    generationTime: row.generation_time_seconds === null ? null : Number(row.generation_time_seconds),
+    currentRevisionId: row.current_revision_id,
+    template: row.template_id ? { id: row.template_id, version: row.template_version } : null,
+    connectors: row.connectors || null,
+    createdAt: row.created_at
+  };
+}
+
+// Parse list query parameters; returns { options } or { error }
+export function parseListQuery(query) {
+  const options = {};
+
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10);
+    if (isNaN(limit) || limit < 1) return { error: 'limit must be a positive integer' };
+    options.limit = Math.min(limit, MAX_PAGE_SIZE);
+  }
+
+  if (query.cursor) {
+    options.cursor = decodeCursor(query.cursor);
+    if (!options.cursor) return { error: 'Invalid cursor' };
+  }
+
+  if (query.q && query.q.trim()) {
+    options.search = query.q.trim();
+  }
+
+  for (const key of ['from', 'to']) {
+    if (query[key]) {
+      if (isNaN(Date.parse(query[key]))) return { error: `${key} must be a date` };
+      options[key] = new Date(query[key]).toISOString();
+    }
+  }
+
+  if (query.success !== undefined) {
+    if (!['true', 'false'].includes(query.success)) return { error: 'success must be true or false' };
+    options.success = query.success === 'true';
+  }
+
+  if (query.connector) {
+    const connector = query.connector.replace(/^shared_/, '');
+    if (!/^[A-Za-z0-9]+$/.test(connector)) return { error: 'Invalid connector name' };
+    options.connector = connector.toLowerCase();
+  }
+
+  return { options };
+}
+
+// List a user's flows, newest first. Returns { flows, nextCursor }
+export async function listFlows(client, userId, { limit = DEFAULT_PAGE_SIZE, cursor, search, from, to, success, connector } = {}) {
+  const conditions = ['user_id = $1'];
+  const params = [userId];
+  const param = value => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (cursor) {
+    conditions.push(`(created_at, id) < (${param(cursor.createdAt)}::timestamp, ${param(cursor.id)}::uuid)`);
+  }
+  if (search) {
+    conditions.push(`search_vector @@ websearch_to_tsquery('english', ${param(search)})`);
+  }
+  if (from) {
+    conditions.push(`created_at >= ${param(from)}::timestamp`);
+  }
+  if (to) {
+    conditions.push(`created_at <= ${param(to)}::timestamp`);
+  }
+  if (success !== undefined) {
+    conditions.push(`success = ${param(success)}`);
+  }
+  if (connector) {
+    // Flows saved before the connector inventory existed fall back to scanning the JSON for
+    // apiIds, connectionNames ("shared_x_1") and $connections lookups (['shared_x'])
+    const name = param(`shared_${connector}`);
+    conditions.push(`(connectors @> jsonb_build_array(jsonb_build_object('name', ${name}::text))
+      OR (connectors IS NULL AND generated_json::text ~* (${name} || '(_[0-9]+)?[''"]')))`);
+  }
+
+  const result = await client.query(
+    `SELECT id, flow_name, prompt, success, error_message, tokens_used,
+            input_tokens, output_tokens, cost_usd, model, generation_time_seconds, current_revision_id, template_id, template_version,
+            connectors, created_at, to_char(created_at, 'YYYY-MM-DD"T"HH24:MI:SS.US') AS cursor_ts
+     FROM flows
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY created_at DESC, id DESC
+     LIMIT ${param(limit + 1)}`,
+    params
+  );
+
+  const rows = result.rows.slice(0, limit);
+  return {
+    flows: rows.map(formatFlowSummary),
+    nextCursor: result.rows.length > limit ? encodeCursor(rows[rows.length - 1]) : null
+  };
+}
+
+// Save a generateFlow() result that produced a flow, count it against the user's monthly
+// limits and log it. `logMetadata` is merged into the usage_logs entry. When the flow was
+// reserved up front with reserveUsage(), pass the reservation so it is committed instead.
+// Returns { flowId, validation, connectors, cost }.
+export async function saveGeneratedFlow(client, { userId, flowName, prompt, result, generationTime, template = null, reservation = null, logMetadata = {} }) {
+  const cost = calculateCost(result.model, result.usage);
+  const validation = { ...result.validation, attempts: result.attempts };
+  const connectors = analyzeConnectors(result.flow);
+  const errorMessage = validation.valid
+    ? null
+    : `Validation failed after ${result.attempts} attempts:\n${formatDiagnostics(validation.diagnostics)}`;
+
+  const flowResult = await client.query(
+    `INSERT INTO flows (
+      user_id, flow_name, prompt, generated_json, tokens_used,
+      input_tokens, output_tokens, cost_usd, model,
+      generation_time_seconds, success, error_message,
+      template_id, template_version, template_variables, connectors
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+    RETURNING id`,
+    [
+      userId, flowName || 'Untitled Flow', prompt, result.flow, cost.totalTokens,
+      cost.inputTokens, cost.outputTokens, cost.costUsd, result.model,
+      generationTime, validation.valid, errorMessage,
+      template?.templateId || null, template?.templateVersion || null,
+      template ? JSON.stringify(template.variables) : null,
+      JSON.stringify(summarizeConnectors(connectors))
+    ]
+  );
+  const flowId = flowResult.rows[0].id;
+
+  // Count the flow and its tokens against this month's limits
+  if (reservation) {
+    await commitUsage(client, reservation, { totalTokens: cost.totalTokens });
+  } else {
+    await recordUsage(client, userId, { totalTokens: cost.totalTokens, countFlow: true });
+  }
+
+  await client.query(
+    'INSERT INTO usage_logs (user_id, action_type, metadata) VALUES ($1, $2, $3)',
+    [userId, 'flow_generated', JSON.stringify({
+      flowId,
+      tokensUsed: cost.totalTokens,
+      inputTokens: cost.inputTokens,
+      outputTokens: cost.outputTokens,
+      costUsd: cost.costUsd,
+      generationTime,
+      valid: validation.valid,
+      attempts: validation.attempts,
+      model: result.model,
+      templateId: template?.templateId,
+      templateVersion: template?.templateVersion,
+      premiumConnectors: connectors.counts.premium,
+      ...logMetadata
+    })]
+  );
+
+  return { flowId, validation, connectors, cost };
+}
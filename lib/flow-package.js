@@ -0,0 +1,323 @@
+// Importable package builders for saved flows
+// - Legacy Power Automate "Import package" zip (manifest.json + Microsoft.Flow/flows/<id>/...)
+// - Dataverse solution zip (solution.xml, customizations.xml, Workflows/*.json)
+// - Azure Logic Apps ARM template or Bicep file, with deployment notes (see logic-app-export.js)
+// Everything is built in memory from the flows row; no external calls.
+
+import crypto from 'crypto';
+import { createZip } from './zip.js';
+import { getDefinition } from './flow-validator.js';
+import { getConnectionReferences, getConnectorInfo } from './connectors.js';
+import {
+  TEMPLATE_FORMATS,
+  buildLogicAppModel,
+  renderArmTemplate,
+  renderBicep,
+  renderDeploymentNotes
+} from './logic-app-export.js';
+
+export const PACKAGE_FORMATS = ['package', 'solution', ...TEMPLATE_FORMATS];
+
+const PUBLISHER = {
+  uniqueName: 'GetFlowing',
+  displayName: 'Get Flowing',
+  prefix: 'gf',
+  optionValuePrefix: 48213
+};
+
+// Stable GUID derived from the inputs, so re-exporting a flow produces the same ids
+function stableGuid(...parts) {
+  const hex = crypto.createHash('sha256').update(parts.join(':')).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-a${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Letters and digits only, for solution unique names and file names
+function safeName(name) {
+  return (name || 'Flow').replace(/[^A-Za-z0-9]/g, '') || 'Flow';
+}
+
+function toJson(value) {
+  return JSON.stringify(value, null, 2);
+}
+
+// Whether a saved flow has a definition object to export; saved JSON isn't guaranteed to
+export function hasExportableDefinition(flow) {
+  const definition = getDefinition(flow);
+  return !!definition && typeof definition === 'object' && !Array.isArray(definition);
+}
+
+// Workflow definition with the $connections/$authentication parameters import expects
+function prepareDefinition(flow) {
+  if (!hasExportableDefinition(flow)) {
+    throw new Error('Flow definition must be an object to be exported');
+  }
+  const definition = JSON.parse(JSON.stringify(getDefinition(flow)));
+  definition.parameters = {
+    $connections: { defaultValue: {}, type: 'Object' },
+    $authentication: { defaultValue: {}, type: 'SecureObject' },
+    ...(definition.parameters || {})
+  };
+  return definition;
+}
+
+// Legacy Power Automate package (Export > Package (.zip))
+export function buildLegacyPackage(flowRow) {
+  const flowId = flowRow.id;
+  const displayName = flowRow.flow_name || 'Untitled Flow';
+  const references = Object.values(getConnectionReferences(flowRow.generated_json));
+  const flowResourceId = stableGuid(flowId, 'flow');
+
+  const resources = {
+    [flowResourceId]: {
+      id: `/providers/Microsoft.Flow/flows/${flowId}`,
+      name: flowId,
+      type: 'Microsoft.Flow/flows',
+      suggestedCreationType: 'New',
+      creationType: 'Existing, New, Update',
+      details: { displayName },
+      configurableBy: 'User',
+      hierarchy: 'Root',
+      dependsOn: []
+    }
+  };
+  const apisMap = {};
+  const connectionsMap = {};
+  const connectionReferences = {};
+
+  for (const ref of references) {
+    const apiResourceId = stableGuid(flowId, 'api', ref.apiName);
+    const connectionResourceId = stableGuid(flowId, 'connection', ref.referenceName);
+
+    if (!resources[apiResourceId]) {
+      resources[apiResourceId] = {
+        id: ref.apiId,
+        name: ref.apiName,
+        type: 'Microsoft.PowerApps/apis',
+        suggestedCreationType: 'Existing',
+        details: { displayName: getConnectorInfo(ref.apiName).displayName },
+        configurableBy: 'System',
+        hierarchy: 'Child',
+        dependsOn: []
+      };
+    }
+
+    resources[connectionResourceId] = {
+      type: 'Microsoft.PowerApps/apis/connections',
+      suggestedCreationType: 'Existing',
+      creationType: 'Existing',
+      details: { displayName: ref.referenceName },
+      configurableBy: 'User',
+      hierarchy: 'Child',
+      dependsOn: [apiResourceId]
+    };
+
+    resources[flowResourceId].dependsOn.push(apiResourceId, connectionResourceId);
+    apisMap[ref.referenceName] = apiResourceId;
+    connectionsMap[ref.referenceName] = connectionResourceId;
+    connectionReferences[ref.referenceName] = {
+      connectionName: ref.referenceName,
+      source: 'Embedded',
+      id: ref.apiId,
+      tier: 'NotSpecified'
+    };
+  }
+
+  const manifest = {
+    schema: '1.0',
+    details: {
+      displayName,
+      description: flowRow.prompt || '',
+      createdTime: new Date(flowRow.created_at || Date.now()).toISOString(),
+      packageTelemetryId: stableGuid(flowId, 'telemetry'),
+      creator: 'Get Flowing',
+      sourceEnvironment: ''
+    },
+    resources
+  };
+
+  const definition = {
+    name: flowId,
+    id: `/providers/Microsoft.Flow/flows/${flowId}`,
+    type: 'Microsoft.Flow/flows',
+    properties: {
+      apiId: '/providers/Microsoft.PowerApps/apis/shared_logicflows',
+      displayName,
+      definition: prepareDefinition(flowRow.generated_json),
+      connectionReferences,
+      flowFailureAlertSubscribed: false
+    }
+  };
+
+  return createZip([
+    { name: 'manifest.json', data: toJson(manifest) },
+    { name: 'Microsoft.Flow/flows/manifest.json', data: toJson({ packageSchemaVersion: '1.0', flowAssets: { assetPaths: [flowId] } }) },
+    { name: `Microsoft.Flow/flows/${flowId}/definition.json`, data: toJson(definition) },
+    { name: `Microsoft.Flow/flows/${flowId}/apisMap.json`, data: toJson(apisMap) },
+    { name: `Microsoft.Flow/flows/${flowId}/connectionsMap.json`, data: toJson(connectionsMap) }
+  ]);
+}
+
+// Dataverse solution (unmanaged) containing the flow as a cloud flow workflow
+export function buildSolutionPackage(flowRow) {
+  const workflowId = flowRow.id.toUpperCase();
+  const displayName = flowRow.flow_name || 'Untitled Flow';
+  const solutionName = `${PUBLISHER.uniqueName}${safeName(displayName)}`;
+  const jsonFileName = `/Workflows/${safeName(displayName)}-${workflowId}.json`;
+  const references = Object.values(getConnectionReferences(flowRow.generated_json));
+
+  const logicalNames = {};
+  for (const ref of references) {
+    const suffix = stableGuid(flowRow.id, 'reference', ref.referenceName).slice(0, 5);
+    logicalNames[ref.referenceName] = `${PUBLISHER.prefix}_${ref.apiName.replace(/_/g, '')}_${suffix}`;
+  }
+
+  const workflowJson = {
+    properties: {
+      connectionReferences: Object.fromEntries(references.map(ref => [ref.referenceName, {
+        runtimeSource: 'embedded',
+        connection: { connectionReferenceLogicalName: logicalNames[ref.referenceName] },
+        api: { name: ref.apiName }
+      }])),
+      definition: prepareDefinition(flowRow.generated_json)
+    },
+    schemaVersion: '1.0.0.0'
+  };
+
+  const connectionReferencesXml = references.map(ref => `    <connectionreference connectionreferencelogicalname="${escapeXml(logicalNames[ref.referenceName])}">
+      <connectionreferencedisplayname>${escapeXml(ref.referenceName)}</connectionreferencedisplayname>
+      <connectorid>${escapeXml(ref.apiId)}</connectorid>
+      <iscustomizable>1</iscustomizable>
+      <statecode>0</statecode>
+      <statuscode>1</statuscode>
+    </connectionreference>`).join('\n');
+
+  const solutionXml = `<?xml version="1.0" encoding="utf-8"?>
+<ImportExportXml version="9.2.0.0" SolutionPackageVersion="9.2" languagecode="1033" generatedBy="CrmLive" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <SolutionManifest>
+    <UniqueName>${escapeXml(solutionName)}</UniqueName>
+    <LocalizedNames>
+      <LocalizedName description="${escapeXml(displayName)}" languagecode="1033" />
+    </LocalizedNames>
+    <Descriptions />
+    <Version>1.0.0.0</Version>
+    <Managed>0</Managed>
+    <Publisher>
+      <UniqueName>${PUBLISHER.uniqueName}</UniqueName>
+      <LocalizedNames>
+        <LocalizedName description="${PUBLISHER.displayName}" languagecode="1033" />
+      </LocalizedNames>
+      <Descriptions />
+      <EMailAddress xsi:nil="true"></EMailAddress>
+      <SupportingWebsiteUrl xsi:nil="true"></SupportingWebsiteUrl>
+      <CustomizationPrefix>${PUBLISHER.prefix}</CustomizationPrefix>
+      <CustomizationOptionValuePrefix>${PUBLISHER.optionValuePrefix}</CustomizationOptionValuePrefix>
+      <Addresses />
+    </Publisher>
+    <RootComponents>
+      <RootComponent type="29" id="{${workflowId.toLowerCase()}}" behavior="0" />
+    </RootComponents>
+    <MissingDependencies />
+  </SolutionManifest>
+</ImportExportXml>
+`;
+
+  const customizationsXml = `<?xml version="1.0" encoding="utf-8"?>
+<ImportExportXml xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" OrganizationVersion="9.2.0.0" OrganizationSchemaType="Standard" CRMServerServiceabilityVersion="9.2.0.0">
+  <Entities />
+  <Roles />
+  <Workflows>
+    <Workflow WorkflowId="{${workflowId.toLowerCase()}}" Name="${escapeXml(displayName)}">
+      <JsonFileName>${escapeXml(jsonFileName)}</JsonFileName>
+      <Type>1</Type>
+      <Subprocess>0</Subprocess>
+      <Category>5</Category>
+      <Mode>0</Mode>
+      <Scope>4</Scope>
+      <OnDemand>0</OnDemand>
+      <TriggerOnCreate>0</TriggerOnCreate>
+      <TriggerOnDelete>0</TriggerOnDelete>
+      <AsyncAutodelete>0</AsyncAutodelete>
+      <SyncWorkflowLogOnFailure>0</SyncWorkflowLogOnFailure>
+      <StateCode>0</StateCode>
+      <StatusCode>1</StatusCode>
+      <RunAs>1</RunAs>
+      <IsTransacted>1</IsTransacted>
+      <IntroducedVersion>1.0.0.0</IntroducedVersion>
+      <IsCustomizable>1</IsCustomizable>
+      <BusinessProcessType>0</BusinessProcessType>
+      <IsCustomProcessingStepAllowedForOtherPublishers>1</IsCustomProcessingStepAllowedForOtherPublishers>
+      <PrimaryEntity>none</PrimaryEntity>
+      <LocalizedNames>
+        <LocalizedName languagecode="1033" description="${escapeXml(displayName)}" />
+      </LocalizedNames>
+    </Workflow>
+  </Workflows>
+  <FieldSecurityProfiles />
+  <Templates />
+  <EntityMaps />
+  <EntityRelationships />
+  <OrganizationSettings />
+  <optionsets />
+  <CustomControls />
+  <EntityDataProviders />
+  <connectionreferences>
+${connectionReferencesXml}
+  </connectionreferences>
+  <Languages>
+    <Language>1033</Language>
+  </Languages>
+</ImportExportXml>
+`;
+
+  const contentTypesXml = `<?xml version="1.0" encoding="utf-8"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="xml" ContentType="application/octet-stream" />
+  <Default Extension="json" ContentType="application/octet-stream" />
+</Types>
+`;
+
+  return createZip([
+    { name: '[Content_Types].xml', data: contentTypesXml },
+    { name: 'solution.xml', data: solutionXml },
+    { name: 'customizations.xml', data: customizationsXml },
+    { name: jsonFileName.slice(1), data: toJson(workflowJson) }
+  ]);
+}
+
+// Logic App deployment zip: the template (azuredeploy.json or main.bicep) and README.md
+// listing the connections to authorize and anything that didn't translate
+export function buildLogicAppPackage(flowRow, format = 'arm') {
+  const model = buildLogicAppModel(flowRow);
+  const template = format === 'bicep'
+    ? { name: 'main.bicep', data: renderBicep(model) }
+    : { name: 'azuredeploy.json', data: toJson(renderArmTemplate(model)) };
+
+  return createZip([
+    template,
+    { name: 'README.md', data: renderDeploymentNotes(model, format) }
+  ]);
+}
+
+// Build the requested export; returns { buffer, fileName }
+export function buildFlowExport(flowRow, format = 'package') {
+  const baseName = safeName(flowRow.flow_name || 'Untitled Flow');
+
+  if (TEMPLATE_FORMATS.includes(format)) {
+    return { buffer: buildLogicAppPackage(flowRow, format), fileName: `${baseName}_logicapp_${format}.zip` };
+  }
+
+  if (format === 'solution') {
+    return { buffer: buildSolutionPackage(flowRow), fileName: `${baseName}_solution.zip` };
+  }
+
+  return { buffer: buildLegacyPackage(flowRow), fileName: `${baseName}.zip` };
+}
@@ -0,0 +1,137 @@
+// Revision history for saved flows
+// flows.generated_json always holds the current definition; every refinement is stored
+// in flow_revisions with a link to the revision it was made from.
+
+import { analyzeConnectors, summarizeConnectors } from './connectors.js';
+
+// Load a flow owned by the user, or null
+export async function getOwnedFlow(client, flowId, userId) {
+  const result = await client.query(
+    'SELECT * FROM flows WHERE id = $1 AND user_id = $2',
+    [flowId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Flows generated before revisions existed have no history yet; record their
+// current definition as revision 1 so refinements have a parent to point at.
+// Only call this when about to change the flow - reads use unsavedBaseRevision
+export async function ensureBaseRevision(client, flow) {
+  if (flow.current_revision_id) {
+    const current = await client.query(
+      'SELECT * FROM flow_revisions WHERE id = $1',
+      [flow.current_revision_id]
+    );
+    if (current.rows.length > 0) return current.rows[0];
+  }
+
+  const result = await client.query(
+    `INSERT INTO flow_revisions (
+      flow_id, parent_revision_id, revision_number, instruction, generated_json,
+      tokens_used, input_tokens, output_tokens, cost_usd, model, success, error_message
+    ) VALUES ($1, NULL, 1, NULL, $2, $3, $4, $5, $6, $7, $8, $9)
+    ON CONFLICT (flow_id, revision_number) DO UPDATE SET flow_id = EXCLUDED.flow_id
+    RETURNING *`,
+    [
+      flow.id, flow.generated_json, flow.tokens_used, flow.input_tokens, flow.output_tokens,
+      flow.cost_usd, flow.model, flow.success, flow.error_message
+    ]
+  );
+  const base = result.rows[0];
+
+  await client.query(
+    'UPDATE flows SET current_revision_id = $1 WHERE id = $2',
+    [base.id, flow.id]
+  );
+
+  return base;
+}
+
+// Store a new revision and make it the flow's current definition
+// cost is the calculateCost() result for the refinement. The flow row stays locked while the
+// next revision number is picked, so concurrent refinements get distinct numbers.
+export async function createRevision(client, { flowId, parentRevisionId, instruction, definition, cost, model, success, errorMessage }) {
+  await client.query('BEGIN');
+  try {
+    await client.query('SELECT id FROM flows WHERE id = $1 FOR UPDATE', [flowId]);
+
+    const result = await client.query(
+      `INSERT INTO flow_revisions (
+        flow_id, parent_revision_id, revision_number, instruction, generated_json,
+        tokens_used, input_tokens, output_tokens, cost_usd, model, success, error_message
+      ) VALUES (
+        $1, $2,
+        (SELECT COALESCE(MAX(revision_number), 0) + 1 FROM flow_revisions WHERE flow_id = $1),
+        $3, $4, $5, $6, $7, $8, $9, $10, $11
+      )
+      RETURNING *`,
+      [
+        flowId, parentRevisionId, instruction, definition,
+        cost.totalTokens, cost.inputTokens, cost.outputTokens, cost.costUsd, model,
+        success, errorMessage
+      ]
+    );
+    const revision = result.rows[0];
+
+    await setCurrentRevision(client, flowId, revision);
+    await client.query('COMMIT');
+    return revision;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+// Point the flow at an existing revision and copy its definition back onto the flow
+export async function setCurrentRevision(client, flowId, revision) {
+  const connectors = summarizeConnectors(analyzeConnectors(revision.generated_json));
+
+  await client.query(
+    `UPDATE flows
+     SET generated_json = $1, success = $2, error_message = $3, current_revision_id = $4,
+         connectors = $5
+     WHERE id = $6`,
+    [revision.generated_json, revision.success, revision.error_message, revision.id, JSON.stringify(connectors), flowId]
+  );
+}
+
+// Revision 1 as ensureBaseRevision would store it, for showing the history of a flow that
+// has none yet without writing anything. It has no id until it is stored.
+export function unsavedBaseRevision(flow) {
+  return {
+    id: null,
+    flow_id: flow.id,
+    parent_revision_id: null,
+    revision_number: 1,
+    instruction: null,
+    generated_json: flow.generated_json,
+    tokens_used: flow.tokens_used,
+    input_tokens: flow.input_tokens,
+    output_tokens: flow.output_tokens,
+    cost_usd: flow.cost_usd,
+    model: flow.model,
+    success: flow.success,
+    error_message: flow.error_message,
+    created_at: flow.created_at
+  };
+}
+
+export async function listRevisions(client, flowId) {
+  const result = await client.query(
+    `SELECT id, parent_revision_id, revision_number, instruction, tokens_used,
+            input_tokens, output_tokens, cost_usd, model, success, error_message, created_at
+     FROM flow_revisions
+     WHERE flow_id = $1
+     ORDER BY revision_number ASC`,
+    [flowId]
+  );
+  return result.rows;
+}
+
+export async function getRevision(client, flowId, revisionId) {
+  const result = await client.query(
+    'SELECT * FROM flow_revisions WHERE id = $1 AND flow_id = $2',
+    [revisionId, flowId]
+  );
+  return result.rows[0] || null;
+}
@@ -0,0 +1,136 @@
+// Read-only share links for saved flows
+// A share link carries a token "<shareId>.<signature>", the signature being an HMAC of the
+// share id under SHARE_LINK_SECRET (falling back to JWT_SECRET). Forged or mistyped tokens
+// are rejected without a database lookup; revocation and expiry live on the flow_shares
+// row, so a link stops working as soon as its owner revokes it. Shared views always show
+// the flow's current definition.
+
+import crypto from 'crypto';
+import { isUuid } from './flow-library.js';
+
+export const MAX_SHARE_DAYS = 365;
+
+export class ShareError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ShareError';
+    this.status = status;
+  }
+}
+
+function getShareSecret() {
+  const secret = process.env.SHARE_LINK_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('SHARE_LINK_SECRET is not configured');
+  }
+  return secret;
+}
+
+function sign(shareId) {
+  return crypto.createHmac('sha256', getShareSecret()).update(`flow-share:${shareId}`).digest('base64url');
+}
+
+export function createShareToken(shareId) {
+  return `${shareId}.${sign(shareId)}`;
+}
+
+// The share id a token was signed for, or null when the token isn't genuine
+export function verifyShareToken(token) {
+  if (typeof token !== 'string') return null;
+  const [shareId, signature, ...rest] = token.split('.');
+  if (rest.length > 0 || !isUuid(shareId) || !signature) return null;
+
+  const expected = Buffer.from(sign(shareId));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+  return shareId;
+}
+
+// Parse { expiresInDays } from a create request; returns the number of days or null for
+// a link that never expires
+export function parseShareExpiry(expiresInDays) {
+  if (expiresInDays === undefined || expiresInDays === null) return null;
+  const days = Number(expiresInDays);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_SHARE_DAYS) {
+    throw new ShareError(`expiresInDays must be a whole number between 1 and ${MAX_SHARE_DAYS}`);
+  }
+  return days;
+}
+
+// API shape of a flow_shares row; the token is rebuilt from the id, so it is never stored
+export function formatShare(row) {
+  const token = createShareToken(row.id);
+  return {
+    id: row.id,
+    flowId: row.flow_id,
+    flowName: row.flow_name,
+    token,
+    links: {
+      view: `/api/share?token=${token}`,
+      download: `/api/share?token=${token}&download=package`
+    },
+    views: Number(row.views || 0),
+    expiresAt: row.expires_at,
+    createdAt: row.created_at
+  };
+}
+
+export async function createShare(client, { flowId, userId, expiresInDays = null }) {
+  const result = await client.query(
+    `INSERT INTO flow_shares (flow_id, user_id, expires_at)
+     VALUES ($1, $2, CASE WHEN $3::int IS NULL THEN NULL ELSE CURRENT_TIMESTAMP + make_interval(days => $3::int) END)
+     RETURNING *`,
+    [flowId, userId, expiresInDays]
+  );
+  return result.rows[0];
+}
+
+// The user's active (unrevoked, unexpired) shares, newest first, optionally for one flow,
+// with the number of times each was viewed
+export async function listShares(client, userId, { flowId = null } = {}) {
+  const result = await client.query(
+    `SELECT s.*, f.flow_name,
+            (SELECT COUNT(*) FROM usage_logs l
+             WHERE l.user_id = s.user_id AND l.action_type = 'flow_share_viewed'
+               AND l.metadata->>'shareId' = s.id::text) AS views
+     FROM flow_shares s
+     JOIN flows f ON f.id = s.flow_id
+     WHERE s.user_id = $1
+       AND ($2::uuid IS NULL OR s.flow_id = $2::uuid)
+       AND s.revoked_at IS NULL
+       AND (s.expires_at IS NULL OR s.expires_at > CURRENT_TIMESTAMP)
+     ORDER BY s.created_at DESC`,
+    [userId, flowId]
+  );
+  return result.rows;
+}
+
+// Revoke one of the user's shares; returns the row, or null when there was no active
+// share with that id
+export async function revokeShare(client, shareId, userId) {
+  const result = await client.query(
+    `UPDATE flow_shares SET revoked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+     RETURNING *`,
+    [shareId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// The flows row behind a public token, with share_id and share_expires_at added, or null
+// when the token is forged, revoked or expired
+export async function getSharedFlow(client, token) {
+  const shareId = verifyShareToken(token);
+  if (!shareId) return null;
+
+  const result = await client.query(
+    `SELECT f.*, s.id AS share_id, s.expires_at AS share_expires_at
+     FROM flow_shares s
+     JOIN flows f ON f.id = s.flow_id AND f.user_id = s.user_id
+     WHERE s.id = $1
+       AND s.revoked_at IS NULL
+       AND (s.expires_at IS NULL OR s.expires_at > CURRENT_TIMESTAMP)`,
+    [shareId]
+  );
+  return result.rows[0] || null;
+}
@@ -0,0 +1,537 @@
+// Local dry run of a flow definition
+// Executes the trigger/action graph the way the Logic Apps runtime does: actions in a
+// scope start once the actions they run after have finished with one of the listed
+// statuses, otherwise they are Skipped. Conditions, Switch, Apply to each, Do until and
+// Scope run their nested actions; variables and the core expression functions are
+// evaluated for real. Nothing leaves the process: every connector or HTTP call is
+// answered from the mock outputs supplied by the caller, and Delay doesn't wait.
+//
+// The result is a run trace in execution order, one entry per action run (an action
+// inside a loop has one entry per iteration), similar to the run history view.
+
+import { getDefinition, orderActions, childPath } from './flow-validator.js';
+import {
+  evaluateValue,
+  callFunction,
+  stringify,
+  valueSize,
+  ExpressionError,
+  EXPRESSION_LIMITS
+} from './expression-evaluator.js';
+
+export const SIMULATION_LIMITS = {
+  // Actions executed in one run, counting every loop iteration
+  maxSteps: 2000,
+  // Iterations per Apply to each / Do until
+  maxIterations: 100,
+  // Characters and array items produced by expressions and variable appends in one run
+  maxValueSize: 5000000
+};
+
+const DEFAULT_UNTIL_COUNT = 60;
+
+// Actions answered from mocks
+const MOCKED_ACTION_TYPES = [
+  'Http',
+  'HttpWebhook',
+  'OpenApiConnection',
+  'OpenApiConnectionWebhook',
+  'ApiConnection',
+  'ApiConnectionWebhook',
+  'Function',
+  'Workflow'
+];
+
+const VARIABLE_DEFAULTS = {
+  string: '',
+  integer: 0,
+  float: 0,
+  boolean: false,
+  array: [],
+  object: {}
+};
+
+class SimulationLimitError extends Error {}
+
+function failure(error) {
+  return { status: 'Failed', error: { code: error.code || 'ActionFailed', message: error.message } };
+}
+
+// Normalise one mock into { status, outputs, error }. A mock is either
+// { status?, outputs, error? } or the shorthand { statusCode?, headers?, body }; an array
+// of mocks answers successive calls (the last one repeats).
+function resolveMock(mocks, calls, name) {
+  let mock = mocks[name];
+  if (mock === undefined) return null;
+
+  if (Array.isArray(mock)) {
+    const index = calls[name] = (calls[name] ?? -1) + 1;
+    mock = mock[Math.min(index, mock.length - 1)];
+  }
+  if (!mock || typeof mock !== 'object') {
+    return { status: 'Succeeded', outputs: { statusCode: 200, headers: {}, body: mock ?? null } };
+  }
+
+  const outputs = 'outputs' in mock
+    ? mock.outputs
+    : { statusCode: mock.statusCode ?? 200, headers: mock.headers ?? {}, body: mock.body ?? null };
+  const statusCode = outputs?.statusCode;
+  const status = mock.status || (typeof statusCode === 'number' && statusCode >= 400 ? 'Failed' : 'Succeeded');
+  const result = { status, outputs };
+  if (status !== 'Succeeded') {
+    result.error = mock.error || { code: 'MockFailure', message: `Mock returned ${statusCode ?? status}` };
+  }
+  return result;
+}
+
+// Status of a whole scope (or the run) from its terminal actions: any that Failed or
+// TimedOut decide it; a Skipped terminal action defers to the actions it ran after.
+function scopeStatus(actions, statuses) {
+  const referenced = new Set();
+  for (const action of Object.values(actions || {})) {
+    for (const dep of Object.keys(action?.runAfter || {})) referenced.add(dep);
+  }
+
+  const seen = new Set();
+  const resolve = name => {
+    if (seen.has(name)) return 'Succeeded';
+    seen.add(name);
+    const status = statuses[name];
+    if (status !== 'Skipped') return status || 'Succeeded';
+    return combine(Object.keys(actions[name]?.runAfter || {}).map(resolve));
+  };
+  const combine = list => {
+    if (list.includes('Failed')) return 'Failed';
+    if (list.includes('TimedOut')) return 'TimedOut';
+    return 'Succeeded';
+  };
+
+  return combine(Object.keys(statuses).filter(name => !referenced.has(name)).map(resolve));
+}
+
+function loopStatus(statuses) {
+  if (statuses.includes('Failed')) return 'Failed';
+  if (statuses.includes('TimedOut')) return 'TimedOut';
+  return 'Succeeded';
+}
+
+// Condition expressions are either "@..." strings or the designer's object form,
+// e.g. { "and": [ { "equals": ["@triggerBody()?['Status']", "Approved"] } ] }
+function evaluateCondition(expression, ctx) {
+  if (!expression || typeof expression !== 'object' || Array.isArray(expression)) {
+    return evaluateValue(expression, ctx);
+  }
+
+  // The designer writes single-row groups as { "and": [ ... ] }, which and()/or() as
+  // functions wouldn't accept
+  const [[fn, args]] = Object.entries(expression);
+  if (fn === 'and' || fn === 'or') {
+    const results = (Array.isArray(args) ? args : [args]).map(arg => evaluateCondition(arg, ctx) === true);
+    return fn === 'and' ? results.every(Boolean) : results.some(Boolean);
+  }
+  if (fn === 'not') {
+    return callFunction(fn, [evaluateCondition(args, ctx)], ctx);
+  }
+  return callFunction(fn, (Array.isArray(args) ? args : [args]).map(arg => evaluateValue(arg, ctx)), ctx);
+}
+
+function buildTable(rows, format, columns, ctx) {
+  const headers = columns
+    ? columns.map(column => column.header)
+    : [...new Set(rows.flatMap(row => (row && typeof row === 'object' ? Object.keys(row) : [])))];
+  const cells = rows.map(row => (columns
+    ? columns.map(column => stringify(evaluateValue(column.value, { ...ctx, currentItem: row })))
+    : headers.map(header => stringify(row?.[header]))));
+
+  if (String(format).toUpperCase() === 'HTML') {
+    const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const tr = (values, tag) => `<tr>${values.map(value => `<${tag}>${escape(value)}</${tag}>`).join('')}</tr>`;
+    return `<table><thead>${tr(headers, 'th')}</thead><tbody>${cells.map(row => tr(row, 'td')).join('')}</tbody></table>`;
+  }
+
+  const csv = value => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  return [headers, ...cells].map(row => row.map(csv).join(',')).join('\r\n');
+}
+
+function requireArray(value, what) {
+  if (!Array.isArray(value)) {
+    throw new ExpressionError(`${what} must evaluate to an array`);
+  }
+  return value;
+}
+
+// Run a data or variable action; returns { status, inputs, outputs, error }
+function runBasicAction(name, action, state) {
+  const { ctx } = state;
+  const raw = action.inputs;
+
+  switch (action.type) {
+    case 'Query': {
+      const from = requireArray(evaluateValue(raw?.from, ctx), 'Filter array "from"');
+      const body = from.filter(item => evaluateValue(raw?.where, { ...ctx, currentItem: item }) === true);
+      return { inputs: { from, where: raw?.where }, outputs: { body } };
+    }
+    case 'Select': {
+      const from = requireArray(evaluateValue(raw?.from, ctx), 'Select "from"');
+      const body = from.map(item => evaluateValue(raw?.select, { ...ctx, currentItem: item }));
+      return { inputs: { from, select: raw?.select }, outputs: { body } };
+    }
+    case 'Table': {
+      const from = requireArray(evaluateValue(raw?.from, ctx), 'Create table "from"');
+      return { inputs: { from, format: raw?.format }, outputs: { body: buildTable(from, raw?.format, raw?.columns, ctx) } };
+    }
+  }
+
+  const inputs = evaluateValue(raw, ctx);
+
+  switch (action.type) {
+    case 'Compose':
+      return { inputs, outputs: inputs };
+
+    case 'ParseJson': {
+      let body = inputs?.content;
+      if (typeof body === 'string') {
+        try {
+          body = JSON.parse(body);
+        } catch {
+          throw new ExpressionError('Parse JSON content is not valid JSON');
+        }
+      }
+      return { inputs, outputs: { body } };
+    }
+
+    case 'Join': {
+      const from = requireArray(inputs?.from, 'Join "from"');
+      const body = callFunction('join', [from, inputs?.joinWith ?? ''], ctx);
+      return { inputs, outputs: { body } };
+    }
+
+    case 'InitializeVariable':
+      for (const variable of inputs?.variables || []) {
+        if (!variable || typeof variable !== 'object' || typeof variable.name !== 'string') {
+          throw new ExpressionError('Each variable needs a name and a type');
+        }
+        if (variable.name in ctx.variables) {
+          throw new ExpressionError(`Variable '${variable.name}' is already initialized`);
+        }
+        const type = String(variable.type || '').toLowerCase();
+        ctx.variables[variable.name] = variable.value !== undefined
+          ? variable.value
+          : JSON.parse(JSON.stringify(VARIABLE_DEFAULTS[type] ?? null));
+      }
+      return { inputs, outputs: undefined };
+
+    case 'SetVariable':
+    case 'IncrementVariable':
+    case 'DecrementVariable':
+    case 'AppendToArrayVariable':
+    case 'AppendToStringVariable': {
+      const variable = inputs?.name;
+      if (!(variable in ctx.variables)) {
+        throw new ExpressionError(`Variable '${variable}' hasn't been initialized`);
+      }
+      const current = ctx.variables[variable];
+      let value;
+      if (action.type === 'SetVariable') {
+        value = inputs.value;
+      } else if (action.type === 'AppendToArrayVariable') {
+        requireArray(current, `Variable '${variable}'`);
+        if (current.length >= EXPRESSION_LIMITS.maxArrayLength) {
+          throw new ExpressionError(`Variable '${variable}' can't hold more than ${EXPRESSION_LIMITS.maxArrayLength} items`, 'ExpressionLimitExceeded');
+        }
+        value = [...current, inputs.value];
+        ctx.onValue(value);
+      } else if (action.type === 'AppendToStringVariable') {
+        value = callFunction('concat', [current, inputs.value], ctx);
+      } else {
+        const step = inputs.value === undefined ? 1 : inputs.value;
+        if (typeof current !== 'number' || typeof step !== 'number') {
+          throw new ExpressionError(`Variable '${variable}' and the ${action.type === 'IncrementVariable' ? 'increment' : 'decrement'} value must be numbers`);
+        }
+        value = action.type === 'IncrementVariable' ? current + step : current - step;
+      }
+      ctx.variables[variable] = value;
+      return { inputs, outputs: { body: { value } } };
+    }
+
+    case 'Wait':
+      return { inputs, outputs: {} };
+
+    case 'Response': {
+      const outputs = { statusCode: inputs?.statusCode ?? 200, headers: inputs?.headers ?? {}, body: inputs?.body ?? null };
+      state.response = outputs;
+      return { inputs, outputs };
+    }
+  }
+
+  if (MOCKED_ACTION_TYPES.includes(action.type)) {
+    const mock = resolveMock(state.mocks, state.mockCalls, name);
+    if (!mock) {
+      return {
+        inputs,
+        status: 'Failed',
+        error: { code: 'MissingMock', message: `No mock output was provided for "${name}"` }
+      };
+    }
+    return { inputs, ...mock };
+  }
+
+  return {
+    inputs,
+    status: 'Failed',
+    error: { code: 'UnsupportedAction', message: `${action.type || 'Untyped'} actions aren't supported by the simulator` }
+  };
+}
+
+// Run the actions of one scope; returns { status, results } where results are the
+// direct children's records (for result())
+function runScope(actions, path, parent, state) {
+  const statuses = {};
+  const results = [];
+
+  for (const [name, action] of orderActions(actions)) {
+    if (state.terminated) break;
+
+    const actionPath = childPath(path, name);
+    const runAfter = action?.runAfter || {};
+    let skipReason = null;
+
+    for (const [dep, expected] of Object.entries(runAfter)) {
+      const allowed = Array.isArray(expected) && expected.length > 0 ? expected : ['Succeeded'];
+      const actual = statuses[dep];
+      if (!actual || !allowed.includes(actual)) {
+        skipReason = `The 'runAfter' condition for action '${dep}' is not satisfied. Expected status values '${allowed.join(', ')}' and actual value '${actual || 'NotRun'}'.`;
+        break;
+      }
+    }
+
+    let record;
+    if (skipReason) {
+      record = { name, type: action?.type, status: 'Skipped', error: { code: 'ActionSkipped', message: skipReason } };
+      state.trace.push({ ...record, path: actionPath, parent, iteration: currentIteration(state) });
+    } else {
+      record = runAction(name, action, actionPath, parent, state);
+    }
+
+    statuses[name] = record.status;
+    state.ctx.actions[name] = record;
+    results.push(record);
+  }
+
+  return { status: scopeStatus(actions, statuses), results };
+}
+
+function currentIteration(state) {
+  return state.ctx.loops.length > 0 ? state.ctx.loops.map(loop => ({ loop: loop.name, index: loop.index })) : null;
+}
+
+// Run one action (and anything nested in it), adding its trace entry
+function runAction(name, action, path, parent, state) {
+  if (++state.steps > state.limits.maxSteps) {
+    throw new SimulationLimitError(`The run executed more than ${state.limits.maxSteps} actions`);
+  }
+
+  const { ctx } = state;
+  const entry = { name, type: action?.type, path, parent, iteration: currentIteration(state), status: 'Running' };
+  state.trace.push(entry);
+
+  let result;
+  try {
+    result = runControlAction(name, action, path, state) || runBasicAction(name, action, state);
+  } catch (error) {
+    // Only the run-wide limits stop the run; anything else a definition manages to
+    // trigger fails just this action, as it would in the runtime
+    if (error instanceof SimulationLimitError) throw error;
+    result = failure(error);
+  }
+
+  const record = {
+    name,
+    type: action?.type,
+    status: result.status || 'Succeeded',
+    inputs: result.inputs,
+    outputs: result.outputs,
+    error: result.error
+  };
+  Object.assign(entry, record);
+  ctx.actions[name] = record;
+  return record;
+}
+
+// Run a container action; returns null for anything that isn't one
+function runControlAction(name, action, path, state) {
+  const { ctx } = state;
+  const nested = (actions, scopePath) => {
+    const scope = runScope(actions, scopePath, name, state);
+    state.results[name].push(...scope.results);
+    return scope.status;
+  };
+
+  switch (action?.type) {
+    case 'Scope':
+      state.results[name] = [];
+      return { status: nested(action.actions, childPath(path, 'actions')) };
+
+    case 'If': {
+      const result = evaluateCondition(action.expression, ctx);
+      if (typeof result !== 'boolean') {
+        throw new ExpressionError(`The condition must evaluate to true or false, not "${stringify(result)}"`);
+      }
+      state.results[name] = [];
+      const status = result
+        ? nested(action.actions, childPath(path, 'actions'))
+        : nested(action.else?.actions, childPath(childPath(path, 'else'), 'actions'));
+      return { status, inputs: { expression: result }, outputs: { expression: result } };
+    }
+
+    case 'Switch': {
+      const value = evaluateValue(action.expression, ctx);
+      state.results[name] = [];
+      const match = Object.entries(action.cases || {})
+        .find(([, switchCase]) => callFunction('equals', [switchCase?.case, value], ctx));
+      const status = match
+        ? nested(match[1].actions, childPath(childPath(childPath(path, 'cases'), match[0]), 'actions'))
+        : nested(action.default?.actions, childPath(childPath(path, 'default'), 'actions'));
+      return { status, inputs: { expression: value }, outputs: { case: match ? match[0] : 'default' } };
+    }
+
+    case 'Foreach': {
+      const items = requireArray(evaluateValue(action.foreach, ctx), 'The foreach expression');
+      const limit = Math.min(items.length, state.limits.maxIterations);
+      const statuses = [];
+      state.results[name] = [];
+
+      for (let index = 0; index < limit && !state.terminated; index++) {
+        ctx.loops.push({ name, type: 'Foreach', item: items[index], index });
+        try {
+          statuses.push(nested(action.actions, childPath(path, 'actions')));
+        } finally {
+          ctx.loops.pop();
+        }
+      }
+
+      const outputs = { iterations: statuses.length };
+      if (limit < items.length) outputs.truncated = `Stopped after ${limit} of ${items.length} items`;
+      return { status: loopStatus(statuses), inputs: { items: items.length }, outputs };
+    }
+
+    case 'Until': {
+      const count = Math.min(action.limit?.count ?? DEFAULT_UNTIL_COUNT, state.limits.maxIterations);
+      const statuses = [];
+      let conditionMet = false;
+      state.results[name] = [];
+
+      for (let index = 0; index < count && !state.terminated; index++) {
+        ctx.loops.push({ name, type: 'Until', index });
+        try {
+          const status = nested(action.actions, childPath(path, 'actions'));
+          statuses.push(status);
+          if (status !== 'Succeeded') break;
+          conditionMet = evaluateCondition(action.expression, ctx) === true;
+        } finally {
+          ctx.loops.pop();
+        }
+        if (conditionMet) break;
+      }
+
+      return { status: loopStatus(statuses), outputs: { iterations: statuses.length, conditionMet } };
+    }
+
+    case 'Terminate': {
+      const inputs = evaluateValue(action.inputs, ctx);
+      state.terminated = {
+        status: inputs?.runStatus || 'Succeeded',
+        error: inputs?.runError || null,
+        action: name
+      };
+      return { inputs };
+    }
+  }
+
+  return null;
+}
+
+// Simulate one run of a flow (bare definition or full flow object).
+// Options:
+//   trigger     - trigger outputs { headers, body } (or the body alone under `body`)
+//   mocks       - { [actionName]: mock | mock[] } answering connector and HTTP actions;
+//                 the trigger's name may be used instead of `trigger`
+//   parameters  - values overriding the definition's parameter defaults
+//   now         - fixed time for utcNow() and friends
+// Returns { status, error, trigger, actions: trace[], variables, response, steps }
+export function simulateFlow(flow, { trigger, mocks = {}, parameters = {}, now, limits = {} } = {}) {
+  const definition = getDefinition(flow) || {};
+  const [triggerName, triggerDefinition] = Object.entries(definition.triggers || {})[0] || ['manual', {}];
+  const triggerInput = trigger ?? mocks[triggerName] ?? {};
+
+  // $connections and $authentication are supplied by the platform at run time
+  const parameterValues = { $connections: {}, $authentication: {} };
+  for (const [name, parameter] of Object.entries(definition.parameters || {})) {
+    parameterValues[name] = parameter?.defaultValue ?? null;
+  }
+  Object.assign(parameterValues, parameters);
+
+  const state = {
+    limits: { ...SIMULATION_LIMITS, ...limits },
+    mocks,
+    mockCalls: {},
+    trace: [],
+    results: {},
+    steps: 0,
+    valueSize: 0,
+    terminated: null,
+    response: null,
+    ctx: {
+      trigger: {
+        name: triggerName,
+        type: triggerDefinition?.type,
+        status: 'Succeeded',
+        outputs: { headers: triggerInput.headers ?? {}, body: triggerInput.body ?? null }
+      },
+      actions: {},
+      variables: {},
+      parameters: parameterValues,
+      loops: [],
+      workflow: { name: 'simulation', run: { name: 'dry-run' } },
+      now: now ? new Date(now) : new Date()
+    }
+  };
+  // Every value expressions produce counts towards the run's maxValueSize
+  state.ctx.onValue = value => {
+    state.valueSize += valueSize(value);
+    if (state.valueSize > state.limits.maxValueSize) {
+      throw new SimulationLimitError(`The run produced more than ${state.limits.maxValueSize} characters and array items`);
+    }
+  };
+  state.ctx.results = name => {
+    if (!state.results[name]) {
+      throw new ExpressionError(`result('${name}') needs a Scope, Apply to each or Do until that has run`);
+    }
+    return state.results[name];
+  };
+
+  let status;
+  let error = null;
+  try {
+    status = runScope(definition.actions, '$.actions', null, state).status;
+  } catch (runError) {
+    if (!(runError instanceof SimulationLimitError)) throw runError;
+    status = 'Failed';
+    error = { code: 'SimulationLimitExceeded', message: runError.message };
+  }
+
+  if (state.terminated) {
+    status = state.terminated.status;
+    error = state.terminated.error;
+  }
+
+  return {
+    status,
+    error,
+    trigger: state.ctx.trigger,
+    actions: state.trace,
+    variables: state.ctx.variables,
+    response: state.response,
+    steps: state.steps
+  };
+}
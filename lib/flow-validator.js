@@ -0,0 +1,330 @@
+// Structural validator for generated Power Automate workflow definitions
+// Walks the trigger/action graph (including nested Scope/Condition/Foreach/Until/Switch
+// actions) and returns structured diagnostics that can be shown to users or fed back
+// to the model for repair.
+
+export const WORKFLOW_SCHEMA = 'https://schema.management.azure.com/providers/Microsoft.Logic/schemas/2016-06-01/workflowdefinition.json#';
+export const CONTENT_VERSION = '1.0.0.0';
+
+const RUN_AFTER_STATUSES = ['Succeeded', 'Failed', 'Skipped', 'TimedOut'];
+const TRIGGER_FUNCTIONS = /\b(triggerOutputs|triggerBody|trigger|triggerFormDataValue|triggerFormDataMultiValues|triggerMultipartBody)\s*\(/;
+
+// Accept either a bare workflow definition or the exported flow shape
+// ({ properties: { definition, connectionReferences } })
+export function getDefinition(flow) {
+  if (!flow || typeof flow !== 'object') return flow;
+  if (flow.properties?.definition) return flow.properties.definition;
+  if (flow.definition && typeof flow.definition === 'object') return flow.definition;
+  return flow;
+}
+
+// Build a JSONPath-style location, quoting keys that aren't plain identifiers
+export function childPath(base, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${base}.${key}` : `${base}['${key}']`;
+}
+
+// List the action containers nested inside an action, by control type
+export function getNestedScopes(action, path) {
+  const scopes = [];
+  if (!action || typeof action !== 'object') return scopes;
+
+  switch (action.type) {
+    case 'Scope':
+    case 'Foreach':
+    case 'Until':
+      scopes.push({ actions: action.actions, path: childPath(path, 'actions') });
+      break;
+    case 'If':
+      scopes.push({ actions: action.actions, path: childPath(path, 'actions') });
+      if (action.else) {
+        scopes.push({ actions: action.else.actions, path: childPath(childPath(path, 'else'), 'actions') });
+      }
+      break;
+    case 'Switch':
+      for (const [caseName, switchCase] of Object.entries(action.cases || {})) {
+        const casePath = childPath(childPath(path, 'cases'), caseName);
+        scopes.push({ actions: switchCase?.actions, path: childPath(casePath, 'actions') });
+      }
+      if (action.default) {
+        scopes.push({ actions: action.default.actions, path: childPath(childPath(path, 'default'), 'actions') });
+      }
+      break;
+  }
+
+  return scopes;
+}
+
+// Actions of one scope as [name, action] pairs in runAfter order: an action comes after
+// everything it runs after, otherwise declaration order is kept. Actions caught in a
+// cycle are appended at the end in declaration order.
+export function orderActions(actions) {
+  if (!actions || typeof actions !== 'object' || Array.isArray(actions)) return [];
+
+  const pending = Object.entries(actions);
+  const placed = new Set();
+  const ordered = [];
+
+  let progressed = true;
+  while (pending.length > 0 && progressed) {
+    progressed = false;
+    for (let i = 0; i < pending.length; i++) {
+      const [name, action] = pending[i];
+      const deps = Object.keys(action?.runAfter || {}).filter(dep => dep in actions);
+      if (deps.every(dep => placed.has(dep))) {
+        ordered.push(pending[i]);
+        placed.add(name);
+        pending.splice(i, 1);
+        progressed = true;
+        break;
+      }
+    }
+  }
+
+  return ordered.concat(pending);
+}
+
+// Keys holding nested actions, per container type
+const NESTED_ACTION_KEYS = {
+  Scope: [['actions']],
+  Foreach: [['actions']],
+  Until: [['actions']],
+  If: [['actions'], ['else', 'actions']],
+  Switch: [['cases', '*', 'actions'], ['default', 'actions']]
+};
+
+// Copy of an action without runAfter and without its nested actions, i.e. just the
+// properties that belong to the action itself
+export function actionBody(action) {
+  if (!action || typeof action !== 'object' || Array.isArray(action)) return action;
+  const body = JSON.parse(JSON.stringify(action));
+  delete body.runAfter;
+
+  const strip = (node, keys) => {
+    if (!node || typeof node !== 'object') return;
+    const [key, ...rest] = keys;
+    if (key === '*') {
+      for (const child of Object.values(node)) strip(child, rest);
+    } else if (rest.length === 0) {
+      delete node[key];
+    } else {
+      strip(node[key], rest);
+    }
+  };
+  for (const keyPath of NESTED_ACTION_KEYS[action.type] || []) {
+    strip(body, keyPath);
+  }
+
+  return body;
+}
+
+// Visit every action in a scope and its nested scopes, depth first
+export function walkActions(actions, path, visit, parent = null) {
+  if (!actions || typeof actions !== 'object' || Array.isArray(actions)) return;
+
+  for (const [name, action] of Object.entries(actions)) {
+    const actionPath = childPath(path, name);
+    visit(name, action, actionPath, parent);
+    for (const scope of getNestedScopes(action, actionPath)) {
+      walkActions(scope.actions, scope.path, visit, name);
+    }
+  }
+}
+
+// Collect every string value below a node, with its path
+export function collectStrings(node, path, out = []) {
+  if (typeof node === 'string') {
+    out.push({ value: node, path });
+  } else if (Array.isArray(node)) {
+    node.forEach((item, i) => collectStrings(item, `${path}[${i}]`, out));
+  } else if (node && typeof node === 'object') {
+    for (const [key, value] of Object.entries(node)) {
+      collectStrings(value, childPath(path, key), out);
+    }
+  }
+  return out;
+}
+
+// Detect runAfter cycles among the actions of a single scope
+function findCycles(actions) {
+  const cycles = [];
+  const state = {};
+  const stack = [];
+
+  function visit(name) {
+    state[name] = 'visiting';
+    stack.push(name);
+
+    const runAfter = actions[name]?.runAfter;
+    if (runAfter && typeof runAfter === 'object') {
+      for (const dep of Object.keys(runAfter)) {
+        if (!(dep in actions)) continue;
+        if (state[dep] === 'visiting') {
+          cycles.push([...stack.slice(stack.indexOf(dep)), dep]);
+        } else if (!state[dep]) {
+          visit(dep);
+        }
+      }
+    }
+
+    stack.pop();
+    state[name] = 'done';
+  }
+
+  for (const name of Object.keys(actions)) {
+    if (!state[name]) visit(name);
+  }
+
+  return cycles;
+}
+
+function validateScope(actions, path, ctx) {
+  if (actions === undefined) return;
+
+  if (!actions || typeof actions !== 'object' || Array.isArray(actions)) {
+    ctx.error('INVALID_ACTIONS', 'actions must be an object keyed by action name', path);
+    return;
+  }
+
+  for (const [name, action] of Object.entries(actions)) {
+    const actionPath = childPath(path, name);
+
+    if (ctx.seenNames.has(name)) {
+      ctx.error('DUPLICATE_ACTION_NAME', `Action name "${name}" is used more than once; names must be unique across the whole flow`, actionPath);
+    }
+    ctx.seenNames.add(name);
+
+    if (!action || typeof action !== 'object' || Array.isArray(action)) {
+      ctx.error('INVALID_ACTION', `Action "${name}" must be an object`, actionPath);
+      continue;
+    }
+
+    if (!action.type) {
+      ctx.error('MISSING_TYPE', `Action "${name}" has no type`, actionPath);
+    }
+
+    const runAfter = action.runAfter;
+    if (runAfter !== undefined) {
+      if (!runAfter || typeof runAfter !== 'object' || Array.isArray(runAfter)) {
+        ctx.error('INVALID_RUN_AFTER', `runAfter of "${name}" must be an object`, childPath(actionPath, 'runAfter'));
+      } else {
+        for (const [dep, statuses] of Object.entries(runAfter)) {
+          const depPath = childPath(childPath(actionPath, 'runAfter'), dep);
+
+          if (dep === name) {
+            ctx.error('RUN_AFTER_SELF', `Action "${name}" runs after itself`, depPath);
+          } else if (ctx.triggerNames.has(dep)) {
+            ctx.error('RUN_AFTER_TRIGGER', `Action "${name}" runs after trigger "${dep}"; actions that start the flow must have an empty runAfter`, depPath);
+          } else if (!(dep in actions)) {
+            ctx.error('DANGLING_RUN_AFTER', `Action "${name}" runs after "${dep}", which is not an action in the same scope`, depPath);
+          }
+
+          if (!Array.isArray(statuses) || statuses.length === 0) {
+            ctx.error('INVALID_RUN_AFTER_STATUS', `runAfter "${dep}" of "${name}" must list at least one status`, depPath);
+          } else {
+            for (const status of statuses) {
+              if (!RUN_AFTER_STATUSES.includes(status)) {
+                ctx.error('INVALID_RUN_AFTER_STATUS', `Unknown runAfter status "${status}" (expected one of ${RUN_AFTER_STATUSES.join(', ')})`, depPath);
+              }
+            }
+          }
+        }
+      }
+    }
+
+    if (action.type === 'Foreach' && !action.foreach) {
+      ctx.error('MISSING_FOREACH', `Foreach action "${name}" has no foreach expression`, actionPath);
+    }
+    if (action.type === 'Until' && !action.expression) {
+      ctx.error('MISSING_EXPRESSION', `Until action "${name}" has no exit expression`, actionPath);
+    }
+    if (action.type === 'If' && !action.expression) {
+      ctx.error('MISSING_EXPRESSION', `Condition "${name}" has no expression`, actionPath);
+    }
+    if (action.type === 'Switch' && !action.expression) {
+      ctx.error('MISSING_EXPRESSION', `Switch "${name}" has no expression`, actionPath);
+    }
+
+    if (ctx.triggerNames.size === 0) {
+      for (const str of collectStrings(action.inputs, childPath(actionPath, 'inputs'))) {
+        if (TRIGGER_FUNCTIONS.test(str.value)) {
+          ctx.error('UNDEFINED_TRIGGER_REFERENCE', `Action "${name}" references trigger outputs but the flow defines no trigger`, str.path);
+        }
+      }
+    }
+
+    for (const scope of getNestedScopes(action, actionPath)) {
+      validateScope(scope.actions, scope.path, ctx);
+    }
+  }
+
+  for (const cycle of findCycles(actions)) {
+    ctx.error('RUN_AFTER_CYCLE', `runAfter cycle: ${cycle.join(' -> ')}`, childPath(path, cycle[0]));
+  }
+}
+
+// Validate a workflow definition and return { valid, diagnostics }
+// Each diagnostic is { severity, code, message, path }. `checks` are extra
+// functions (flow) => diagnostics[] run after the structural validation.
+export function validateFlowDefinition(flow, { checks = [] } = {}) {
+  const diagnostics = [];
+  const ctx = {
+    seenNames: new Set(),
+    triggerNames: new Set(),
+    error: (code, message, path) => diagnostics.push({ severity: 'error', code, message, path }),
+    warn: (code, message, path) => diagnostics.push({ severity: 'warning', code, message, path })
+  };
+
+  const definition = getDefinition(flow);
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    ctx.error('INVALID_ROOT', 'Flow definition must be a JSON object', '$');
+    return { valid: false, diagnostics };
+  }
+
+  if (!definition.$schema) {
+    ctx.error('MISSING_SCHEMA', `Missing $schema (expected "${WORKFLOW_SCHEMA}")`, '$');
+  } else if (definition.$schema !== WORKFLOW_SCHEMA) {
+    ctx.warn('UNEXPECTED_SCHEMA', `Unexpected $schema "${definition.$schema}"`, '$.$schema');
+  }
+
+  if (!definition.contentVersion) {
+    ctx.error('MISSING_CONTENT_VERSION', `Missing contentVersion (expected "${CONTENT_VERSION}")`, '$');
+  }
+
+  const triggers = definition.triggers;
+  if (!triggers || typeof triggers !== 'object' || Array.isArray(triggers) || Object.keys(triggers).length === 0) {
+    ctx.error('NO_TRIGGER', 'Flow must define exactly one trigger', '$.triggers');
+  } else {
+    const names = Object.keys(triggers);
+    if (names.length > 1) {
+      ctx.warn('MULTIPLE_TRIGGERS', `Power Automate flows support a single trigger; found ${names.length}`, '$.triggers');
+    }
+    for (const name of names) {
+      ctx.triggerNames.add(name);
+      if (!triggers[name] || typeof triggers[name] !== 'object' || !triggers[name].type) {
+        ctx.error('MISSING_TYPE', `Trigger "${name}" has no type`, childPath('$.triggers', name));
+      }
+    }
+  }
+
+  if (definition.actions === undefined) {
+    ctx.warn('NO_ACTIONS', 'Flow defines no actions', '$');
+  }
+  validateScope(definition.actions, '$.actions', ctx);
+
+  for (const check of checks) {
+    diagnostics.push(...check(flow));
+  }
+
+  return {
+    valid: !diagnostics.some(d => d.severity === 'error'),
+    diagnostics
+  };
+}
+
+// Render diagnostics as a plain-text list (used in repair prompts and logs)
+export function formatDiagnostics(diagnostics) {
+  return diagnostics
+    .map(d => `- [${d.severity}] ${d.code} at ${d.path}: ${d.message}`)
+    .join('\n');
+}
@@ -0,0 +1,503 @@
+// Bulk generation jobs
+// A job is a list of { prompt, flowName } items uploaded as JSON or CSV. Items are
+// generated one at a time by POST /api/jobs/process (a serverless function can't run
+// the whole batch in one request), each reserved against the user's tier limits and
+// saved to flows like a single generation. A failed item never fails the job: transient
+// model errors are retried automatically, everything else can be retried per item.
+//
+// Item status: pending -> running -> succeeded | failed (| cancelled)
+// Job status:  pending -> running -> completed (| cancelled)
+
+import { generateFlow } from './flow-generator.js';
+import { getProvider, LlmError, LlmConfigError } from './llm/index.js';
+import { buildFlowExport, hasExportableDefinition } from './flow-package.js';
+import { saveGeneratedFlow } from './flow-library.js';
+import { createZip } from './zip.js';
+import { checkUserInput, PromptGuardError, logBlockedAttempt } from './prompt-guard.js';
+import { reserveUsage, releaseUsage, calculateCost, tokensSpent } from './usage.js';
+
+export const MAX_JOB_ITEMS = 50;
+
+// Automatic attempts per item for rate limits, overload and timeouts
+export const MAX_ITEM_ATTEMPTS = 3;
+
+// A running item older than this was lost with its function invocation
+const STALE_ITEM_MINUTES = 5;
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504, 529];
+
+export class JobInputError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.status = 400;
+    this.details = details;
+  }
+}
+
+// Minimal RFC 4180 parser: quoted fields, "" escapes, CRLF or LF line endings
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (quoted) throw new JobInputError('CSV has an unterminated quoted field');
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+const COLUMN_ALIASES = {
+  prompt: 'prompt',
+  flowname: 'flowName',
+  flow_name: 'flowName',
+  name: 'flowName'
+};
+
+function itemsFromCsv(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) throw new JobInputError('CSV is empty');
+
+  const columns = header.map(cell => COLUMN_ALIASES[cell.trim().toLowerCase()] || null);
+  if (!columns.includes('prompt')) {
+    throw new JobInputError('CSV needs a header row with a "prompt" column (and optionally "flowName")');
+  }
+
+  return rows.map(cells => {
+    const item = {};
+    columns.forEach((column, i) => {
+      if (column) item[column] = cells[i];
+    });
+    return item;
+  });
+}
+
+// Read the uploaded list from a request body: { items: [...] }, { csv: '...' }, a bare
+// JSON array, or raw CSV text (Content-Type: text/csv). Returns { items, name, avoidPremium };
+// throws JobInputError listing every rejected row.
+export function parseJobInput(body, contentType = '') {
+  let input = Buffer.isBuffer(body) ? body.toString('utf8') : body;
+
+  if (typeof input === 'string') {
+    if (contentType.includes('csv')) {
+      input = { csv: input };
+    } else {
+      try {
+        input = JSON.parse(input);
+      } catch {
+        input = { csv: input };
+      }
+    }
+  }
+  if (Array.isArray(input)) input = { items: input };
+  if (!input || typeof input !== 'object') {
+    throw new JobInputError('Upload a JSON list of { prompt, flowName } items or a CSV file');
+  }
+
+  let rawItems;
+  if (Array.isArray(input.items)) {
+    rawItems = input.items;
+  } else if (typeof input.csv === 'string') {
+    rawItems = itemsFromCsv(input.csv);
+  } else {
+    throw new JobInputError('Provide items (a JSON array) or csv');
+  }
+
+  if (rawItems.length === 0) throw new JobInputError('The list has no items');
+  if (rawItems.length > MAX_JOB_ITEMS) {
+    throw new JobInputError(`A job can have at most ${MAX_JOB_ITEMS} items; got ${rawItems.length}`);
+  }
+
+  const details = [];
+  const items = rawItems.map((raw, index) => {
+    const item = {
+      prompt: typeof raw?.prompt === 'string' ? raw.prompt.trim() : raw?.prompt,
+      flowName: typeof (raw?.flowName ?? raw?.flow_name) === 'string' ? (raw.flowName ?? raw.flow_name).trim() || null : null
+    };
+    try {
+      checkUserInput('prompt', item.prompt, { required: true });
+      checkUserInput('flowName', item.flowName);
+    } catch (error) {
+      if (!(error instanceof PromptGuardError)) throw error;
+      details.push({ row: index + 1, field: error.field, code: error.code, error: error.message });
+    }
+    return item;
+  });
+
+  if (details.length > 0) {
+    throw new JobInputError(`${details.length} item(s) were rejected`, details);
+  }
+
+  return {
+    items,
+    name: typeof input.name === 'string' && input.name.trim() ? input.name.trim().slice(0, 255) : null,
+    avoidPremium: !!input.avoidPremium
+  };
+}
+
+export function formatJob(row) {
+  const total = row.total_items;
+  const done = row.succeeded_items + row.failed_items;
+  return {
+    id: row.id,
+    name: row.name,
+    status: row.status,
+    options: row.options || {},
+    progress: {
+      total,
+      succeeded: row.succeeded_items,
+      failed: row.failed_items,
+      remaining: row.status === 'cancelled' ? 0 : total - done,
+      percent: total > 0 ? Math.round((done / total) * 100) : 0
+    },
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at
+  };
+}
+
+export function formatJobItem(row) {
+  return {
+    id: row.id,
+    position: row.position,
+    prompt: row.prompt,
+    flowName: row.flow_name,
+    status: row.status,
+    attempts: row.attempts,
+    flowId: row.flow_id,
+    error: row.error_code ? { code: row.error_code, message: row.error_message } : null,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+}
+
+export async function createJob(client, userId, { items, name, avoidPremium }) {
+  await client.query('BEGIN');
+  try {
+    const jobResult = await client.query(
+      `INSERT INTO generation_jobs (user_id, name, options, total_items)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [userId, name, JSON.stringify({ avoidPremium }), items.length]
+    );
+    const job = jobResult.rows[0];
+
+    const params = [job.id];
+    const values = items.map((item, index) => {
+      params.push(index + 1, item.prompt, item.flowName);
+      const n = params.length;
+      return `($1, $${n - 2}, $${n - 1}, $${n})`;
+    });
+    await client.query(
+      `INSERT INTO generation_job_items (job_id, position, prompt, flow_name) VALUES ${values.join(', ')}`,
+      params
+    );
+
+    await client.query('COMMIT');
+    return job;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+// Load a job owned by the user, or null
+export async function getOwnedJob(client, jobId, userId) {
+  const result = await client.query(
+    'SELECT * FROM generation_jobs WHERE id = $1 AND user_id = $2',
+    [jobId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+export async function listJobItems(client, jobId) {
+  const result = await client.query(
+    'SELECT * FROM generation_job_items WHERE job_id = $1 ORDER BY position',
+    [jobId]
+  );
+  return result.rows;
+}
+
+export async function listJobs(client, userId, limit = 20) {
+  const result = await client.query(
+    'SELECT * FROM generation_jobs WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2',
+    [userId, limit]
+  );
+  return result.rows;
+}
+
+// Recount the job's items and derive its status
+export async function refreshJob(client, jobId) {
+  const result = await client.query(
+    `UPDATE generation_jobs j
+     SET succeeded_items = c.succeeded,
+         failed_items = c.failed,
+         status = CASE
+           WHEN j.status = 'cancelled' THEN 'cancelled'
+           WHEN c.open = 0 THEN 'completed'
+           WHEN c.succeeded + c.failed + c.running > 0 THEN 'running'
+           ELSE 'pending'
+         END,
+         completed_at = CASE WHEN c.open = 0 THEN COALESCE(j.completed_at, CURRENT_TIMESTAMP) ELSE NULL END,
+         updated_at = CURRENT_TIMESTAMP
+     FROM (
+       SELECT COUNT(*) FILTER (WHERE status = 'succeeded') AS succeeded,
+              COUNT(*) FILTER (WHERE status = 'failed') AS failed,
+              COUNT(*) FILTER (WHERE status = 'running') AS running,
+              COUNT(*) FILTER (WHERE status IN ('pending', 'running')) AS open
+       FROM generation_job_items
+       WHERE job_id = $1
+     ) c
+     WHERE j.id = $1
+     RETURNING j.*`,
+    [jobId]
+  );
+  return result.rows[0];
+}
+
+async function finishItem(client, itemId, { status, flowId = null, errorCode = null, errorMessage = null }) {
+  const result = await client.query(
+    `UPDATE generation_job_items
+     SET status = $2, flow_id = $3, error_code = $4, error_message = $5, finished_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [itemId, status, flowId, errorCode, errorMessage]
+  );
+  return result.rows[0];
+}
+
+// Take the next pending item (or one whose invocation died) and mark it running.
+// SKIP LOCKED lets several process calls work through the same job in parallel.
+async function claimNextItem(client, jobId) {
+  await client.query(
+    `UPDATE generation_job_items
+     SET status = 'failed', error_code = 'timed_out',
+         error_message = 'Generation did not finish', finished_at = CURRENT_TIMESTAMP
+     WHERE job_id = $1 AND status = 'running' AND attempts >= $2
+       AND started_at < CURRENT_TIMESTAMP - make_interval(mins => $3)`,
+    [jobId, MAX_ITEM_ATTEMPTS, STALE_ITEM_MINUTES]
+  );
+
+  const result = await client.query(
+    `UPDATE generation_job_items
+     SET status = 'running', attempts = attempts + 1, started_at = CURRENT_TIMESTAMP,
+         error_code = NULL, error_message = NULL, finished_at = NULL
+     WHERE id = (
+       SELECT id FROM generation_job_items
+       WHERE job_id = $1
+         AND (status = 'pending'
+              OR (status = 'running' AND started_at < CURRENT_TIMESTAMP - make_interval(mins => $2)))
+       ORDER BY position
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [jobId, STALE_ITEM_MINUTES]
+  );
+  return result.rows[0] || null;
+}
+
+// Generate and save one claimed item; returns the updated item row
+async function runItem(client, job, item) {
+  // Reserved per item, against usage that includes the items already generated and any
+  // other generations still in flight
+  const { reservation, status } = await reserveUsage(client, job.user_id);
+  if (!status) {
+    return finishItem(client, item.id, { status: 'failed', errorCode: 'user_not_found', errorMessage: 'User not found' });
+  }
+  if (!reservation) {
+    return finishItem(client, item.id, {
+      status: 'failed',
+      errorCode: status.reason,
+      errorMessage: status.reason === 'token_budget'
+        ? `Monthly token budget of ${status.tokenBudget} is used up`
+        : `Monthly limit of ${status.limit} flows reached on the ${status.tier} tier`
+    });
+  }
+
+  try {
+    return await generateItem(client, job, item, { tier: status.tier, reservation });
+  } catch (error) {
+    // A no-op when the flow was already saved and the reservation committed
+    await releaseUsage(client, reservation, { totalTokens: tokensSpent(error) });
+    throw error;
+  }
+}
+
+async function generateItem(client, job, item, { tier, reservation }) {
+  let provider;
+  try {
+    provider = getProvider({ tier });
+  } catch (error) {
+    if (!(error instanceof LlmConfigError)) throw error;
+    await releaseUsage(client, reservation);
+    return finishItem(client, item.id, { status: 'failed', errorCode: 'provider_not_configured', errorMessage: error.message });
+  }
+
+  const startTime = Date.now();
+  let result;
+  try {
+    result = await generateFlow({
+      provider,
+      prompt: item.prompt,
+      flowName: item.flow_name,
+      avoidPremium: !!job.options?.avoidPremium
+    });
+  } catch (error) {
+    if (!(error instanceof LlmError)) throw error;
+    await releaseUsage(client, reservation, { totalTokens: tokensSpent(error) });
+    if (RETRYABLE_STATUSES.includes(error.status) && item.attempts < MAX_ITEM_ATTEMPTS) {
+      // Back in the queue; the next process call picks it up again
+      const retry = await client.query(
+        `UPDATE generation_job_items SET status = 'pending', error_code = 'llm_error', error_message = $2
+         WHERE id = $1 RETURNING *`,
+        [item.id, error.message]
+      );
+      return retry.rows[0];
+    }
+    return finishItem(client, item.id, { status: 'failed', errorCode: 'llm_error', errorMessage: error.message });
+  }
+  const generationTime = (Date.now() - startTime) / 1000;
+
+  if (!result.flow) {
+    // Nothing to save: give the flow back, but the tokens were still spent
+    await releaseUsage(client, reservation, { totalTokens: calculateCost(result.model, result.usage).totalTokens });
+
+    if (result.blocked) {
+      await logBlockedAttempt(client, job.user_id, { stage: 'output', code: result.blocked.code, endpoint: 'jobs', text: item.prompt });
+      return finishItem(client, item.id, { status: 'failed', errorCode: 'output_rejected', errorMessage: result.blocked.message });
+    }
+    return finishItem(client, item.id, {
+      status: 'failed',
+      errorCode: 'invalid_output',
+      errorMessage: result.rawText ? 'The model did not return valid flow JSON' : 'The model returned no flow'
+    });
+  }
+
+  const { flowId } = await saveGeneratedFlow(client, {
+    userId: job.user_id,
+    flowName: item.flow_name,
+    prompt: item.prompt,
+    result,
+    generationTime,
+    reservation,
+    logMetadata: { jobId: job.id, jobItemId: item.id }
+  });
+
+  return finishItem(client, item.id, { status: 'succeeded', flowId });
+}
+
+// Process the next item of a job. Returns { job, item } where item is null when there
+// was nothing left to do.
+export async function processNextItem(client, job) {
+  if (job.status === 'cancelled' || job.status === 'completed') {
+    return { job, item: null };
+  }
+
+  const claimed = await claimNextItem(client, job.id);
+  if (!claimed) {
+    return { job: await refreshJob(client, job.id), item: null };
+  }
+  await refreshJob(client, job.id);
+
+  let item;
+  try {
+    item = await runItem(client, job, claimed);
+  } catch (error) {
+    console.error(`Job ${job.id} item ${claimed.position} failed:`, error);
+    item = await finishItem(client, claimed.id, { status: 'failed', errorCode: 'internal_error', errorMessage: error.message });
+  }
+
+  return { job: await refreshJob(client, job.id), item };
+}
+
+// Put failed items (all, or the given ids) back in the queue; returns the ids requeued
+export async function retryFailedItems(client, jobId, itemIds = null) {
+  const params = [jobId];
+  let filter = '';
+  if (itemIds) {
+    params.push(itemIds);
+    filter = 'AND id = ANY($2::uuid[])';
+  }
+
+  const result = await client.query(
+    `UPDATE generation_job_items
+     SET status = 'pending', attempts = 0, error_code = NULL, error_message = NULL,
+         started_at = NULL, finished_at = NULL
+     WHERE job_id = $1 AND status = 'failed' ${filter}
+     RETURNING id`,
+    params
+  );
+  return result.rows.map(row => row.id);
+}
+
+// Stop a job: pending items are cancelled, a running item is allowed to finish
+export async function cancelJob(client, jobId) {
+  await client.query(
+    `UPDATE generation_job_items SET status = 'cancelled', finished_at = CURRENT_TIMESTAMP
+     WHERE job_id = $1 AND status = 'pending'`,
+    [jobId]
+  );
+  await client.query(
+    `UPDATE generation_jobs SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+    [jobId]
+  );
+  return refreshJob(client, jobId);
+}
+
+// Zip of everything a job produced: for each saved flow its definition JSON and its
+// importable package, plus manifest.json describing every item (including failures)
+export function buildJobArchive(job, items, flowsById) {
+  const entries = [];
+  const manifest = { job: formatJob(job), items: [] };
+
+  for (const item of items) {
+    const entry = formatJobItem(item);
+    const flow = item.flow_id ? flowsById[item.flow_id] : null;
+
+    if (flow && hasExportableDefinition(flow.generated_json)) {
+      const prefix = String(item.position).padStart(2, '0');
+      const { buffer, fileName } = buildFlowExport(flow, 'package');
+      const baseName = `${prefix}-${fileName.replace(/\.zip$/, '')}`;
+
+      entries.push({ name: `definitions/${baseName}.json`, data: JSON.stringify(flow.generated_json, null, 2) });
+      entries.push({ name: `packages/${baseName}.zip`, data: buffer });
+      entry.valid = flow.success;
+      entry.files = [`definitions/${baseName}.json`, `packages/${baseName}.zip`];
+    }
+
+    manifest.items.push(entry);
+  }
+
+  return createZip([{ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) }, ...entries]);
+}
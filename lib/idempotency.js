@@ -0,0 +1,132 @@
+// Idempotency-Key support for endpoints that spend money or quota
+// A client that retries a request with the same Idempotency-Key header gets the response
+// stored for the first attempt instead of a second generation. Keys are scoped per user
+// and endpoint and kept for IDEMPOTENCY_TTL_HOURS. Only final answers are stored: server
+// errors, rate limits and conflicts free the key so the retry runs for real.
+
+import crypto from 'crypto';
+
+export const IDEMPOTENCY_TTL_HOURS = 24;
+
+// An in-progress key older than this belongs to a function invocation that died
+// (functions are capped at 30 seconds in vercel.json)
+const STALE_LOCK_SECONDS = 120;
+
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+// Responses that say nothing final about the request, so a retry must run again
+const UNSTORED_STATUSES = [409, 429];
+
+export class IdempotencyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'IdempotencyError';
+    this.status = status;
+  }
+}
+
+// The request's Idempotency-Key header, or null when it wasn't sent
+export function getIdempotencyKey(req) {
+  const key = req.headers['idempotency-key'];
+  if (key === undefined) return null;
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    throw new IdempotencyError('Idempotency-Key must be 1-255 printable ASCII characters without spaces');
+  }
+  return key;
+}
+
+// JSON with object keys sorted, so the same body always hashes the same
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+export function hashRequest(body) {
+  return crypto.createHash('sha256').update(stableStringify(body ?? null)).digest('hex');
+}
+
+// Claim a key before doing the work. Returns { state, record } where state is
+//   'new'         - this request owns the key; complete or abandon it when done
+//   'replay'      - the key was already answered; record.response_status/_body hold it
+//   'in_progress' - another request with this key hasn't finished yet
+//   'mismatch'    - the key was used for a request with a different body
+export async function beginIdempotentRequest(client, { userId, endpoint, key, requestHash }) {
+  const inserted = await client.query(
+    `INSERT INTO idempotency_keys (user_id, endpoint, idempotency_key, request_hash, expires_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(hours => $5))
+     ON CONFLICT (user_id, endpoint, idempotency_key) DO NOTHING
+     RETURNING *`,
+    [userId, endpoint, key, requestHash, IDEMPOTENCY_TTL_HOURS]
+  );
+  if (inserted.rows.length > 0) {
+    return { state: 'new', record: inserted.rows[0] };
+  }
+
+  // Take over a key that has expired or whose owner never finished
+  const reclaimed = await client.query(
+    `UPDATE idempotency_keys
+     SET request_hash = $4, status = 'in_progress', response_status = NULL, response_body = NULL,
+         created_at = CURRENT_TIMESTAMP, locked_at = CURRENT_TIMESTAMP, completed_at = NULL,
+         expires_at = CURRENT_TIMESTAMP + make_interval(hours => $5)
+     WHERE user_id = $1 AND endpoint = $2 AND idempotency_key = $3
+       AND (expires_at <= CURRENT_TIMESTAMP
+         OR (status = 'in_progress' AND locked_at < CURRENT_TIMESTAMP - make_interval(secs => $6)))
+     RETURNING *`,
+    [userId, endpoint, key, requestHash, IDEMPOTENCY_TTL_HOURS, STALE_LOCK_SECONDS]
+  );
+  if (reclaimed.rows.length > 0) {
+    return { state: 'new', record: reclaimed.rows[0] };
+  }
+
+  const existing = await client.query(
+    'SELECT * FROM idempotency_keys WHERE user_id = $1 AND endpoint = $2 AND idempotency_key = $3',
+    [userId, endpoint, key]
+  );
+  const record = existing.rows[0];
+  if (!record) {
+    // Deleted between our statements (its request failed); the client can simply retry
+    return { state: 'in_progress', record: null };
+  }
+
+  if (record.request_hash !== requestHash) return { state: 'mismatch', record };
+  if (record.status === 'completed') return { state: 'replay', record };
+  return { state: 'in_progress', record };
+}
+
+// Body for the error returned when a key can't be used; null for 'new' and 'replay'
+export function idempotencyConflictResponse(state) {
+  if (state === 'in_progress') {
+    return { status: 409, body: { error: 'A request with this Idempotency-Key is still being processed' } };
+  }
+  if (state === 'mismatch') {
+    return { status: 422, body: { error: 'This Idempotency-Key was already used with a different request body' } };
+  }
+  return null;
+}
+
+// Store the response for replays, or free the key when the response isn't final
+export async function completeIdempotentRequest(client, record, status, body) {
+  if (status >= 500 || UNSTORED_STATUSES.includes(status)) {
+    return abandonIdempotentRequest(client, record);
+  }
+  await client.query(
+    `UPDATE idempotency_keys
+     SET status = 'completed', response_status = $2, response_body = $3, completed_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [record.id, status, JSON.stringify(body)]
+  );
+}
+
+// Free the key without storing anything, so a retry runs again
+export async function abandonIdempotentRequest(client, record) {
+  await client.query(
+    "DELETE FROM idempotency_keys WHERE id = $1 AND status = 'in_progress'",
+    [record.id]
+  );
+}
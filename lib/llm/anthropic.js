@@ -0,0 +1,194 @@
+// Anthropic Messages API provider
+// Retries 429 (rate limited) and 529 (overloaded) responses with exponential backoff,
+// honouring retry-after, as long as no streamed text has reached the caller yet.
+
+import { LlmError, LlmConfigError } from './errors.js';
+
+const API_URL = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+const RETRYABLE_STATUSES = [429, 529];
+const MAX_BACKOFF_MS = 20000;
+
+function retryAfterMs(response) {
+  const seconds = parseFloat(response.headers.get('retry-after'));
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+// Full-jitter exponential backoff, or the provider's retry-after when it's longer
+function backoffDelay(attempt, baseDelayMs, retryAfter) {
+  const exponential = Math.min(MAX_BACKOFF_MS, baseDelayMs * 2 ** attempt);
+  const jittered = Math.round(exponential / 2 + Math.random() * exponential / 2);
+  return Math.min(MAX_BACKOFF_MS, Math.max(jittered, retryAfter || 0));
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Read Anthropic's streamed Messages response, forwarding text deltas as they arrive.
+// Returns the same shape as a non-streamed response ({ content, usage, model, stop_reason }).
+// When the stream fails part way (an error event, or the request is aborted), the thrown
+// error carries the usage reported so far as error.usage, since those tokens were billed.
+async function readStream(response, onDelta) {
+  const decoder = new TextDecoder();
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  let buffer = '';
+  let text = '';
+  let model = null;
+  let stopReason = null;
+
+  try {
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const rawEvent = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        const data = rawEvent
+          .split('\n')
+          .filter(line => line.startsWith('data:'))
+          .map(line => line.slice(5).trim())
+          .join('\n');
+        if (!data) continue;
+
+        const event = JSON.parse(data);
+        switch (event.type) {
+          case 'message_start':
+            model = event.message?.model || null;
+            usage.input_tokens = event.message?.usage?.input_tokens || 0;
+            usage.output_tokens = event.message?.usage?.output_tokens || 0;
+            break;
+          case 'content_block_delta':
+            if (event.delta?.type === 'text_delta') {
+              text += event.delta.text;
+              onDelta(event.delta.text);
+            }
+            break;
+          case 'message_delta':
+            if (event.delta?.stop_reason) stopReason = event.delta.stop_reason;
+            if (event.usage?.output_tokens !== undefined) usage.output_tokens = event.usage.output_tokens;
+            break;
+          case 'error':
+            console.error('Claude stream error:', event.error);
+            throw new LlmError('anthropic', event.error?.type === 'overloaded_error' ? 529 : 502, JSON.stringify(event.error));
+        }
+      }
+    }
+  } catch (error) {
+    if (error && typeof error === 'object') error.usage = { ...usage };
+    throw error;
+  }
+
+  return { content: [{ type: 'text', text }], usage, model, stop_reason: stopReason };
+}
+
+export function createAnthropicProvider({ apiKey, model, maxTokens, timeoutMs, maxRetries, baseDelayMs }) {
+  if (!apiKey) {
+    throw new LlmConfigError('ANTHROPIC_API_KEY not configured');
+  }
+
+  async function request({ system, messages, maxTokens: requestMaxTokens, onDelta, signal }) {
+    const response = await fetch(API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': API_VERSION
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: requestMaxTokens || maxTokens,
+        ...(system ? { system } : {}),
+        messages,
+        stream: !!onDelta
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorData = await response.text();
+      console.error('Claude API error:', response.status, errorData);
+      throw new LlmError('anthropic', response.status, errorData, retryAfterMs(response));
+    }
+
+    return onDelta ? readStream(response, onDelta) : response.json();
+  }
+
+  return {
+    name: 'anthropic',
+    model,
+    timeoutMs,
+
+    // A failed call throws with error.usage set to the tokens billed across its attempts.
+    // Each attempt gets the time left before the deadline, and a retry whose backoff would
+    // run past it isn't made.
+    async complete({ system, messages, maxTokens: requestMaxTokens, onDelta, signal, deadline = Date.now() + timeoutMs }) {
+      const spent = { input_tokens: 0, output_tokens: 0 };
+      const charge = error => {
+        spent.input_tokens += error?.usage?.input_tokens || 0;
+        spent.output_tokens += error?.usage?.output_tokens || 0;
+        if (error && typeof error === 'object') error.usage = { ...spent };
+        return error;
+      };
+
+      for (let attempt = 0; ; attempt++) {
+        const remainingMs = deadline - Date.now();
+        if (remainingMs <= 0) {
+          throw Object.assign(new LlmError('anthropic', 504, 'Out of time before the request could be made'), { usage: { ...spent } });
+        }
+        const timeout = AbortSignal.timeout(remainingMs);
+        const requestSignal = signal ? AbortSignal.any([signal, timeout]) : timeout;
+        let streamed = false;
+
+        try {
+          const data = await request({
+            system,
+            messages,
+            maxTokens: requestMaxTokens,
+            onDelta: onDelta && (text => {
+              streamed = true;
+              onDelta(text);
+            }),
+            signal: requestSignal
+          });
+
+          return {
+            text: data.content?.find(c => c.type === 'text')?.text || '',
+            usage: {
+              input_tokens: spent.input_tokens + (data.usage?.input_tokens || 0),
+              output_tokens: spent.output_tokens + (data.usage?.output_tokens || 0)
+            },
+            model: data.model || model,
+            stopReason: data.stop_reason || null
+          };
+        } catch (error) {
+          charge(error);
+          if (signal?.aborted) throw error;
+          if (timeout.aborted) {
+            throw Object.assign(new LlmError('anthropic', 504, `No response within ${remainingMs}ms`), { usage: error?.usage });
+          }
+          if (!(error instanceof LlmError)) throw error;
+          if (streamed || attempt >= maxRetries || !RETRYABLE_STATUSES.includes(error.status)) throw error;
+
+          const delay = backoffDelay(attempt, baseDelayMs, error.retryAfter);
+          if (Date.now() + delay >= deadline) throw error;
+          console.warn(`Claude API returned ${error.status}, retrying in ${delay}ms (retry ${attempt + 1}/${maxRetries})`);
+          await sleep(delay, signal);
+        }
+      }
+    }
+  };
+}
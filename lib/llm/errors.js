@@ -0,0 +1,16 @@
+// Errors raised by LLM providers
+
+// The provider answered with (or failed with) an HTTP-style error status.
+// retryAfter is the delay in ms the provider asked for, when it sent one.
+export class LlmError extends Error {
+  constructor(provider, status, details, retryAfter = null) {
+    super(`${provider} API error: ${status}`);
+    this.provider = provider;
+    this.status = status;
+    this.details = details;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// The provider can't be used with the current configuration (missing key, unknown name)
+export class LlmConfigError extends Error {}
@@ -0,0 +1,119 @@
+// Offline provider that answers from JSON fixtures instead of calling a model
+// Lets the whole generation path (validation, repair, DB writes, streaming) run with no
+// network and deterministic output. Each fixture file in the fixtures directory is:
+//   { "name": "...", "match": ["keyword", ...], "responses": [<flow object or raw text>, ...] }
+// The fixture whose keywords best match the user's request (or, without one, the first
+// user message) is used; ties go to the first file by name and a fixture with no
+// keywords is the fallback. responses[n] answers the n-th turn of the conversation, so
+// a fixture can return a broken flow first to exercise the repair loop (see
+// fixtures/repair-loop.json). Set LLM_FIXTURE to force one fixture by name.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { LlmConfigError } from './errors.js';
+
+const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const STREAM_CHUNK_SIZE = 64;
+
+const cache = new Map();
+
+function loadFixtures(dir) {
+  if (cache.has(dir)) return cache.get(dir);
+
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+  } catch (error) {
+    throw new LlmConfigError(`LLM fixtures directory not readable: ${dir}`);
+  }
+
+  const fixtures = files.map(file => {
+    const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    if (!Array.isArray(fixture.responses) || fixture.responses.length === 0) {
+      throw new LlmConfigError(`LLM fixture ${file} has no responses`);
+    }
+    return {
+      name: fixture.name || path.basename(file, '.json'),
+      match: (fixture.match || []).map(keyword => keyword.toLowerCase()),
+      responses: fixture.responses
+    };
+  });
+
+  if (fixtures.length === 0) {
+    throw new LlmConfigError(`No LLM fixtures found in ${dir}`);
+  }
+
+  cache.set(dir, fixtures);
+  return fixtures;
+}
+
+function messageText(message) {
+  if (typeof message?.content === 'string') return message.content;
+  return (message?.content || []).map(part => part.text || '').join('');
+}
+
+function selectFixture(fixtures, request, forced) {
+  if (forced) {
+    const fixture = fixtures.find(f => f.name === forced);
+    if (!fixture) throw new LlmConfigError(`LLM fixture not found: ${forced}`);
+    return fixture;
+  }
+
+  let best = null;
+  let bestScore = 0;
+
+  for (const fixture of fixtures) {
+    const score = fixture.match.filter(keyword => request.toLowerCase().includes(keyword)).length;
+    if (score > bestScore) {
+      best = fixture;
+      bestScore = score;
+    }
+  }
+
+  return best || fixtures.find(f => f.match.length === 0) || fixtures[0];
+}
+
+// Rough token count so usage reporting has realistic numbers to work with
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+export function createFixtureProvider({ model, timeoutMs, fixturesDir, fixture: forced }) {
+  const dir = fixturesDir || DEFAULT_FIXTURES_DIR;
+  loadFixtures(dir);
+
+  return {
+    name: 'fixture',
+    model,
+    timeoutMs,
+
+    async complete({ system, messages, request, onDelta, signal }) {
+      signal?.throwIfAborted();
+
+      const fixture = selectFixture(
+        loadFixtures(dir),
+        request ?? messageText(messages.find(m => m.role === 'user')),
+        forced
+      );
+      const turn = messages.filter(m => m.role === 'assistant').length;
+      const response = fixture.responses[Math.min(turn, fixture.responses.length - 1)];
+      const text = typeof response === 'string' ? response : JSON.stringify(response, null, 2);
+
+      if (onDelta) {
+        for (let i = 0; i < text.length; i += STREAM_CHUNK_SIZE) {
+          signal?.throwIfAborted();
+          onDelta(text.slice(i, i + STREAM_CHUNK_SIZE));
+        }
+      }
+
+      const prompt = [system || '', ...messages.map(messageText)].join('\n');
+      return {
+        text,
+        usage: { input_tokens: estimateTokens(prompt), output_tokens: estimateTokens(text) },
+        model: `${model}:${fixture.name}`,
+        stopReason: 'end_turn'
+      };
+    }
+  };
+}
@@ -0,0 +1,102 @@
+// LLM provider layer used by flow generation
+// Every provider exposes the same interface:
+//   provider.complete({ system, messages, maxTokens, request, onDelta, signal, deadline })
+//     -> { text, usage: { input_tokens, output_tokens }, model, stopReason }
+// onDelta(text) receives streamed output as it arrives; signal cancels the request.
+// deadline (ms since the epoch) is when the call, retries included, has to be done by;
+// provider.timeoutMs is the budget a whole generation gets (see runWithRepair).
+// request is the user's own wording (prompt or instruction) without the surrounding
+// prompt scaffolding; model-backed providers ignore it.
+//
+// Configuration comes from the environment. Each setting can be overridden per
+// deployment environment (LLM_ENV, else VERCEL_ENV) and per subscription tier; the most
+// specific variable wins, e.g. for LLM_MODEL on a pro user in preview:
+//   LLM_MODEL_PREVIEW_PRO > LLM_MODEL_PRO > LLM_MODEL_PREVIEW > LLM_MODEL
+//
+//   LLM_PROVIDER      anthropic (default) | fixture
+//   LLM_MODEL         model name (default claude-sonnet-4-20250514)
+//   LLM_MAX_TOKENS    max output tokens per request (default 4000)
+//   LLM_TIMEOUT_MS    time budget for one generation, shared by its retries and repair
+//                     attempts (default and maximum GENERATION_DEADLINE_MS)
+//   LLM_MAX_RETRIES   retries on 429/529 (default 3)
+//   LLM_RETRY_BASE_MS first backoff delay (default 1000)
+//   LLM_FIXTURES_DIR  fixture provider: directory of fixture files
+//   LLM_FIXTURE       fixture provider: always answer with this fixture
+
+import { createAnthropicProvider } from './anthropic.js';
+import { createFixtureProvider } from './fixture.js';
+import { LlmError, LlmConfigError } from './errors.js';
+
+export { LlmError, LlmConfigError };
+
+const PROVIDERS = {
+  anthropic: createAnthropicProvider,
+  fixture: createFixtureProvider
+};
+
+// vercel.json caps every function at maxDuration 30s. A generation has to be over (backoff,
+// retries and repair attempts included) with time left to settle usage and save the flow;
+// a function killed mid-generation charges nothing and leaves its reservation held.
+export const FUNCTION_MAX_DURATION_MS = 30000;
+export const GENERATION_DEADLINE_MS = FUNCTION_MAX_DURATION_MS - 5000;
+
+const DEFAULT_MODELS = {
+  anthropic: 'claude-sonnet-4-20250514',
+  fixture: 'fixture'
+};
+
+export function getEnvironment() {
+  return (process.env.LLM_ENV || process.env.VERCEL_ENV || 'development').toLowerCase();
+}
+
+// Most specific environment variable for a setting, or undefined
+export function readSetting(name, { environment = getEnvironment(), tier } = {}) {
+  const env = environment.toUpperCase();
+  const candidates = [
+    tier && `${name}_${env}_${tier.toUpperCase()}`,
+    tier && `${name}_${tier.toUpperCase()}`,
+    `${name}_${env}`,
+    name
+  ].filter(Boolean);
+
+  for (const key of candidates) {
+    const value = process.env[key];
+    if (value !== undefined && value !== '') return value;
+  }
+  return undefined;
+}
+
+function readInt(name, options, fallback) {
+  const value = parseInt(readSetting(name, options), 10);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+// Resolved configuration for a tier in the current environment
+export function getProviderConfig({ tier, environment } = {}) {
+  const options = { tier, environment };
+  const provider = readSetting('LLM_PROVIDER', options) || 'anthropic';
+
+  return {
+    provider,
+    model: readSetting('LLM_MODEL', options) || DEFAULT_MODELS[provider],
+    maxTokens: readInt('LLM_MAX_TOKENS', options, 4000),
+    timeoutMs: Math.min(readInt('LLM_TIMEOUT_MS', options, GENERATION_DEADLINE_MS), GENERATION_DEADLINE_MS),
+    maxRetries: readInt('LLM_MAX_RETRIES', options, 3),
+    baseDelayMs: readInt('LLM_RETRY_BASE_MS', options, 1000),
+    fixturesDir: readSetting('LLM_FIXTURES_DIR', options),
+    fixture: readSetting('LLM_FIXTURE', options)
+  };
+}
+
+// Provider for a subscription tier (omit tier for anonymous requests).
+// Throws LlmConfigError when the configured provider can't be created.
+export function getProvider({ tier, environment } = {}) {
+  const config = getProviderConfig({ tier, environment });
+  const create = PROVIDERS[config.provider];
+
+  if (!create) {
+    throw new LlmConfigError(`Unknown LLM provider: ${config.provider}`);
+  }
+
+  return create({ ...config, apiKey: process.env.ANTHROPIC_API_KEY });
+}
@@ -0,0 +1,461 @@
+// Azure Logic Apps (Consumption) export for saved flows
+// Power Automate and Logic Apps share the workflow definition language, so the definition
+// is deployed as a Microsoft.Logic/workflows resource inside an ARM template (or the
+// equivalent Bicep file). Each connection reference becomes a Microsoft.Web/connections
+// resource with a name parameter, wired into the workflow's $connections parameter, and
+// the definition's own parameters become template parameters.
+//
+// Some Power Automate features have no Logic Apps equivalent. Rather than guessing, the
+// export leaves them in place and reports them as issues: { severity, code, message, path }
+// where 'error' means the template won't deploy (or the action won't run) until it is
+// fixed, and 'warning' means it deploys but behaves differently.
+
+import { getDefinition, walkActions, childPath, collectStrings } from './flow-validator.js';
+import { getConnectionReferences, getConnectorInfo } from './connectors.js';
+import { displayName } from './flow-docs.js';
+
+export const TEMPLATE_FORMATS = ['arm', 'bicep'];
+
+const WORKFLOW_API_VERSION = '2019-05-01';
+const CONNECTION_API_VERSION = '2016-06-01';
+const ARM_SCHEMA = 'https://schema.management.azure.com/schemas/2019-04-01/deploymentTemplate.json#';
+
+// Operations addressed by operationId, which only Power Automate resolves; Logic Apps
+// calls connectors with ApiConnection* and an explicit method and path
+const OPENAPI_TYPES = {
+  OpenApiConnection: 'ApiConnection',
+  OpenApiConnectionWebhook: 'ApiConnectionWebhook',
+  OpenApiConnectionNotification: 'ApiConnectionNotification'
+};
+
+// Request trigger kinds started from Power Automate, Power Apps or Copilot Studio
+const PLATFORM_TRIGGER_KINDS = ['Button', 'PowerApp', 'PowerAppV2', 'Skills', 'VirtualAgent'];
+
+// Headers Power Automate adds to manual trigger outputs
+const PLATFORM_HEADER_PATTERN = /x-ms-user-(email|name|timestamp|email-encoded|name-encoded)/i;
+
+// Workflow parameter types -> template parameter types
+const PARAMETER_TYPES = {
+  string: 'string',
+  securestring: 'securestring',
+  int: 'int',
+  bool: 'bool',
+  array: 'array',
+  object: 'object',
+  secureobject: 'secureObject'
+};
+
+// Names that can't be used as Bicep identifiers, plus the template's own parameters
+const RESERVED_IDENTIFIERS = [
+  'logicAppName', 'location', 'logicApp',
+  'param', 'var', 'resource', 'output', 'module', 'targetScope', 'import', 'metadata',
+  'type', 'func', 'if', 'for', 'in', 'true', 'false', 'null', 'existing'
+];
+
+const CONNECTIONS_REFERENCE = /(\$connections'\)\s*\[\s*')([^']+)('\s*\])/g;
+
+function toIdentifier(name, used) {
+  let base = String(name).replace(/[^A-Za-z0-9_]/g, '_').replace(/^(\d)/, '_$1') || 'value';
+  if (RESERVED_IDENTIFIERS.includes(base)) base = `${base}Value`;
+  let identifier = base;
+  for (let n = 2; used.has(identifier); n++) identifier = `${base}${n}`;
+  used.add(identifier);
+  return identifier;
+}
+
+// "shared_office365_1" -> "office365_1", the key Logic Apps uses in $connections
+function connectionKey(referenceName) {
+  return referenceName.replace(/^shared_/, '');
+}
+
+function deepCopy(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// Rewrite every string below a node in place
+function mapStrings(node, fn) {
+  if (Array.isArray(node)) {
+    node.forEach((item, i) => {
+      if (typeof item === 'string') node[i] = fn(item);
+      else mapStrings(item, fn);
+    });
+  } else if (node && typeof node === 'object') {
+    for (const [key, value] of Object.entries(node)) {
+      if (typeof value === 'string') node[key] = fn(value);
+      else mapStrings(value, fn);
+    }
+  }
+}
+
+// Translate the flow into { logicAppName, connections, parameters, definition, issues };
+// the ARM and Bicep renderers both work from this
+export function buildLogicAppModel(flowRow) {
+  const issues = [];
+  const add = (severity, code, message, path) => issues.push({ severity, code, message, path });
+  const used = new Set();
+
+  const definition = deepCopy(getDefinition(flowRow.generated_json) || {});
+  const references = Object.values(getConnectionReferences(flowRow.generated_json));
+
+  // Connections
+  const keys = {};
+  const connections = references.map(ref => {
+    const key = connectionKey(ref.referenceName);
+    keys[ref.referenceName] = key;
+    const info = getConnectorInfo(ref.apiName);
+    const identifier = toIdentifier(key, used);
+
+    if (info.tier === 'custom') {
+      add('error', 'CUSTOM_CONNECTOR',
+        `${info.displayName} is a custom connector; Logic Apps needs it deployed as a Microsoft.Web/customApis resource and the connection's api.id pointed at it`,
+        ref.paths[0] || '$');
+    } else if (info.tier === 'unknown') {
+      add('warning', 'UNVERIFIED_CONNECTOR',
+        `${info.displayName} isn't in the connector catalog; check that a Logic Apps managed API named "${connectionKey(ref.apiName)}" exists`,
+        ref.paths[0] || '$');
+    }
+
+    return {
+      key,
+      managedApi: connectionKey(ref.apiName),
+      displayName: info.displayName,
+      parameterName: `${identifier}ConnectionName`,
+      resourceName: `${identifier}Connection`
+    };
+  });
+
+  // Definition parameters: $connections is supplied by the template, $authentication
+  // is Power Automate's and has no Logic Apps counterpart
+  const parameters = [];
+  const definitionParameters = { ...(definition.parameters || {}) };
+  delete definitionParameters.$authentication;
+  delete definitionParameters.$connections;
+  for (const [name, parameter] of Object.entries(definitionParameters)) {
+    const templateType = PARAMETER_TYPES[String(parameter?.type || '').toLowerCase()];
+    if (!templateType) {
+      add('warning', 'PARAMETER_TYPE',
+        `Parameter "${name}" has type ${parameter?.type}, which template parameters can't express; it keeps its default value`,
+        childPath('$.parameters', name));
+      continue;
+    }
+    parameters.push({
+      name,
+      identifier: toIdentifier(name, used),
+      type: templateType,
+      defaultValue: parameter.defaultValue
+    });
+  }
+  definition.parameters = {
+    ...(connections.length > 0 ? { $connections: { defaultValue: {}, type: 'Object' } } : {}),
+    ...definitionParameters
+  };
+
+  // Triggers
+  for (const [name, trigger] of Object.entries(definition.triggers || {})) {
+    const path = childPath('$.triggers', name);
+    if (!trigger || typeof trigger !== 'object') continue;
+
+    if (trigger.type === 'Request' && PLATFORM_TRIGGER_KINDS.includes(trigger.kind)) {
+      add('warning', 'MANUAL_TRIGGER',
+        `Trigger "${displayName(name)}" is started from ${trigger.kind === 'Button' ? 'the Power Automate app' : trigger.kind}; in Logic Apps it becomes an HTTP request trigger with a callback URL`,
+        path);
+      trigger.kind = 'Http';
+    }
+    checkNode(name, trigger, path, `Trigger "${displayName(name)}"`, add);
+  }
+
+  // Actions
+  walkActions(definition.actions, '$.actions', (name, action, path) => {
+    if (!action || typeof action !== 'object') return;
+    checkNode(name, action, path, `Action "${displayName(name)}"`, add);
+
+    if (action.type === 'Workflow') {
+      add('error', 'CHILD_FLOW',
+        `Action "${displayName(name)}" runs a Power Automate child flow; point it at a Logic App with inputs.host.workflow.id, or replace it with an HTTP call`,
+        path);
+    }
+  });
+
+  // $connections lookups use the Logic Apps keys
+  mapStrings(definition, value => value.replace(CONNECTIONS_REFERENCE, (match, start, name, end) =>
+    keys[name] ? `${start}${keys[name]}${end}` : match));
+
+  return {
+    logicAppName: flowRow.flow_name || 'Untitled Flow',
+    description: flowRow.prompt || '',
+    connections,
+    parameters,
+    definition,
+    issues
+  };
+}
+
+// Checks and fixes shared by triggers and actions
+function checkNode(name, node, path, label, add) {
+  if (OPENAPI_TYPES[node.type]) {
+    const host = node.inputs?.host || {};
+    add('error', 'OPENAPI_OPERATION',
+      `${label} calls ${host.operationId || 'an operation'} by operationId (${node.type}); Logic Apps needs ${OPENAPI_TYPES[node.type]} with a method and path, so re-select this operation in the Logic Apps designer after deploying`,
+      path);
+  }
+
+  // authentication: "@parameters('$authentication')" is how Power Automate passes the
+  // caller's connection; Logic Apps connections carry their own credentials
+  if (node.inputs && typeof node.inputs === 'object' && node.inputs.authentication === "@parameters('$authentication')") {
+    delete node.inputs.authentication;
+  }
+
+  for (const str of collectStrings(node, path)) {
+    if (PLATFORM_HEADER_PATTERN.test(str.value)) {
+      add('warning', 'PLATFORM_HEADER',
+        `${label} reads the ${str.value.match(PLATFORM_HEADER_PATTERN)[0]} header, which only Power Automate's manual trigger sends`,
+        str.path);
+    }
+  }
+}
+
+// ARM treats strings in [brackets] as template expressions; "[[" escapes a literal one
+function escapeArmStrings(value) {
+  if (typeof value === 'string') {
+    return value.startsWith('[') && value.endsWith(']') ? `[${value}` : value;
+  }
+  if (Array.isArray(value)) return value.map(escapeArmStrings);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, escapeArmStrings(item)]));
+  }
+  return value;
+}
+
+function managedApiId(managedApi, location) {
+  return `subscriptionResourceId('Microsoft.Web/locations/managedApis', ${location}, '${managedApi}')`;
+}
+
+// ARM deployment template for a buildLogicAppModel() result
+export function renderArmTemplate(model) {
+  const parameters = {
+    logicAppName: {
+      type: 'string',
+      defaultValue: model.logicAppName,
+      metadata: { description: 'Name of the Logic App' }
+    },
+    location: {
+      type: 'string',
+      defaultValue: '[resourceGroup().location]',
+      metadata: { description: 'Region for the Logic App and its connections' }
+    }
+  };
+
+  for (const connection of model.connections) {
+    parameters[connection.parameterName] = {
+      type: 'string',
+      defaultValue: connection.key,
+      metadata: { description: `Name of the ${connection.displayName} API connection` }
+    };
+  }
+
+  for (const parameter of model.parameters) {
+    parameters[parameter.identifier] = {
+      type: parameter.type,
+      ...(parameter.defaultValue !== undefined && !parameter.type.startsWith('secure')
+        ? { defaultValue: escapeArmStrings(parameter.defaultValue) }
+        : {}),
+      metadata: { description: `Workflow parameter "${parameter.name}"` }
+    };
+  }
+
+  const connectionResourceId = connection => `resourceId('Microsoft.Web/connections', parameters('${connection.parameterName}'))`;
+
+  const connectionResources = model.connections.map(connection => ({
+    type: 'Microsoft.Web/connections',
+    apiVersion: CONNECTION_API_VERSION,
+    name: `[parameters('${connection.parameterName}')]`,
+    location: "[parameters('location')]",
+    properties: {
+      displayName: connection.displayName,
+      api: { id: `[${managedApiId(connection.managedApi, "parameters('location')")}]` }
+    }
+  }));
+
+  const workflowParameters = {};
+  if (model.connections.length > 0) {
+    workflowParameters.$connections = {
+      value: Object.fromEntries(model.connections.map(connection => [connection.key, {
+        connectionId: `[${connectionResourceId(connection)}]`,
+        connectionName: `[parameters('${connection.parameterName}')]`,
+        id: `[${managedApiId(connection.managedApi, "parameters('location')")}]`
+      }]))
+    };
+  }
+  for (const parameter of model.parameters) {
+    workflowParameters[parameter.name] = { value: `[parameters('${parameter.identifier}')]` };
+  }
+
+  return {
+    $schema: ARM_SCHEMA,
+    contentVersion: '1.0.0.0',
+    metadata: { description: model.description },
+    parameters,
+    resources: [
+      ...connectionResources,
+      {
+        type: 'Microsoft.Logic/workflows',
+        apiVersion: WORKFLOW_API_VERSION,
+        name: "[parameters('logicAppName')]",
+        location: "[parameters('location')]",
+        dependsOn: model.connections.map(connection => `[${connectionResourceId(connection)}]`),
+        properties: {
+          state: 'Enabled',
+          definition: escapeArmStrings(model.definition),
+          parameters: workflowParameters
+        }
+      }
+    ],
+    outputs: {
+      logicAppId: {
+        type: 'string',
+        value: "[resourceId('Microsoft.Logic/workflows', parameters('logicAppName'))]"
+      }
+    }
+  };
+}
+
+// Bicep source: plain values are serialized, { [BICEP_EXPRESSION]: text } is written as-is
+const BICEP_EXPRESSION = Symbol('bicepExpression');
+
+function expression(text) {
+  return { [BICEP_EXPRESSION]: text };
+}
+
+function bicepString(value) {
+  const escaped = value
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\$\{/g, '\\${')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+  return `'${escaped}'`;
+}
+
+function bicepValue(value, indent = '') {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'string') return bicepString(value);
+  if (typeof value !== 'object') return String(value);
+  if (value[BICEP_EXPRESSION]) return value[BICEP_EXPRESSION];
+
+  const inner = `${indent}  `;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return `[\n${value.map(item => `${inner}${bicepValue(item, inner)}`).join('\n')}\n${indent}]`;
+  }
+
+  const entries = Object.entries(value);
+  if (entries.length === 0) return '{}';
+  const lines = entries.map(([key, item]) => {
+    const name = /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? key : bicepString(key);
+    return `${inner}${name}: ${bicepValue(item, inner)}`;
+  });
+  return `{\n${lines.join('\n')}\n${indent}}`;
+}
+
+// Bicep file for a buildLogicAppModel() result
+export function renderBicep(model) {
+  const lines = [];
+
+  lines.push("@description('Name of the Logic App')");
+  lines.push(`param logicAppName string = ${bicepString(model.logicAppName)}`, '');
+  lines.push("@description('Region for the Logic App and its connections')");
+  lines.push('param location string = resourceGroup().location', '');
+
+  for (const connection of model.connections) {
+    lines.push(`@description(${bicepString(`Name of the ${connection.displayName} API connection`)})`);
+    lines.push(`param ${connection.parameterName} string = ${bicepString(connection.key)}`, '');
+  }
+
+  for (const parameter of model.parameters) {
+    lines.push(`@description(${bicepString(`Workflow parameter "${parameter.name}"`)})`);
+    if (parameter.type.startsWith('secure')) {
+      lines.push('@secure()');
+      lines.push(`param ${parameter.identifier} ${parameter.type === 'securestring' ? 'string' : 'object'}`, '');
+    } else {
+      const value = parameter.defaultValue === undefined ? '' : ` = ${bicepValue(parameter.defaultValue)}`;
+      lines.push(`param ${parameter.identifier} ${parameter.type}${value}`, '');
+    }
+  }
+
+  for (const connection of model.connections) {
+    lines.push(`resource ${connection.resourceName} 'Microsoft.Web/connections@${CONNECTION_API_VERSION}' = ${bicepValue({
+      name: expression(connection.parameterName),
+      location: expression('location'),
+      properties: {
+        displayName: connection.displayName,
+        api: { id: expression(managedApiId(connection.managedApi, 'location')) }
+      }
+    })}`, '');
+  }
+
+  const workflowParameters = {};
+  if (model.connections.length > 0) {
+    workflowParameters.$connections = {
+      value: Object.fromEntries(model.connections.map(connection => [connection.key, {
+        connectionId: expression(`${connection.resourceName}.id`),
+        connectionName: expression(`${connection.resourceName}.name`),
+        id: expression(managedApiId(connection.managedApi, 'location'))
+      }]))
+    };
+  }
+  for (const parameter of model.parameters) {
+    workflowParameters[parameter.name] = { value: expression(parameter.identifier) };
+  }
+
+  lines.push(`resource logicApp 'Microsoft.Logic/workflows@${WORKFLOW_API_VERSION}' = ${bicepValue({
+    name: expression('logicAppName'),
+    location: expression('location'),
+    properties: {
+      state: 'Enabled',
+      definition: model.definition,
+      parameters: workflowParameters
+    }
+  })}`, '');
+
+  lines.push('output logicAppId string = logicApp.id', '');
+  return lines.join('\n');
+}
+
+// Markdown notes shipped next to the template: how to deploy and what needs attention
+export function renderDeploymentNotes(model, format) {
+  const file = format === 'bicep' ? 'main.bicep' : 'azuredeploy.json';
+  const lines = [
+    `# ${model.logicAppName} - Logic App deployment`,
+    '',
+    '```',
+    `az deployment group create --resource-group <resource-group> --template-file ${file}`,
+    '```',
+    ''
+  ];
+
+  if (model.connections.length > 0) {
+    lines.push('After deploying, open each API connection in the Azure portal and authorize it:', '');
+    for (const connection of model.connections) {
+      lines.push(`- ${connection.displayName} (\`${connection.key}\`)`);
+    }
+    lines.push('');
+  }
+
+  if (model.issues.length === 0) {
+    lines.push('_Everything in the flow translated to Logic Apps._', '');
+    return lines.join('\n');
+  }
+
+  for (const [severity, heading] of [['error', 'Must fix before the Logic App will run'], ['warning', 'Behaves differently in Logic Apps']]) {
+    const issues = model.issues.filter(issue => issue.severity === severity);
+    if (issues.length === 0) continue;
+    lines.push(`## ${heading}`, '');
+    for (const issue of issues) {
+      lines.push(`- ${issue.message} (\`${issue.code}\` at \`${issue.path}\`)`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,187 @@
+// Sign-in brute-force protection
+// Every sign-in attempt is recorded in `login_attempts`, so the limits hold across cold
+// starts and across function instances. Failures are counted over a sliding window, both
+// per account (the email that was tried, whether or not it exists) and per IP address:
+// - after `freeFailures` failures, each further attempt has to wait a growing delay
+//   (1s, 2s, 4s, ... up to MAX_DELAY_SECONDS) after the last failure
+// - at `maxFailures` failures the account / IP is locked out for `lockoutMinutes`
+// A successful sign-in resets the account's count. The IP count is only ever reduced by
+// failures ageing out of the window, so one working login can't unlock an IP that is
+// guessing at other accounts. Lockouts are logged to usage_logs.
+//
+// An attempt is recorded before the password is checked (succeeded is NULL until then, and
+// counts as a failure), and the count and the insert happen under transaction-scoped
+// advisory locks on the account and the IP. So a burst of parallel attempts is counted one
+// by one and can't all get past the limit on the same count.
+
+import { createClient, sql } from '@vercel/postgres';
+
+export const LOGIN_LIMITS = {
+  account: { windowMinutes: 15, freeFailures: 3, maxFailures: 10, lockoutMinutes: 15 },
+  ip: { windowMinutes: 15, freeFailures: 10, maxFailures: 50, lockoutMinutes: 15 }
+};
+
+export const MAX_DELAY_SECONDS = 60;
+
+const RETENTION_DAYS = 7;
+
+function normalizeEmail(email) {
+  return String(email).trim().toLowerCase().substring(0, 255);
+}
+
+// Whether the next attempt may go ahead, given `failures` in the window and how long ago
+// the latest one was. Returns { blocked, reason: 'locked' | 'delay', retryAfter } in seconds.
+export function evaluateLimit(limits, failures, secondsSinceLastFailure) {
+  if (failures >= limits.maxFailures) {
+    const remaining = limits.lockoutMinutes * 60 - secondsSinceLastFailure;
+    if (remaining > 0) {
+      return { blocked: true, reason: 'locked', retryAfter: Math.ceil(remaining) };
+    }
+  }
+
+  if (failures > limits.freeFailures) {
+    const delay = Math.min(2 ** (failures - limits.freeFailures - 1), MAX_DELAY_SECONDS);
+    const remaining = delay - secondsSinceLastFailure;
+    if (remaining > 0) {
+      return { blocked: true, reason: 'delay', retryAfter: Math.ceil(remaining) };
+    }
+  }
+
+  return { blocked: false, reason: null, retryAfter: 0 };
+}
+
+// Failures in the window for an account (since its last successful sign-in) and for an IP.
+// Attempts still being checked count as failures.
+async function countFailures(client, email, ipAddress) {
+  const account = await client.query(
+    `SELECT COUNT(*)::int AS failures,
+            EXTRACT(EPOCH FROM NOW() - MAX(created_at))::float AS seconds_since
+     FROM login_attempts
+     WHERE email = $1 AND succeeded IS NOT TRUE
+       AND created_at > NOW() - make_interval(mins => $2)
+       AND created_at > COALESCE(
+         (SELECT MAX(created_at) FROM login_attempts WHERE email = $1 AND succeeded = true),
+         '-infinity'::timestamp
+       )`,
+    [email, LOGIN_LIMITS.account.windowMinutes]
+  );
+
+  const ip = ipAddress ? await client.query(
+    `SELECT COUNT(*)::int AS failures,
+            EXTRACT(EPOCH FROM NOW() - MAX(created_at))::float AS seconds_since
+     FROM login_attempts
+     WHERE ip_address = $1 AND succeeded IS NOT TRUE
+       AND created_at > NOW() - make_interval(mins => $2)`,
+    [ipAddress, LOGIN_LIMITS.ip.windowMinutes]
+  ) : null;
+
+  const toCount = result => result
+    ? { failures: result.rows[0].failures, secondsSince: result.rows[0].seconds_since ?? 0 }
+    : { failures: 0, secondsSince: 0 };
+
+  return { account: toCount(account), ip: toCount(ip) };
+}
+
+// Run fn(client) in a transaction holding the locks for this account and IP. Every caller
+// takes the account lock first, then the IP lock, so two sign-ins can't deadlock.
+async function withLoginLocks(email, ipAddress, fn) {
+  const client = createClient();
+  await client.connect();
+
+  try {
+    await client.query('BEGIN');
+    try {
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext('login:account:' || $1))`, [email]);
+      if (ipAddress) {
+        await client.query(`SELECT pg_advisory_xact_lock(hashtext('login:ip:' || $1))`, [ipAddress]);
+      }
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+// Call before looking at the password. Returns { allowed: false, reason, scope, retryAfter }
+// when the attempt is blocked, otherwise { allowed: true, attempt } - pass the attempt to
+// finishLoginAttempt once the password has been checked.
+export async function beginLoginAttempt(email, ipAddress) {
+  const normalized = normalizeEmail(email);
+
+  return withLoginLocks(normalized, ipAddress, async client => {
+    const counts = await countFailures(client, normalized, ipAddress);
+
+    let verdict = { allowed: true, reason: null, scope: null, retryAfter: 0 };
+    for (const scope of ['account', 'ip']) {
+      const result = evaluateLimit(LOGIN_LIMITS[scope], counts[scope].failures, counts[scope].secondsSince);
+      if (result.blocked && result.retryAfter > verdict.retryAfter) {
+        verdict = { allowed: false, reason: result.reason, scope, retryAfter: result.retryAfter };
+      }
+    }
+    if (!verdict.allowed) return verdict;
+
+    const inserted = await client.query(
+      `INSERT INTO login_attempts (email, ip_address, succeeded)
+       VALUES ($1, $2, NULL)
+       RETURNING id`,
+      [normalized, ipAddress]
+    );
+    return { ...verdict, attempt: { id: inserted.rows[0].id, email: normalized, ipAddress } };
+  });
+}
+
+// Record how an attempt from beginLoginAttempt went (userId is null when no account has that
+// email). A success resets the account's failure count; a failure that reaches a limit logs
+// a lockout. Returns { locked }.
+export async function finishLoginAttempt(attempt, { succeeded, userId = null }) {
+  const { email, ipAddress } = attempt;
+
+  const locks = await withLoginLocks(email, ipAddress, async client => {
+    await client.query(
+      'UPDATE login_attempts SET succeeded = $2, user_id = $3 WHERE id = $1',
+      [attempt.id, succeeded, userId]
+    );
+    if (succeeded) return [];
+
+    const counts = await countFailures(client, email, ipAddress);
+    const reached = [
+      ['account', 'account_locked'],
+      ['ip', 'ip_locked']
+    ].filter(([scope]) => counts[scope].failures === LOGIN_LIMITS[scope].maxFailures);
+
+    for (const [scope, actionType] of reached) {
+      await client.query(
+        'INSERT INTO usage_logs (user_id, action_type, metadata) VALUES ($1, $2, $3)',
+        [userId, actionType, JSON.stringify({
+          email,
+          ipAddress,
+          failures: counts[scope].failures,
+          windowMinutes: LOGIN_LIMITS[scope].windowMinutes,
+          lockoutMinutes: LOGIN_LIMITS[scope].lockoutMinutes
+        })]
+      );
+    }
+    return reached;
+  });
+
+  // Old attempts only matter for the window; trim them now and then
+  if (!succeeded && Math.random() < 0.01) {
+    await sql`DELETE FROM login_attempts WHERE created_at < NOW() - make_interval(days => ${RETENTION_DAYS})`;
+  }
+
+  return { locked: locks.length > 0 };
+}
+
+// Record a successful sign-in outside the password check - a password reset proves the
+// address is the user's - which resets the account's failure count
+export async function recordLoginSuccess(email, ipAddress, userId) {
+  await sql`
+    INSERT INTO login_attempts (email, ip_address, user_id, succeeded)
+    VALUES (${normalizeEmail(email)}, ${ipAddress}, ${userId}, true)
+  `;
+}
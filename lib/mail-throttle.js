@@ -0,0 +1,90 @@
+// Limits on account emails sent on request (verification resends, password resets)
+// Without them anyone could have us mail a registered address over and over. Every
+// request is recorded in `mail_requests` and counted over a sliding window, per address
+// (whether or not an account has it) and per IP address, the same way lib/login-throttle.js
+// counts sign-in attempts: the count and the insert happen under transaction-scoped
+// advisory locks on the address and the IP, so a burst of parallel requests is counted one
+// by one.
+
+import { createClient, sql } from '@vercel/postgres';
+
+export const MAIL_LIMITS = {
+  address: { windowMinutes: 60, maxEmails: 3 },
+  ip: { windowMinutes: 60, maxEmails: 20 }
+};
+
+const RETENTION_DAYS = 7;
+
+// Requests in the window and how many seconds until the oldest of them leaves it
+async function countRequests(client, column, value, purpose, limits) {
+  const result = await client.query(
+    `SELECT COUNT(*)::int AS requests,
+            EXTRACT(EPOCH FROM MIN(created_at) + make_interval(mins => $3) - NOW())::float AS seconds_left
+     FROM mail_requests
+     WHERE ${column} = $1 AND purpose = $2
+       AND created_at > NOW() - make_interval(mins => $3)`,
+    [value, purpose, limits.windowMinutes]
+  );
+  return { requests: result.rows[0].requests, secondsLeft: result.rows[0].seconds_left ?? 0 };
+}
+
+// Record a request to send `purpose` mail to `email` if the limits allow it. Returns
+// { allowed: true } or { allowed: false, scope: 'address' | 'ip', retryAfter } in seconds.
+export async function claimMailRequest(email, ipAddress, purpose) {
+  const address = String(email).trim().toLowerCase().substring(0, 255);
+  const verdict = await withMailLocks(address, ipAddress, async client => {
+    const counts = {
+      address: await countRequests(client, 'email', address, purpose, MAIL_LIMITS.address),
+      ip: ipAddress ? await countRequests(client, 'ip_address', ipAddress, purpose, MAIL_LIMITS.ip) : null
+    };
+
+    let result = { allowed: true, scope: null, retryAfter: 0 };
+    for (const scope of ['address', 'ip']) {
+      const count = counts[scope];
+      if (count && count.requests >= MAIL_LIMITS[scope].maxEmails) {
+        const retryAfter = Math.max(1, Math.ceil(count.secondsLeft));
+        if (retryAfter > result.retryAfter) result = { allowed: false, scope, retryAfter };
+      }
+    }
+
+    if (result.allowed) {
+      await client.query(
+        'INSERT INTO mail_requests (email, ip_address, purpose) VALUES ($1, $2, $3)',
+        [address, ipAddress, purpose]
+      );
+    }
+    return result;
+  });
+
+  // Old requests only matter for the window; trim them now and then
+  if (verdict.allowed && Math.random() < 0.01) {
+    await sql`DELETE FROM mail_requests WHERE created_at < NOW() - make_interval(days => ${RETENTION_DAYS})`;
+  }
+
+  return verdict;
+}
+
+// Run fn(client) in a transaction holding the locks for this address and IP. Every caller
+// takes the address lock first, then the IP lock, so two requests can't deadlock.
+async function withMailLocks(address, ipAddress, fn) {
+  const client = createClient();
+  await client.connect();
+
+  try {
+    await client.query('BEGIN');
+    try {
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext('mail:address:' || $1))`, [address]);
+      if (ipAddress) {
+        await client.query(`SELECT pg_advisory_xact_lock(hashtext('mail:ip:' || $1))`, [ipAddress]);
+      }
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  } finally {
+    await client.end();
+  }
+}
@@ -0,0 +1,269 @@
+// Outgoing email
+// sendMail({ to, subject, text, html }) goes through the transport picked by MAIL_TRANSPORT:
+// - smtp:    SMTP_HOST, SMTP_PORT (587), SMTP_USER, SMTP_PASSWORD, SMTP_SECURE=true for
+//            implicit TLS (port 465); otherwise STARTTLS is used when the server offers it.
+//            With SMTP_USER set, sending fails rather than authenticate over plain text,
+//            unless SMTP_ALLOW_INSECURE_AUTH=true
+// - file:    each message is written as an .eml file to MAIL_DIR (default /tmp/getflowing-mail)
+// - console: each message is logged (the default when SMTP_HOST isn't set, except in
+//            production, where it has to be asked for with MAIL_TRANSPORT=console so
+//            account links don't end up in the logs by accident)
+// The SMTP client is deliberately minimal (one message per connection, no pooling), which
+// is all a serverless function sending the odd account email needs.
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import net from 'net';
+import path from 'path';
+import tls from 'tls';
+
+export const MAIL_TRANSPORTS = ['smtp', 'file', 'console'];
+
+const SMTP_TIMEOUT_MS = 15000;
+
+export class MailError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'MailError';
+    this.details = details;
+  }
+}
+
+function getMailConfig() {
+  const transport = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+  if (!MAIL_TRANSPORTS.includes(transport)) {
+    throw new MailError(`Unknown MAIL_TRANSPORT "${transport}"`, { validTransports: MAIL_TRANSPORTS });
+  }
+  if (transport === 'console' && !process.env.MAIL_TRANSPORT && process.env.VERCEL_ENV === 'production') {
+    throw new MailError('No mail transport configured: set SMTP_HOST (or MAIL_TRANSPORT)');
+  }
+  return {
+    transport,
+    from: process.env.MAIL_FROM || 'Get Flowing <no-reply@getflowing.app>',
+    dir: process.env.MAIL_DIR || '/tmp/getflowing-mail',
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || (process.env.SMTP_SECURE === 'true' ? '465' : '587'), 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      password: process.env.SMTP_PASSWORD,
+      allowInsecureAuth: process.env.SMTP_ALLOW_INSECURE_AUTH === 'true'
+    }
+  };
+}
+
+// Bare address from "Name <address>" or "address"
+function addressOf(mailbox) {
+  const match = String(mailbox).match(/<([^>]+)>/);
+  return (match ? match[1] : String(mailbox)).trim();
+}
+
+// RFC 2047 encoding for header values that aren't plain ASCII
+function encodeHeader(value) {
+  return /^[\x20-\x7E]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+function base64Lines(text) {
+  return Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+// Header values and SMTP arguments are one line; a CR or LF in one could add headers or
+// smuggle in SMTP commands
+function assertSingleLine(value, what) {
+  if (/[\r\n]/.test(String(value))) {
+    throw new MailError(`${what} must not contain line breaks`);
+  }
+}
+
+// The full RFC 5322 message, CRLF line endings
+export function buildMessage({ from, to, subject, text, html }) {
+  assertSingleLine(from, 'From');
+  assertSingleLine(to, 'To');
+  assertSingleLine(subject, 'Subject');
+
+  const headers = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${addressOf(from).split('@')[1] || 'localhost'}>`,
+    'MIME-Version: 1.0'
+  ];
+
+  if (!html) {
+    return [
+      ...headers,
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64Lines(text)
+    ].join('\r\n');
+  }
+
+  const boundary = `gf-${crypto.randomBytes(12).toString('hex')}`;
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(html),
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+}
+
+// One SMTP conversation over a socket: send() writes a command and resolves with the
+// server's (possibly multi-line) reply once it is complete
+function smtpSession(socket) {
+  let buffer = '';
+  let waiting = null;
+
+  // A reply is complete when its last line has a space after the status code
+  const settle = () => {
+    if (!waiting || !buffer.endsWith('\r\n')) return;
+    const lines = buffer.slice(0, -2).split('\r\n');
+    const last = lines[lines.length - 1];
+    if (!/^\d{3}( |$)/.test(last)) return;
+
+    buffer = '';
+    const { resolve } = waiting;
+    waiting = null;
+    resolve({ code: parseInt(last.slice(0, 3), 10), text: lines.join('\n') });
+  };
+  const onData = chunk => {
+    buffer += chunk.toString('utf8');
+    settle();
+  };
+  const onError = error => {
+    if (waiting) {
+      const { reject } = waiting;
+      waiting = null;
+      reject(error);
+    }
+  };
+
+  const attach = target => {
+    target.on('data', onData);
+    target.on('error', onError);
+  };
+  attach(socket);
+
+  const read = () => {
+    const reply = new Promise((resolve, reject) => { waiting = { resolve, reject }; });
+    settle();
+    return reply;
+  };
+
+  return {
+    read,
+    async send(command, expected) {
+      socket.write(`${command}\r\n`);
+      const result = await read();
+      if (!expected.includes(result.code)) {
+        throw new MailError(`SMTP server rejected ${command.split(' ')[0]}: ${result.text}`, { code: result.code });
+      }
+      return result;
+    },
+    // Switch to a new (TLS) socket after STARTTLS
+    replace(next) {
+      socket.removeListener('data', onData);
+      socket.removeListener('error', onError);
+      socket = next;
+      attach(socket);
+    }
+  };
+}
+
+function connect(options, secure) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host: options.host, port: options.port, servername: options.host }, () => resolve(socket))
+      : net.connect({ host: options.host, port: options.port }, () => resolve(socket));
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new MailError('SMTP connection timed out')));
+    socket.once('error', reject);
+  });
+}
+
+async function sendSmtp(config, envelope, message) {
+  const options = config.smtp;
+  if (!options.host) {
+    throw new MailError('SMTP_HOST is not configured');
+  }
+  assertSingleLine(envelope.from, 'Sender address');
+  assertSingleLine(envelope.to, 'Recipient address');
+
+  let socket = await connect(options, options.secure);
+  const session = smtpSession(socket);
+
+  try {
+    const greeting = await session.read();
+    if (greeting.code !== 220) throw new MailError(`SMTP server refused the connection: ${greeting.text}`);
+
+    const hostname = 'getflowing.app';
+    let ehlo = await session.send(`EHLO ${hostname}`, [250]);
+    let encrypted = options.secure;
+
+    if (!options.secure && /STARTTLS/i.test(ehlo.text)) {
+      await session.send('STARTTLS', [220]);
+      // Hand the session to the TLS socket before the handshake, so the raw socket's
+      // handshake bytes never reach the reply buffer
+      const upgraded = tls.connect({ socket, servername: options.host });
+      session.replace(upgraded);
+      socket = upgraded;
+      await new Promise((resolve, reject) => {
+        upgraded.once('secureConnect', resolve);
+        upgraded.once('error', reject);
+      });
+      upgraded.setTimeout(SMTP_TIMEOUT_MS, () => upgraded.destroy(new MailError('SMTP connection timed out')));
+      ehlo = await session.send(`EHLO ${hostname}`, [250]);
+      encrypted = true;
+    }
+
+    if (options.user) {
+      if (!encrypted && !options.allowInsecureAuth) {
+        throw new MailError('SMTP server does not offer STARTTLS; refusing to send credentials unencrypted');
+      }
+      const credentials = Buffer.from(`\u0000${options.user}\u0000${options.password || ''}`).toString('base64');
+      await session.send(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    await session.send(`MAIL FROM:<${envelope.from}>`, [250]);
+    await session.send(`RCPT TO:<${envelope.to}>`, [250, 251]);
+    await session.send('DATA', [354]);
+    // Dot-stuff lines that start with "." and end with <CRLF>.<CRLF>
+    await session.send(`${message.replace(/\r\n\./g, '\r\n..')}\r\n.`, [250]);
+    await session.send('QUIT', [221]).catch(() => {});
+  } finally {
+    socket.end();
+  }
+}
+
+// Send one message; returns { transport, messageId, file? }
+export async function sendMail({ to, subject, text, html = null }) {
+  const config = getMailConfig();
+  const message = buildMessage({ from: config.from, to, subject, text, html });
+  const messageId = message.match(/^Message-ID: <([^>]+)>/m)[1];
+
+  if (config.transport === 'smtp') {
+    await sendSmtp(config, { from: addressOf(config.from), to: addressOf(to) }, message);
+    return { transport: 'smtp', messageId };
+  }
+
+  if (config.transport === 'file') {
+    await fs.mkdir(config.dir, { recursive: true });
+    const file = path.join(config.dir, `${Date.now()}-${messageId.split('@')[0]}.eml`);
+    await fs.writeFile(file, message);
+    return { transport: 'file', messageId, file };
+  }
+
+  console.log(`[mail] To: ${to}\n[mail] Subject: ${subject}\n${text}`);
+  return { transport: 'console', messageId };
+}
@@ -0,0 +1,133 @@
+// Prompt-injection hardening for flow generation
+// User text only ever reaches the model as delimited content inside the user message;
+// the rules live in the system prompt. This module checks that text on the way in
+// (length, charset, no forged delimiters) and checks the model output on the way out
+// (must be a workflow definition, must not echo the system prompt).
+
+import crypto from 'crypto';
+import { getDefinition } from './flow-validator.js';
+
+export const INPUT_LIMITS = {
+  prompt: parseInt(process.env.MAX_PROMPT_LENGTH || '4000', 10),
+  flowName: 255,
+  instruction: parseInt(process.env.MAX_INSTRUCTION_LENGTH || '2000', 10)
+};
+
+// Tags used to delimit user content in the user message
+export const DELIMITERS = ['user_request', 'flow_name', 'instruction', 'current_flow'];
+
+// Random per-instance marker placed in the system prompt; seeing it in the output means
+// the model was talked into repeating its instructions
+export const CANARY = `gf-canary-${crypto.randomBytes(6).toString('hex')}`;
+
+// C0/C1 control characters other than tab/newline/carriage return, zero-width and
+// bidirectional override characters (used to hide text from reviewers), and BOMs
+const DISALLOWED_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/;
+const DELIMITER_PATTERN = new RegExp(`<\\s*/?\\s*(${DELIMITERS.join('|')})\\b`, 'i');
+
+export class PromptGuardError extends Error {
+  constructor(message, code, field) {
+    super(message);
+    this.code = code;
+    this.field = field;
+    this.status = 400;
+  }
+}
+
+// Throws PromptGuardError when a piece of user text can't be sent to the model
+export function checkUserInput(field, value, { required = false } = {}) {
+  if (value === undefined || value === null || value === '') {
+    if (required) throw new PromptGuardError(`${field} is required`, 'MISSING_INPUT', field);
+    return;
+  }
+
+  if (typeof value !== 'string') {
+    throw new PromptGuardError(`${field} must be a string`, 'INVALID_INPUT', field);
+  }
+
+  const maxLength = INPUT_LIMITS[field];
+  if (maxLength && value.length > maxLength) {
+    throw new PromptGuardError(`${field} must be ${maxLength} characters or fewer`, 'INPUT_TOO_LONG', field);
+  }
+
+  if (DISALLOWED_CHARS.test(value)) {
+    throw new PromptGuardError(`${field} contains control or invisible formatting characters`, 'DISALLOWED_CHARACTERS', field);
+  }
+
+  if (DELIMITER_PATTERN.test(value)) {
+    throw new PromptGuardError(`${field} contains reserved markup`, 'DELIMITER_INJECTION', field);
+  }
+}
+
+// Wrap user text in its delimiter tags for the user message
+export function delimit(tag, text) {
+  return `<${tag}>\n${text}\n</${tag}>`;
+}
+
+// Reasons the model output can't be treated as a flow, or null when it looks like one.
+// Returns { code, message }; SYSTEM_PROMPT_LEAK is final, NOT_A_WORKFLOW can be repaired.
+export function checkFlowOutput(rawText, parsed) {
+  if (rawText.includes(CANARY)) {
+    return { code: 'SYSTEM_PROMPT_LEAK', message: 'Output repeats the system instructions' };
+  }
+
+  if (parsed === undefined) return null;
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { code: 'NOT_A_WORKFLOW', message: 'Output must be a JSON object containing a workflow definition' };
+  }
+
+  const definition = getDefinition(parsed);
+  const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+  if (!isObject(definition) || (!isObject(definition.triggers) && !isObject(definition.actions))) {
+    return { code: 'NOT_A_WORKFLOW', message: 'Output is not a workflow definition (no triggers or actions)' };
+  }
+
+  return null;
+}
+
+// Forward streamed output while holding back the last few characters, so a canary split
+// across deltas is caught before any of it reaches the client. Once the canary shows up
+// nothing more is forwarded; flush() sends the held-back tail otherwise.
+export function guardStream(forward) {
+  let text = '';
+  let sent = 0;
+  let leaked = false;
+
+  return {
+    push(delta) {
+      text += delta;
+      if (leaked || (leaked = text.includes(CANARY))) return;
+      const safe = text.length - CANARY.length;
+      if (safe > sent) {
+        forward(text.slice(sent, safe));
+        sent = safe;
+      }
+    },
+    flush() {
+      if (!leaked && sent < text.length) {
+        forward(text.slice(sent));
+        sent = text.length;
+      }
+    }
+  };
+}
+
+// Record a blocked attempt in usage_logs. db is a connected client or the `sql` pool;
+// userId may be null for the public endpoint. Logging failures never block the response.
+export async function logBlockedAttempt(db, userId, { stage, code, field, endpoint, text }) {
+  try {
+    await db.query(
+      'INSERT INTO usage_logs (user_id, action_type, metadata) VALUES ($1, $2, $3)',
+      [userId || null, 'prompt_blocked', JSON.stringify({
+        stage,
+        code,
+        field,
+        endpoint,
+        excerpt: typeof text === 'string' ? text.substring(0, 100) : undefined
+      })]
+    );
+  } catch (logError) {
+    console.error('Failed to log blocked prompt:', logError);
+  }
+}
@@ -0,0 +1,45 @@
+// Server-Sent Events helpers for streaming API responses
+
+// Clients opt into streaming with `Accept: text/event-stream` or `?stream=1`
+export function wantsEventStream(req) {
+  const accept = req.headers.accept || '';
+  return accept.includes('text/event-stream') || req.query?.stream === '1' || req.query?.stream === 'true';
+}
+
+// Switch the response into an event stream and return { send, end, signal }
+// `signal` aborts if the client goes away before we finish, so upstream work can stop
+export function openEventStream(res) {
+  const controller = new AbortController();
+  let ended = false;
+
+  res.on('close', () => {
+    if (!ended) controller.abort();
+  });
+
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+
+  return {
+    send(event, data) {
+      if (controller.signal.aborted || ended) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (ended) return;
+      ended = true;
+      res.end();
+    },
+    signal: controller.signal
+  };
+}
+
+// Finish a request as JSON, or as the terminal 'complete'/'error' event when streaming
+export function finish(res, stream, status, body) {
+  if (!stream) return res.status(status).json(body);
+  stream.send(status < 400 ? 'complete' : 'error', { status, ...body });
+  return stream.end();
+}
@@ -0,0 +1,235 @@
+// Prompt template library for common flow patterns
+// Each template has one or more immutable versions. A version declares typed variables,
+// the prompt they are filled into and a template-specific system instruction for the model.
+// Add a new version instead of editing an old one so saved flows stay reproducible.
+
+export const TEMPLATES = [
+  {
+    id: 'sharepoint-item-approval',
+    name: 'SharePoint item approval',
+    description: 'Start an approval when an item is created in a SharePoint list and record the outcome on the item.',
+    category: 'Approvals',
+    versions: [
+      {
+        version: 1,
+        variables: [
+          { name: 'siteUrl', label: 'SharePoint site URL', type: 'url', required: true },
+          { name: 'listName', label: 'List name', type: 'string', required: true },
+          { name: 'approvers', label: 'Approvers', type: 'emailList', required: true },
+          { name: 'statusColumn', label: 'Status column', type: 'string', default: 'ApprovalStatus' }
+        ],
+        prompt: 'When a new item is created in the "{{listName}}" list on the SharePoint site {{siteUrl}}, start an approval assigned to {{approvers}}. When the approval completes, update the item\'s "{{statusColumn}}" column to Approved or Rejected and email the item creator with the outcome and any approver comments.',
+        system: 'Use the SharePoint "When an item is created" trigger (shared_sharepointonline, GetOnNewItems) and the Approvals connector (shared_approvals, StartAndWaitForAnApproval) with approval type "Approve/Reject - First to respond". Use a Condition on the approval outcome and SharePoint PatchItem to update the status column. Send the notification with Office 365 Outlook SendEmailV2.'
+      }
+    ]
+  },
+  {
+    id: 'outlook-attachments-to-onedrive',
+    name: 'Save Outlook attachments to OneDrive',
+    description: 'Save attachments from incoming Outlook email to a OneDrive for Business folder.',
+    category: 'Files',
+    versions: [
+      {
+        version: 1,
+        variables: [
+          { name: 'folderPath', label: 'OneDrive folder path', type: 'string', required: true },
+          { name: 'fromAddress', label: 'Only from sender', type: 'email' },
+          { name: 'subjectFilter', label: 'Subject contains', type: 'string' }
+        ],
+        prompt: 'When a new email with attachments arrives in my Outlook inbox{{#fromAddress}} from {{fromAddress}}{{/fromAddress}}{{#subjectFilter}} with a subject containing "{{subjectFilter}}"{{/subjectFilter}}, save every attachment to the OneDrive for Business folder "{{folderPath}}".',
+        system: 'Use the Office 365 Outlook "When a new email arrives (V3)" trigger (shared_office365, OnNewEmailV3) with includeAttachments and hasAttachments set to true, and put sender/subject filters in the trigger parameters. Loop over the attachments with Apply to each and create each file with OneDrive for Business CreateFile (shared_onedriveforbusiness), using base64ToBinary on the attachment contentBytes.'
+      }
+    ]
+  },
+  {
+    id: 'teams-daily-digest',
+    name: 'Teams daily digest',
+    description: 'Post a scheduled daily summary message to a Microsoft Teams channel.',
+    category: 'Notifications',
+    versions: [
+      {
+        version: 1,
+        variables: [
+          { name: 'teamName', label: 'Team', type: 'string', required: true },
+          { name: 'channelName', label: 'Channel', type: 'string', required: true },
+          { name: 'time', label: 'Time of day (HH:MM)', type: 'time', default: '08:00' },
+          { name: 'timeZone', label: 'Time zone', type: 'string', default: 'UTC' },
+          { name: 'digestSource', label: 'What to summarise', type: 'string', required: true },
+          { name: 'weekdaysOnly', label: 'Weekdays only', type: 'boolean', default: true }
+        ],
+        prompt: 'Every {{#weekdaysOnly}}weekday{{/weekdaysOnly}}{{^weekdaysOnly}}day{{/weekdaysOnly}} at {{time}} ({{timeZone}}), collect {{digestSource}} and post a formatted digest message to the "{{channelName}}" channel in the "{{teamName}}" team.',
+        system: 'Use a Recurrence trigger with frequency "Week" (listing the weekdays) or "Day", schedule hours/minutes and the given timeZone. Build the digest with Select and Join or Create HTML table, and post with Microsoft Teams PostMessageToConversation (shared_teams) as the Flow bot. If there is nothing to report, still post a short "nothing new today" message.'
+      }
+    ]
+  },
+  {
+    id: 'forms-to-excel',
+    name: 'Microsoft Forms responses to Excel',
+    description: 'Add a row to an Excel table for every new Microsoft Forms response.',
+    category: 'Data collection',
+    versions: [
+      {
+        version: 1,
+        variables: [
+          { name: 'formName', label: 'Form name', type: 'string', required: true },
+          { name: 'workbookPath', label: 'Excel workbook path (OneDrive for Business)', type: 'string', required: true },
+          { name: 'tableName', label: 'Table name', type: 'string', default: 'Responses' },
+          { name: 'notify', label: 'Notify email', type: 'email' }
+        ],
+        prompt: 'When a new response is submitted to the Microsoft Form "{{formName}}", get the response details and add a row to the "{{tableName}}" table in the Excel workbook {{workbookPath}}, with one column per question plus the responder and submission time.{{#notify}} Then email {{notify}} a summary of the response.{{/notify}}',
+        system: 'Use the Microsoft Forms "When a new response is submitted" trigger (shared_microsoftforms, CreateFormWebhook) followed by GetFormResponseById, then Excel Online (Business) AddRowV2 (shared_excelonlinebusiness) with source "me" and drive "OneDrive". Reference response fields with body(\'Get_response_details\')?[\'<question id>\'] and describe each question id as a placeholder the user must map.'
+      }
+    ]
+  }
+];
+
+export class TemplateError extends Error {
+  constructor(message, status, details = []) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const VARIABLE_TYPES = {
+  string: value => typeof value === 'string' ? value.trim() : null,
+  url: value => {
+    if (typeof value !== 'string') return null;
+    try {
+      const url = new URL(value.trim());
+      return ['http:', 'https:'].includes(url.protocol) ? url.toString().replace(/\/$/, '') : null;
+    } catch {
+      return null;
+    }
+  },
+  email: value => typeof value === 'string' && /^[^\s@;,]+@[^\s@;,]+\.[^\s@;,]+$/.test(value.trim()) ? value.trim() : null,
+  emailList: value => {
+    const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[;,]/) : null;
+    if (!list) return null;
+    const emails = list.map(e => VARIABLE_TYPES.email(e)).filter(Boolean);
+    return emails.length > 0 && emails.length === list.filter(e => String(e).trim()).length ? emails.join(';') : null;
+  },
+  number: value => {
+    const n = typeof value === 'number' ? value : Number(value);
+    return Number.isFinite(n) ? n : null;
+  },
+  boolean: value => {
+    if (typeof value === 'boolean') return value;
+    if (value === 'true' || value === 'false') return value === 'true';
+    return null;
+  },
+  time: value => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value.trim()) ? value.trim() : null
+};
+
+const MAX_VARIABLE_LENGTH = 500;
+
+function latestVersion(template) {
+  return template.versions.reduce((a, b) => (b.version > a.version ? b : a));
+}
+
+// Public description of a template (latest version unless one is given)
+export function describeTemplate(template, version = latestVersion(template)) {
+  return {
+    id: template.id,
+    name: template.name,
+    description: template.description,
+    category: template.category,
+    version: version.version,
+    versions: template.versions.map(v => v.version),
+    variables: version.variables.map(({ name, label, type, required, default: defaultValue }) => ({
+      name,
+      label,
+      type,
+      required: !!required,
+      ...(defaultValue !== undefined ? { default: defaultValue } : {})
+    }))
+  };
+}
+
+export function listTemplates() {
+  return TEMPLATES.map(t => describeTemplate(t));
+}
+
+// Look up a template version; returns { template, version } or null
+export function getTemplate(templateId, versionNumber) {
+  const template = TEMPLATES.find(t => t.id === templateId);
+  if (!template) return null;
+
+  if (versionNumber === undefined || versionNumber === null || versionNumber === '') {
+    return { template, version: latestVersion(template) };
+  }
+
+  const version = template.versions.find(v => v.version === Number(versionNumber));
+  return version ? { template, version } : null;
+}
+
+// Check and coerce the supplied variables against the version's declarations
+export function resolveVariables(version, variables = {}) {
+  const values = {};
+  const errors = [];
+
+  for (const variable of version.variables) {
+    let raw = variables[variable.name];
+    if (raw === undefined || raw === null || raw === '') raw = variable.default;
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (variable.required) errors.push({ variable: variable.name, message: `${variable.label} is required` });
+      continue;
+    }
+
+    if (typeof raw === 'string' && raw.length > MAX_VARIABLE_LENGTH) {
+      errors.push({ variable: variable.name, message: `${variable.label} must be at most ${MAX_VARIABLE_LENGTH} characters` });
+      continue;
+    }
+
+    const value = VARIABLE_TYPES[variable.type](raw);
+    if (value === null || value === '') {
+      errors.push({ variable: variable.name, message: `${variable.label} must be a valid ${variable.type}` });
+      continue;
+    }
+
+    values[variable.name] = value;
+  }
+
+  for (const name of Object.keys(variables || {})) {
+    if (!version.variables.some(v => v.name === name)) {
+      errors.push({ variable: name, message: `Unknown variable "${name}"` });
+    }
+  }
+
+  return { values, errors };
+}
+
+// Fill {{name}} placeholders. {{#name}}...{{/name}} is kept only when name is set and
+// not false; {{^name}}...{{/name}} only when it is unset or false.
+export function renderTemplate(text, values) {
+  const isSet = name => values[name] !== undefined && values[name] !== false;
+
+  return text
+    .replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (_, mode, name, inner) =>
+      (mode === '#') === isSet(name) ? inner : '')
+    .replace(/\{\{(\w+)\}\}/g, (_, name) => (values[name] === undefined ? '' : String(values[name])));
+}
+
+// Build the prompt and system instruction for a templated generation request.
+// Throws TemplateError with per-variable details when the request can't be filled.
+export function fillTemplate(templateId, versionNumber, variables) {
+  const found = getTemplate(templateId, versionNumber);
+  if (!found) {
+    throw new TemplateError(versionNumber ? `Template ${templateId} v${versionNumber} not found` : `Template ${templateId} not found`, 404);
+  }
+
+  const { template, version } = found;
+  const { values, errors } = resolveVariables(version, variables);
+  if (errors.length > 0) {
+    throw new TemplateError('Invalid template variables', 400, errors);
+  }
+
+  return {
+    templateId: template.id,
+    templateVersion: version.version,
+    prompt: renderTemplate(version.prompt, values),
+    system: version.system,
+    variables: values
+  };
+}
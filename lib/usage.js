@@ -0,0 +1,201 @@
+// Usage limits, token budgets and cost accounting
+// Each tier has a monthly flow-count limit and a monthly token budget (input + output
+// tokens across generations and refinements). Both reset with reset_monthly_flows().
+//
+// A generation reserves its flow before calling the model (reserveUsage) and then either
+// commits the reservation once the flow is saved or releases it when nothing was produced;
+// a refinement takes the same kind of reservation, which only ever settles tokens.
+// Reservations are taken under a lock on the users row, so concurrent requests can't
+// both squeeze past the limit; one that is never settled (the function died) stops
+// counting after RESERVATION_TTL_SECONDS.
+
+export const TIER_LIMITS = {
+  free: { flows: 3, tokens: 50000 },
+  pro: { flows: 50, tokens: 2000000 },
+  enterprise: { flows: 999999, tokens: 25000000 }
+};
+
+// USD per million tokens, matched on model name prefix (longest match wins)
+export const MODEL_PRICING = {
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-haiku-4': { input: 1, output: 5 },
+  fixture: { input: 0, output: 0 }
+};
+
+// Unknown models are costed like Sonnet so spend is never under-reported as zero
+const DEFAULT_PRICING = MODEL_PRICING['claude-sonnet-4'];
+
+export function getTierLimits(tier) {
+  return TIER_LIMITS[tier] || TIER_LIMITS.free;
+}
+
+export function getModelPricing(model) {
+  const match = Object.keys(MODEL_PRICING)
+    .filter(prefix => (model || '').startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? MODEL_PRICING[match] : DEFAULT_PRICING;
+}
+
+// { inputTokens, outputTokens, totalTokens, costUsd } for a provider usage report
+export function calculateCost(model, usage) {
+  const pricing = getModelPricing(model);
+  const inputTokens = usage?.input_tokens || 0;
+  const outputTokens = usage?.output_tokens || 0;
+  const cost = (inputTokens * pricing.input + outputTokens * pricing.output) / 1000000;
+
+  return {
+    inputTokens,
+    outputTokens,
+    totalTokens: inputTokens + outputTokens,
+    costUsd: Math.round(cost * 1000000) / 1000000
+  };
+}
+
+// Tokens a failed generation had already spent, from the usage runWithRepair (see
+// lib/flow-generator.js) attaches to provider errors; 0 for any other error
+export function tokensSpent(error) {
+  return calculateCost(error?.model, error?.usage).totalTokens;
+}
+
+export const RESERVATION_TTL_SECONDS = 300;
+
+// Where a users row stands against its tier's limits; `reserved` counts generations in
+// flight. reason is 'flow_limit' or 'token_budget' when nothing more may be generated.
+export function getUsageStatus(user, { reserved = 0 } = {}) {
+  const limits = getTierLimits(user.subscription_tier);
+  const used = user.flows_generated_this_month || 0;
+  const tokensUsed = Number(user.tokens_used_this_month || 0);
+  const remaining = limits.flows - used - reserved;
+  const tokensRemaining = limits.tokens - tokensUsed;
+
+  let reason = null;
+  if (remaining <= 0) reason = 'flow_limit';
+  else if (tokensRemaining <= 0) reason = 'token_budget';
+
+  return {
+    tier: user.subscription_tier,
+    limit: limits.flows,
+    used,
+    remaining,
+    tokenBudget: limits.tokens,
+    tokensUsed,
+    tokensRemaining,
+    reserved,
+    canGenerate: reason === null,
+    reason
+  };
+}
+
+// Body for the 429 returned when a user is out of flows or tokens
+export function limitExceededResponse(status) {
+  return {
+    error: status.reason === 'token_budget' ? 'Token budget exceeded' : 'Usage limit exceeded',
+    reason: status.reason,
+    limit: status.limit,
+    used: status.used,
+    tokenBudget: status.tokenBudget,
+    tokensUsed: status.tokensUsed,
+    tier: status.tier,
+    upgradeRequired: status.tier !== 'enterprise'
+  };
+}
+
+// Add a generation's tokens to the user's monthly total; countFlow also counts it
+// against the monthly flow limit (refinements only spend tokens)
+export async function recordUsage(client, userId, { totalTokens, countFlow }) {
+  await client.query(
+    `UPDATE users
+     SET flows_generated_this_month = flows_generated_this_month + $2,
+         total_flows_generated = total_flows_generated + $2,
+         tokens_used_this_month = tokens_used_this_month + $3,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [userId, countFlow ? 1 : 0, totalTokens]
+  );
+}
+
+// Reserve one flow for the user before generating. Returns { reservation, status } where
+// status already counts this reservation; reservation is null (and nothing is held)
+// when the user is out of flows or tokens, or doesn't exist (status null).
+// Pass countFlow: false for a refinement, which only needs token budget left and is
+// settled without counting a flow.
+export async function reserveUsage(client, userId, { countFlow = true } = {}) {
+  await client.query('BEGIN');
+  try {
+    const userResult = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    const user = userResult.rows[0];
+    if (!user) {
+      await client.query('ROLLBACK');
+      return { reservation: null, status: null };
+    }
+
+    const heldResult = await client.query(
+      `SELECT COUNT(*)::int AS held FROM usage_reservations
+       WHERE user_id = $1 AND kind = 'flow' AND status = 'held' AND expires_at > CURRENT_TIMESTAMP`,
+      [userId]
+    );
+    const status = getUsageStatus(user, { reserved: heldResult.rows[0].held });
+    const blocked = countFlow ? !status.canGenerate : status.tokensRemaining <= 0;
+    if (blocked) {
+      await client.query('ROLLBACK');
+      return {
+        reservation: null,
+        status: countFlow ? status : { ...status, canGenerate: false, reason: 'token_budget' }
+      };
+    }
+
+    const reservationResult = await client.query(
+      `INSERT INTO usage_reservations (user_id, kind, expires_at)
+       VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(secs => $3))
+       RETURNING *`,
+      [userId, countFlow ? 'flow' : 'refinement', RESERVATION_TTL_SECONDS]
+    );
+    await client.query('COMMIT');
+
+    return {
+      reservation: reservationResult.rows[0],
+      status: countFlow ? getUsageStatus(user, { reserved: status.reserved + 1 }) : status
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+// Settle a reservation exactly once: the reservation row and the users counters change in
+// one statement, so a replayed or concurrent settle is a no-op. Returns true when this
+// call settled it.
+async function settleReservation(client, reservation, { outcome, totalTokens, countFlow }) {
+  const result = await client.query(
+    `WITH settled AS (
+       UPDATE usage_reservations
+       SET status = $2, tokens_used = $3, settled_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'held'
+       RETURNING user_id
+     )
+     UPDATE users
+     SET flows_generated_this_month = flows_generated_this_month + $4,
+         total_flows_generated = total_flows_generated + $4,
+         tokens_used_this_month = tokens_used_this_month + $3,
+         updated_at = CURRENT_TIMESTAMP
+     FROM settled
+     WHERE users.id = settled.user_id
+     RETURNING users.id`,
+    [reservation.id, outcome, totalTokens, countFlow ? 1 : 0]
+  );
+  return result.rows.length > 0;
+}
+
+// The flow (or refinement) was saved: count its tokens, and the flow unless it's a refinement
+export function commitUsage(client, reservation, { totalTokens }) {
+  return settleReservation(client, reservation, { outcome: 'committed', totalTokens, countFlow: reservation.kind !== 'refinement' });
+}
+
+// Nothing was saved: give the flow back, but still count any tokens the model spent
+export function releaseUsage(client, reservation, { totalTokens = 0 } = {}) {
+  return settleReservation(client, reservation, { outcome: 'released', totalTokens, countFlow: false });
+}